@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// -*- mode: javascript; js-indent-level: 2 -*-
+//
+// peeredit - Read, watch, and edit Peeredit documents from the command line.
+// Run it with no arguments for usage. See lib/cli.js.
+
+"use strict";
+
+var io = require("socket.io-client");
+var cli = require("../lib/cli.js");
+
+cli.main(process.argv.slice(2), process.env, function (server) {
+  // Scripts would rather fail than wait forever for a server that's down.
+  return io(server, {reconnection: false});
+}, function (status) {
+  process.exit(status);
+});
@@ -11,11 +11,32 @@ var server = require('http').Server(app);
 // with adjustable artifical latency.
 var io = require('slow.io')(server);
 
-// The server knows how to serve two files: index.html and lib/rga.js.  (It's
-// not *quite* that simple really. Attaching slow.io to the server, above, adds
-// more functionality to the server. It can now serve a couple of scripts:
+// The server knows how to serve a few pages: a form for creating documents at
+// '/', and an editor for each document at '/d/<name>?token=<token>'. The
+// token comes from a link that lets you either edit the document or only view
+// it (see lib/access.js). The editor page loads lib/rga.js.  (It's not *quite*
+// that simple really. Attaching slow.io to the server, above, adds more
+// functionality to the server. It can now serve a couple of scripts:
 // '/socket.io/socket.io.js' and '/slow.io/slow.io.js'.)
 app.get('/', function (req, res) {
+  res.send(renderFrontPage());
+});
+
+// The form on the front page sends people here. Whoever creates a document
+// gets the link for editing it, and can share that or the link for viewing
+// it. Nobody gets links to somebody else's document this way.
+app.get('/create', function (req, res) {
+  var name = String(req.query.name || "").trim();
+  if (!isValidName(name))
+    return res.status(400).send("Document names may contain only letters, digits, '-' and '_'.");
+  if (documents.exists(name))
+    return res.status(409).send("There's already a document by that name. Ask its owner for a link.");
+  res.redirect(documents.get(name).access.link(name, "edit"));
+});
+
+app.get('/d/:name', function (req, res) {
+  if (documents.roleOf(req.params.name, req.query.token) === undefined)
+    return res.status(404).send("No such document, or the link is wrong.");
   res.sendFile(__dirname + "/index.html");
 });
 
@@ -23,26 +44,104 @@ app.get('/lib/rga.js', function (req, res) {
   res.sendFile(__dirname + "/lib/rga.js");
 });
 
+// Scripts can read and edit documents without a browser, using the REST API
+// in lib/api.js. The token can go in the query string, like the links, or in
+// an "Authorization: Bearer <token>" header.
+function tokenOf(req) {
+  var match = /^Bearer (\S+)$/.exec(req.get('Authorization') || "");
+  return match ? match[1] : req.query.token;
+}
+
+function sendResult(res, result) {
+  res.status(result.status).json(result.body);
+}
+
+app.get('/api/d/:name/text', function (req, res) {
+  sendResult(res, api.text(req.params.name, tokenOf(req)));
+});
+
+app.get('/api/d/:name/history', function (req, res) {
+  sendResult(res, api.history(req.params.name, tokenOf(req)));
+});
+
+app.get('/api/d/:name/history/:version', function (req, res) {
+  sendResult(res, api.version(req.params.name, tokenOf(req), req.params.version));
+});
+
+app.post('/api/d/:name/delta', function (req, res) {
+  readJSONBody(req, function (err, body) {
+    if (err)
+      return res.status(400).json({error: err.message});
+    sendResult(res, api.applyDelta(req.params.name, tokenOf(req), body));
+  });
+});
+
+// Read a request body of at most a megabyte, as JSON.
+function readJSONBody(req, callback) {
+  var chunks = [], size = 0, failed = false;
+  req.on('data', function (chunk) {
+    if (failed)
+      return;
+    size += chunk.length;
+    if (size > 1024 * 1024) {
+      failed = true;
+      return callback(new Error("request body is too large"));
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', function () {
+    if (failed)
+      return;
+    var body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    } catch (exc) {
+      return callback(new Error("request body is not JSON"));
+    }
+    callback(null, body);
+  });
+}
+
+function renderFrontPage() {
+  return '<!doctype html>\n' +
+    '<html>\n' +
+    '<head><title>peeredit</title></head>\n' +
+    '<body>\n' +
+    '<h1>peeredit</h1>\n' +
+    '<p>To open an existing document, use the link its owner gave you.</p>\n' +
+    '<form action="/create">\n' +
+    '<input name="name" placeholder="document name" pattern="[A-Za-z0-9_-]{1,64}" required>\n' +
+    '<button>Create</button>\n' +
+    '</form>\n' +
+    '</body>\n' +
+    '</html>\n';
+}
+
 // The document model is a "Replicated Global Array", implemented in a separate
 // module. Each client has a replica of the document, represented by an RGA
-// that lives in the browser. There's also a central replica `doc` on the
-// server.
-var RGA = require('./lib/rga.js');
-var doc = new RGA(0);
-var nextUserId = 1;  // Used to generate a unique id for each user.
+// that lives in the browser. There's also a central replica of each document
+// on the server. lib/documents.js keeps track of those, loading documents as
+// people connect to them and unloading them when everyone has left.
+//
+// The server's replicas are saved to disk as they change, so that restarting
+// the server doesn't wipe out the documents. They live in ./data unless the
+// PEEREDIT_DATA environment variable says otherwise. Set PEEREDIT_DATA to the
+// empty string to keep documents in memory only.
+var path = require('path');
+var DocumentSet = require('./lib/documents.js').DocumentSet;
+var isValidName = require('./lib/documents.js').isValidName;
+var DocumentAPI = require('./lib/api.js').DocumentAPI;
+var dataDir = "PEEREDIT_DATA" in process.env
+  ? process.env.PEEREDIT_DATA
+  : path.join(__dirname, "data");
+var documents = new DocumentSet({dataDir: dataDir || undefined});
+var api = new DocumentAPI(documents);
 
 // Now all we have to do is handle socket.io connections so people can interact
-// with the document. For example, every time a user connects:
+// with the documents. Each new socket says "hello", naming a document, and
+// from then on it's tied to that document's replica.
 io.on('connection', function (socket) {
-  // Populate the new client with a user id and the full document.
-  var userId = nextUserId++;
-  console.log("connection - assigning id " + userId);
-  socket.emit("welcome", {id: userId, history: doc.history()});
-
-  // Propagate ops between the new client and `doc`. Since `doc` is also tied
-  // to all other clients, they form one network, and edits at one client will
-  // eventually reach all replicas.
-  RGA.tieToSocket(doc, socket);
+  documents.accept(socket);
 });
 
 // Actually start the server. Enjoy!
@@ -50,3 +149,11 @@ var port = Number(process.env.PORT) || 3001;
 server.listen(port, function () {
   console.log('listening on *:' + port);
 });
+
+// On a clean shutdown, write final snapshots so the next startup is quick.
+function shutDown() {
+  documents.close();
+  process.exit(0);
+}
+process.on('SIGINT', shutDown);
+process.on('SIGTERM', shutDown);
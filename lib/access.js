@@ -0,0 +1,73 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+//
+// access.js - Who may edit a document, and who may only look.
+//
+// Each document has two secret tokens: one that lets you edit it and one that
+// lets you view it. They're handed out as links, like /d/notes?token=...;
+// anyone who has a link can do what it allows, so share them with care. There
+// are no accounts and no way to take a link back, short of deleting the
+// document's access.json, which makes new tokens the next time the document
+// is loaded.
+
+"use strict";
+
+var crypto = require("crypto");
+var storage = require("./storage.js");
+
+var ROLES = ["edit", "view"];
+
+function newToken() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+// Compare two strings without giving away, through timing, how much of them
+// matched.
+function sameToken(a, b) {
+  var x = Buffer.from(a), y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// The tokens for one document. If `filename` is given, they're loaded from
+// that file, or made up and saved there if it doesn't exist yet.
+function AccessTokens(filename) {
+  this.filename = filename;
+  this.created = false;  // true if the tokens were made up just now
+  this.tokens = undefined;  // role -> token
+
+  var saved = filename === undefined ? undefined : storage.readJSONIfExists(filename);
+  if (saved === undefined) {
+    this.tokens = {edit: newToken(), view: newToken()};
+    this.created = true;
+    if (filename !== undefined)
+      storage.writeJSONAtomic(filename, this.tokens);
+  } else {
+    this.tokens = {edit: saved.edit, view: saved.view};
+  }
+}
+
+AccessTokens.prototype = {
+  constructor: AccessTokens,
+
+  // Return what `token` lets its holder do to the document: "edit", "view",
+  // or undefined if it isn't one of this document's tokens.
+  roleOf: function (token) {
+    if (typeof token !== "string")
+      return undefined;
+    for (var i = 0; i < ROLES.length; i++) {
+      var role = ROLES[i];
+      if (typeof this.tokens[role] === "string" && sameToken(token, this.tokens[role]))
+        return role;
+    }
+    return undefined;
+  },
+
+  // Return the path and query for a link to the document `name` with the given
+  // role.
+  link: function (name, role) {
+    return "/d/" + name + "?token=" + this.tokens[role];
+  }
+};
+
+module.exports = exports = {
+  AccessTokens: AccessTokens
+};
@@ -0,0 +1,98 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+//
+// api.js - Read and edit documents over plain HTTP.
+//
+// Browsers talk to the server over socket.io, but a script shouldn't have to
+// pretend to be a browser. index.js routes these requests here:
+//
+//   GET  /api/d/<name>/text          {text, version}: the text as it is now
+//   GET  /api/d/<name>/history       {latest, versions}: see Timeline#versions
+//   GET  /api/d/<name>/history/<n>   {version, text}: the text as of version n
+//   POST /api/d/<name>/delta         {text, version}: apply a patch
+//
+// Every request needs one of the document's tokens (see access.js), and
+// posting a patch needs the edit token.
+//
+// A patch is a Quill-style delta, `{"ops": [...]}` (see RGA.checkDelta).
+// Offsets in the delta refer to the text as of the latest version, which
+// may have changed since the script looked at it. To be safe, include the
+// version the patch was made against, as `"version": n`; if the document
+// has changed since then, the patch is refused with 409 Conflict, and the
+// script can fetch the text again and make a new patch.
+//
+// The server's replica makes the edit, so connected editors get it like any
+// other. In the timeline, the author of such edits is replica 0.
+
+"use strict";
+
+var RGA = require("./rga.js");
+
+// The API for all the documents in a DocumentSet. Each method returns the
+// response, as `{status, body}`, where `body` is to be sent as JSON.
+function DocumentAPI(documents) {
+  this.documents = documents;
+}
+
+DocumentAPI.prototype = {
+  constructor: DocumentAPI,
+
+  // Return the named Document if `token` allows `role`, or else the error
+  // response, as {error}.
+  _open: function (name, token, role) {
+    var actual = this.documents.roleOf(name, token);
+    if (actual === undefined)
+      return {error: {status: 404, body: {error: "no such document, or the token is wrong"}}};
+    if (role === "edit" && actual !== "edit")
+      return {error: {status: 403, body: {error: "this token only allows viewing the document"}}};
+    return {document: this.documents.get(name)};
+  },
+
+  text: function (name, token) {
+    var opened = this._open(name, token, "view");
+    if (opened.error)
+      return opened.error;
+    var d = opened.document;
+    return {status: 200, body: {text: d.doc.text(), version: d.timeline.latest()}};
+  },
+
+  history: function (name, token) {
+    var opened = this._open(name, token, "view");
+    if (opened.error)
+      return opened.error;
+    var timeline = opened.document.timeline;
+    return {status: 200, body: {latest: timeline.latest(), versions: timeline.versions()}};
+  },
+
+  version: function (name, token, version) {
+    var opened = this._open(name, token, "view");
+    if (opened.error)
+      return opened.error;
+    var timeline = opened.document.timeline;
+    version = Number(version);
+    if (!Number.isInteger(version) || version < 0 || version > timeline.latest())
+      return {status: 404, body: {error: "no such version"}};
+    return {status: 200, body: {version: version, text: timeline.textAt(version)}};
+  },
+
+  applyDelta: function (name, token, body) {
+    var opened = this._open(name, token, "edit");
+    if (opened.error)
+      return opened.error;
+    var d = opened.document;
+    if (Object(body) === body && body.version !== undefined && body.version !== d.timeline.latest()) {
+      return {status: 409, body: {error: "the document has changed since version " + body.version,
+                                  version: d.timeline.latest()}};
+    }
+    try {
+      RGA.checkDelta(body, d.doc.length());
+    } catch (exc) {
+      return {status: 400, body: {error: exc.message}};
+    }
+    d.doc.applyDelta({ops: body.ops});
+    return {status: 200, body: {text: d.doc.text(), version: d.timeline.latest()}};
+  }
+};
+
+module.exports = exports = {
+  DocumentAPI: DocumentAPI
+};
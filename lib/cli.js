@@ -0,0 +1,300 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+//
+// cli.js - Work with a document from the command line (see bin/peeredit.js).
+//
+// The command-line client is a replica like any other. It connects to the
+// server, says hello, builds an RGA from the history in the welcome message,
+// and ties it to the socket. Edits are made to that RGA and reach everyone
+// else the usual way.
+
+"use strict";
+
+var child_process = require("child_process");
+var crypto = require("crypto");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var url = require("url");
+var RGA = require("./rga.js");
+var isValidName = require("./documents.js").isValidName;
+
+var USAGE =
+  "usage: peeredit cat <link>           print the document\n" +
+  "       peeredit tail <link>          print the document, then changes as they happen\n" +
+  "       peeredit apply <link> <file>  make the document the same as <file>\n" +
+  "       peeredit edit <link>          edit the document with $EDITOR\n" +
+  "\n" +
+  "<link> is a link to the document, like http://localhost:3001/d/notes?token=...\n";
+
+// Take apart a link to a document, like the ones the server hands out.
+// Returns {server, doc, token}. The document name has to be one the server
+// would accept, since `edit` uses it in a filename.
+function parseLink(link) {
+  var parsed = url.parse(String(link), true);
+  var match = /^\/d\/([^\/]+)$/.exec(parsed.pathname || "");
+  if (!parsed.protocol || !parsed.host || match === null || typeof parsed.query.token !== "string")
+    throw new Error("not a link to a document: " + link);
+  var doc;
+  try {
+    doc = decodeURIComponent(match[1]);
+  } catch (exc) {
+    doc = undefined;
+  }
+  if (!isValidName(doc))
+    throw new Error("not a valid document name: " + match[1]);
+  return {
+    server: parsed.protocol + "//" + parsed.host,
+    doc: doc,
+    token: parsed.query.token
+  };
+}
+
+// Join the document `link` (see parseLink) over `socket`. `clientKey`
+// identifies this client to the server, as in RGA.EditorRGA.setup. Calls
+// `callback(err, session)`, where `session` is `{rga, socket, role}`.
+//
+// Like the editor, we ack our version vector every `exports.ackInterval`
+// milliseconds, if it has changed, and collect garbage when the server says
+// removals are stable. Otherwise a client left running, like `tail`, would
+// keep the server from ever collecting garbage.
+function join(socket, link, clientKey, queue, callback) {
+  var done = false;
+  function finish(err, session) {
+    if (!done) {
+      done = true;
+      callback(err, session);
+    }
+  }
+  socket.on("welcome", function (event) {
+    var rga = new RGA(event.id, RGA.decodeOps(event.history), queue);
+    RGA.tieToSocket(rga, socket, event.format);
+
+    var lastAck = JSON.stringify(event.vector);
+    var timer = setInterval(function () {
+      var vector = rga.versionVector();
+      var json = JSON.stringify(vector);
+      if (json !== lastAck) {
+        lastAck = json;
+        socket.emit("ack", {vector: vector});
+      }
+    }, exports.ackInterval);
+    if (timer.unref)
+      timer.unref();
+    socket.on("disconnect", function () {
+      clearInterval(timer);
+    });
+    socket.on("stable", function (event) {
+      rga.collectGarbage(event.vector);
+    });
+
+    finish(null, {rga: rga, socket: socket, role: event.role});
+  });
+  socket.on("refused", function (event) {
+    finish(new Error("the server refused the connection: " + event.reason));
+  });
+  socket.on("disconnect", function () {
+    finish(new Error("disconnected"));
+  });
+  socket.emit("hello", {doc: link.doc, token: link.token, client: clientKey, formats: [RGA.WIRE_FORMAT]});
+}
+
+// Call `callback` once the server has applied every op we've made so far.
+// The server handles messages in order, so it's enough to send one more
+// request after the ops and wait for the answer. But ops take two turns of the
+// event queue to reach the socket: one to deliver them to RGA.tieToSocket's
+// listener, which starts a batch, and one to send the batch.
+function sync(session, callback) {
+  var queue = session.rga._queue;
+  queue.defer(function () {
+    queue.defer(function () {
+      session.socket.on("versions", function reply() {
+        if (typeof session.socket.off === "function")
+          session.socket.off("versions", reply);
+        callback();
+      });
+      session.socket.emit("versions");
+    });
+  });
+}
+
+// Make the document's text the same as `text`, changing only the parts
+// that differ.
+function apply(session, text) {
+  if (session.role !== "edit")
+    throw new Error("this link only allows viewing the document");
+  var current = session.rga.text();
+  if (current !== text)
+    session.rga.applyDelta(RGA.diff(current, text));
+}
+
+// Start editing a copy of the document. Returns `{text, finish}`:
+// `finish(edited)` applies the changes from `text` to `edited` to the
+// document, even if other people have changed it in the meantime.
+//
+// The copy is a second replica, forked from ours, that nobody else changes.
+// Once the user is done, we diff against the copy, and pass the resulting
+// ops on to our replica, which merges them like ops from any other replica.
+// The copy has our replica id, but it's the only one making edits, so the
+// timestamps don't collide.
+function startEdit(session) {
+  if (session.role !== "edit")
+    throw new Error("this link only allows viewing the document");
+  var rga = session.rga;
+  var copy = new RGA(rga.id, rga.history());
+  var text = copy.text();
+  return {
+    text: text,
+    finish: function (edited) {
+      if (edited === text)
+        return;
+      RGA.prototype._applyDelta.call(copy, RGA.diff(text, edited)).forEach(function (op) {
+        rga.downstream(rga.downstream, op);
+      });
+    }
+  };
+}
+
+// Write `session`'s text to `out`, then a line for every change made after
+// that: "@<offset> -<n>" for n characters removed at that offset, and
+// "@<offset> +<json>" for text inserted there.
+function tail(session, out) {
+  var rga = session.rga;
+  var text = rga.text();
+  out.write(text);
+  if (text !== "" && text[text.length - 1] !== "\n")
+    out.write("\n");
+
+  rga.on("change", function (change) {
+    if (change.delete !== undefined)
+      out.write("@" + change.offset + " -" + change.delete + "\n");
+    else
+      out.write("@" + change.offset + " +" + JSON.stringify(change.insert) + "\n");
+  });
+}
+
+// The command to edit `filename` with the user's editor, as `[program,
+// args]`. `$VISUAL` or `$EDITOR` may include arguments, like "code --wait",
+// so it's split on whitespace. The filename is passed as an argument of its
+// own, never through a shell.
+function editorCommand(env, filename) {
+  var words = (env.VISUAL || env.EDITOR || "vi").split(/\s+/).filter(function (word) {
+    return word !== "";
+  });
+  if (words.length === 0)
+    words = ["vi"];
+  return [words[0], words.slice(1).concat([filename])];
+}
+
+// The key this client gives the server, so that it gets the same replica id
+// every time it connects (see replicaids.js). It's saved in the user's home
+// directory.
+function clientKey(env) {
+  if (env.PEEREDIT_CLIENT)
+    return env.PEEREDIT_CLIENT;
+  var filename = path.join(os.homedir(), ".peeredit-client");
+  try {
+    return fs.readFileSync(filename, "utf8").trim();
+  } catch (exc) {
+    if (exc.code !== "ENOENT")
+      throw exc;
+  }
+  var key = crypto.randomBytes(16).toString("hex");
+  fs.writeFileSync(filename, key + "\n", {mode: parseInt("600", 8)});
+  return key;
+}
+
+// Run the command-line client. `argv` is the arguments after the program
+// name. `connect(server)` returns a socket.io socket connected to `server`.
+// Calls `exit(status)` when done, except for `tail`, which runs until the
+// server goes away.
+function main(argv, env, connect, exit) {
+  var command = argv[0];
+  var wanted = {cat: 2, tail: 2, apply: 3, edit: 2}[command];
+  if (wanted === undefined || argv.length !== wanted) {
+    process.stderr.write(USAGE);
+    return exit(2);
+  }
+  function fail(err) {
+    process.stderr.write("peeredit: " + err.message + "\n");
+    exit(1);
+  }
+
+  var link, input;
+  try {
+    link = parseLink(argv[1]);
+    if (command === "apply")
+      input = fs.readFileSync(argv[2], "utf8");
+  } catch (exc) {
+    return fail(exc);
+  }
+
+  var socket = connect(link.server);
+  socket.on("connect_error", function (err) {
+    fail(new Error("can't connect to " + link.server + ": " + (err && err.message || err)));
+  });
+  join(socket, link, clientKey(env), undefined, function (err, session) {
+    if (err)
+      return fail(err);
+    function done() {
+      sync(session, function () {
+        socket.disconnect();
+        exit(0);
+      });
+    }
+    try {
+      switch (command) {
+      case "cat":
+        process.stdout.write(session.rga.text());
+        socket.disconnect();
+        return exit(0);
+
+      case "tail":
+        tail(session, process.stdout);
+        socket.on("disconnect", function () {
+          fail(new Error("the server went away"));
+        });
+        return;
+
+      case "apply":
+        apply(session, input);
+        return done();
+
+      case "edit":
+        var edit = startEdit(session);
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-"));
+        var filename = path.join(dir, link.doc + ".txt");
+        fs.writeFileSync(filename, edit.text);
+        // Not spawnSync: the socket has to keep answering the server while
+        // the user edits.
+        var editor = editorCommand(env, filename);
+        child_process.spawn(editor[0], editor[1], {stdio: "inherit"})
+          .on("error", function (err) {
+            fail(new Error("can't run " + editor[0] + ": " + err.message));
+          })
+          .on("exit", function (status) {
+            if (status !== 0)
+              return fail(new Error(editor[0] + " failed; leaving the document alone"));
+            edit.finish(fs.readFileSync(filename, "utf8"));
+            fs.unlinkSync(filename);
+            fs.rmdirSync(dir);
+            done();
+          });
+        return;
+      }
+    } catch (exc) {
+      fail(exc);
+    }
+  });
+}
+
+module.exports = exports = {
+  parseLink: parseLink,
+  join: join,
+  sync: sync,
+  apply: apply,
+  startEdit: startEdit,
+  tail: tail,
+  editorCommand: editorCommand,
+  main: main,
+  ackInterval: 5000
+};
@@ -0,0 +1,441 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+//
+// documents.js - The server's collection of named documents.
+//
+// Each document has its own RGA, its own set of connected sockets (its
+// "room"), its own series of user ids, its own access tokens, and its own
+// timeline of past versions. Documents
+// are loaded when someone connects to them and unloaded again when nobody has
+// been connected for a while.
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var RGA = require("./rga.js");
+var DocumentStore = require("./storage.js").DocumentStore;
+var ReplicaIdRegistry = require("./replicaids.js").ReplicaIdRegistry;
+var OpValidator = require("./validate.js").OpValidator;
+var AccessTokens = require("./access.js").AccessTokens;
+var Timeline = require("./timeline.js").Timeline;
+
+// Document names appear in URLs and in file names, so keep them simple.
+var VALID_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isValidName(name) {
+  return typeof name === "string" && VALID_NAME.test(name);
+}
+
+// Client keys are chosen by the browser. Anything reasonable will do.
+function isValidClientKey(key) {
+  return typeof key === "string" && key.length > 0 && key.length <= 128;
+}
+
+// A presence message says where a user's caret and selection are, as
+// timestamps (see RGA.EditorRGA#getPresence), and optionally gives their
+// name. Return the part worth passing along, or undefined if it's malformed.
+function parsePresence(msg) {
+  if (Object(msg) !== msg || !Number.isInteger(msg.anchor) || !Number.isInteger(msg.head))
+    return undefined;
+  var presence = {anchor: msg.anchor, head: msg.head};
+  if (typeof msg.name === "string" && msg.name.length <= 64)
+    presence.name = msg.name;
+  return presence;
+}
+
+// An ack carries a version vector: an object mapping replica ids to
+// timestamps. Return a clean copy, or undefined if it's malformed. (It's
+// saved, and it decides what gets garbage-collected.)
+function parseVector(vector) {
+  if (Object(vector) !== vector || Array.isArray(vector))
+    return undefined;
+  var result = {};
+  for (var id in vector) {
+    var t = vector[id];
+    if (!/^[0-9]+$/.test(id) || Number(id) > RGA.MAX_REPLICA_ID || !Number.isSafeInteger(t) ||
+        (t & RGA.MAX_REPLICA_ID) !== Number(id))
+      return undefined;
+    result[id] = t;
+  }
+  return result;
+}
+
+// True if the version vector `vector`, from a client, says it has seen ops
+// that `doc` doesn't have, and that the client can't send us itself, since
+// they're stamped with ids `ownsId` says aren't its own (see OpValidator).
+// Clients only get other replicas' ops from us, so we must have lost them.
+function hasLostOps(doc, vector, ownsId) {
+  vector = parseVector(vector);
+  if (vector === undefined)
+    return false;
+  var ours = doc.versionVector();
+  for (var id in vector) {
+    if (!ownsId(Number(id)) && !(ours[id] >= vector[id]))
+      return true;
+  }
+  return false;
+}
+
+// Return the version before `version` in the array `versions` (see
+// Timeline#versions), or 0 if there's none.
+function previousVersion(versions, version) {
+  var previous = 0;
+  versions.forEach(function (v) {
+    if (v.version < version)
+      previous = v.version;
+  });
+  return previous;
+}
+
+// Tell a client we won't serve it, and hang up.
+function refuse(socket, reason) {
+  console.log("refusing connection: " + reason);
+  socket.emit("refused", {reason: reason});
+  if (typeof socket.disconnect === "function")
+    socket.disconnect(true);
+}
+
+// One loaded document.
+function Document(name, doc, store, replicaIds, access, timeline) {
+  this.name = name;
+  this.doc = doc;      // the server's replica
+  this.store = store;  // a DocumentStore, or undefined if not persistent
+  this.replicaIds = replicaIds;  // a ReplicaIdRegistry
+  this.access = access;  // AccessTokens: who may edit, who may view
+  this.timeline = timeline;  // a Timeline: every version there has been
+  this.sockets = [];   // sockets connected to this document
+  this._idsInUse = new Map();  // replica id -> number of sockets using it
+  this._presence = new Map();  // socket -> where its user's caret is
+  this._stable = "{}";         // JSON of the last stable vector we sent out
+  this._idleTimer = undefined;
+
+  // Documents created before replica ids were recorded may already contain
+  // edits from some ids. Don't hand those out again.
+  replicaIds.reserveThrough(Object.keys(doc.versionVector()).reduce(function (a, b) {
+    return Math.max(a, Number(b));
+  }, 0));
+}
+
+// A DocumentSet keeps track of all documents. Options:
+//
+// - `dataDir`: directory where documents are saved, one subdirectory per
+//   document. If omitted, documents are kept in memory only, and they are
+//   never unloaded, since there'd be no way to get them back.
+//
+// - `idleTimeout`: how long to keep a document loaded after the last socket
+//   disconnects, in milliseconds (default 60000).
+//
+// - `queue`: event queue for the RGAs (see the RGA constructor).
+//
+// - `replicaTimeout`: how long to wait for a replica that has gone away
+//   before collecting garbage without it, in milliseconds (default one week;
+//   see DocumentSet#_collectGarbage).
+//
+function DocumentSet(options) {
+  options = options || {};
+  this.dataDir = options.dataDir;
+  this.idleTimeout = options.idleTimeout === undefined ? 60000 : options.idleTimeout;
+  this.replicaTimeout = options.replicaTimeout === undefined ? 7 * 24 * 60 * 60 * 1000 : options.replicaTimeout;
+  this._queue = options.queue;
+  this._loaded = new Map();  // name -> Document
+}
+
+DocumentSet.prototype = {
+  constructor: DocumentSet,
+
+  // Return the Document with the given name, loading or creating it if
+  // necessary.
+  get: function (name) {
+    if (!isValidName(name))
+      throw new Error("invalid document name: " + JSON.stringify(name));
+    var d = this._loaded.get(name);
+    if (d === undefined) {
+      var store, doc, replicaIds, access, timeline;
+      if (this.dataDir) {
+        var dir = path.join(this.dataDir, name);
+        store = new DocumentStore(dir);
+        doc = store.open(0, this._queue);
+        replicaIds = new ReplicaIdRegistry(path.join(dir, "replicas.json"));
+        access = new AccessTokens(path.join(dir, "access.json"));
+        timeline = new Timeline(path.join(dir, "timeline.jsonl"), {fsync: store.fsync});
+      } else {
+        doc = new RGA(0, undefined, this._queue);
+        replicaIds = new ReplicaIdRegistry(undefined);
+        access = new AccessTokens(undefined);
+        timeline = new Timeline(undefined);
+      }
+      timeline.attach(doc);
+      d = new Document(name, doc, store, replicaIds, access, timeline);
+      this._loaded.set(name, d);
+      console.log("loaded document " + name);
+      if (access.created) {
+        // Somebody has to know the links, or nobody can get in.
+        console.log(name + ": edit with " + access.link(name, "edit") +
+                    ", view with " + access.link(name, "view"));
+      }
+      this._scheduleUnload(d);  // in case nobody actually connects
+    }
+    return d;
+  },
+
+  // True if the named document is currently in memory.
+  isLoaded: function (name) {
+    return this._loaded.has(name);
+  },
+
+  // True if the named document exists, loaded or not. Documents spring into
+  // existence the first time `get` is called.
+  exists: function (name) {
+    if (!isValidName(name))
+      return false;
+    return this._loaded.has(name) ||
+      (!!this.dataDir && fs.existsSync(path.join(this.dataDir, name)));
+  },
+
+  // Return what `token` lets its holder do to the named document: "edit",
+  // "view", or undefined if the document doesn't exist or the token is wrong.
+  roleOf: function (name, token) {
+    return this.exists(name) ? this.get(name).access.roleOf(token) : undefined;
+  },
+
+  // Handle a new socket.io connection. The client starts by saying "hello",
+  // naming the document it wants, giving the token from its link (see
+  // access.js), and giving its client key, so that we can give it back the
+  // same replica id as last time. If it's reconnecting, it also tells us which
+  // ops it already has, in the form of a version vector. Newer clients also
+  // list the wire formats they understand (see RGA.encodeOps); older ones get
+  // one plain op per message.
+  accept: function (socket) {
+    var self = this;
+    var welcomed = false;
+    socket.on("hello", function (msg) {
+      if (welcomed)
+        return;
+      msg = msg || {};
+      if (!isValidName(msg.doc))
+        return refuse(socket, "invalid document name");
+      var role = self.roleOf(msg.doc, msg.token);
+      if (role === undefined)
+        return refuse(socket, "no such document, or the link is wrong");
+      welcomed = true;
+      var clientKey = isValidClientKey(msg.client) ? msg.client : undefined;
+      var format = Array.isArray(msg.formats) && msg.formats.indexOf(RGA.WIRE_FORMAT) !== -1
+        ? RGA.WIRE_FORMAT
+        : undefined;
+      self._join(self.get(msg.doc), socket, clientKey, msg.vector, format, role);
+    });
+  },
+
+  _join: function (d, socket, clientKey, vector, format, role) {
+    var userId = d.replicaIds.allocate(clientKey, function (id) {
+      return d._idsInUse.has(id);
+    });
+    if (userId === undefined) {
+      return refuse(socket, "document " + d.name + " has run out of replica ids " +
+                    "(the limit is " + RGA.MAX_REPLICA_ID + ")");
+    }
+
+    // The client may use its own id, and any other id given to the same
+    // client key, in case it made edits under an id it had before.
+    function ownsId(id) {
+      return id === userId || (clientKey !== undefined && d.replicaIds.ownerOf(id) === clientKey);
+    }
+
+    // Populate the new client with a user id and whatever part of the
+    // document it doesn't already have. Send our version vector too, so it can
+    // tell which of its own ops we're missing. Tell it whether it may edit,
+    // and if so, the links for sharing the document.
+    //
+    // If the client has seen edits we don't have, we've lost them (say, we
+    // crashed before saving them). The client isn't allowed to send us other
+    // people's edits, so rather than refuse everything it sends, we tell it to
+    // start over from what we have, with `reset: true`. Likewise if it was
+    // gone so long that we stopped waiting for it to collect garbage: it may
+    // have characters we've collected.
+    var doc = d.doc;
+    var reset = vector !== undefined &&
+      (hasLostOps(doc, vector, ownsId) || d.replicaIds.expiredIds().some(ownsId));
+    console.log(d.name + ": connection - assigning id " + userId + " (" + role + ")" +
+                (reset ? " (reconnect, starting over)" : vector ? " (reconnect)" : ""));
+    var history = doc.historySince(reset ? undefined : vector);
+    var welcome = {
+      id: userId,
+      vector: doc.versionVector(),
+      history: format === RGA.WIRE_FORMAT ? RGA.encodeOps(history) : RGA.toCharOps(history),
+      format: format,
+      role: role
+    };
+    if (reset)
+      welcome.reset = true;
+    if (role === "edit")
+      welcome.links = {edit: d.access.link(d.name, "edit"), view: d.access.link(d.name, "view")};
+    socket.emit("welcome", welcome);
+
+    // Propagate ops between the new client and `doc`. Since `doc` is also tied
+    // to all other clients, they form one network, and edits at one client will
+    // eventually reach all replicas.
+    //
+    // Everything the client sends is checked first (see validate.js).
+    // Viewers still get every op, but may not send any.
+    var validator = new OpValidator(doc, ownsId);
+    validator.readOnly = role !== "edit";
+    RGA.tieToSocket(doc, validator.guard(socket, function (reason) {
+      refuse(socket, d.name + ": invalid op from replica " + userId + ": " + reason);
+    }), format);
+
+    if (d._idleTimer !== undefined) {
+      clearTimeout(d._idleTimer);
+      d._idleTimer = undefined;
+    }
+    d.sockets.push(socket);
+    d._idsInUse.set(userId, (d._idsInUse.get(userId) || 0) + 1);
+
+    // Carets and selections aren't part of the document; just pass them
+    // along. Start the new client off with everyone else's.
+    d._presence.forEach(function (presence) {
+      socket.emit("presence", presence);
+    });
+    socket.on("presence", function (msg) {
+      var presence = parsePresence(msg);
+      if (presence === undefined || d.sockets.indexOf(socket) === -1)
+        return;
+      presence.id = userId;
+      d._presence.set(socket, presence);
+      d.sockets.forEach(function (other) {
+        if (other !== socket)
+          other.emit("presence", presence);
+      });
+    });
+
+    // The document's past versions are only looked at, never edited, so
+    // viewers may see them too. Clients ask for the list of versions, then
+    // for one version at a time, which comes with what changed since the
+    // version before it (or since the version `since`, if they say).
+    // Editors may also name the latest version.
+    socket.on("versions", function () {
+      socket.emit("versions", {latest: d.timeline.latest(), versions: d.timeline.versions()});
+    });
+    socket.on("version", function (msg) {
+      var version = msg && msg.version;
+      var latest = d.timeline.latest();
+      if (!Number.isInteger(version) || version < 0 || version > latest)
+        return socket.emit("version", {version: version, error: "no such version"});
+      var since = msg.since;
+      if (!Number.isInteger(since) || since < 0 || since > version)
+        since = previousVersion(d.timeline.versions(), version);
+      socket.emit("version", {
+        version: version,
+        since: since,
+        text: d.timeline.textAt(version),
+        changes: d.timeline.diff(since, version)
+      });
+    });
+    socket.on("checkpoint", function (msg) {
+      if (role !== "edit")
+        return socket.emit("checkpoint", {error: "this client may only view the document"});
+      var checkpoint;
+      try {
+        checkpoint = d.timeline.checkpoint(msg && msg.name);
+      } catch (exc) {
+        return socket.emit("checkpoint", {error: exc.message});
+      }
+      console.log(d.name + ": version " + checkpoint.version + " named " + JSON.stringify(checkpoint.name));
+      socket.emit("checkpoint", checkpoint);
+    });
+
+    // Once the client has processed the welcome message, it will have seen
+    // at least what we've seen so far. From then on, it tells us.
+    d.replicaIds.ack(userId, doc.versionVector());
+    var self = this;
+    socket.on("ack", function (msg) {
+      var vector = parseVector(msg && msg.vector);
+      if (vector !== undefined && d.sockets.indexOf(socket) !== -1) {
+        d.replicaIds.ack(userId, vector);
+        self._collectGarbage(d);
+      }
+    });
+
+    socket.on("disconnect", function () {
+      var i = d.sockets.indexOf(socket);
+      if (i === -1)
+        return;
+      d.sockets.splice(i, 1);
+      if (d._presence.delete(socket)) {
+        d.sockets.forEach(function (other) {
+          other.emit("presence", {id: userId, gone: true});
+        });
+      }
+      d.replicaIds.touch(userId);
+      var n = d._idsInUse.get(userId) - 1;
+      if (n === 0)
+        d._idsInUse.delete(userId);
+      else
+        d._idsInUse.set(userId, n);
+      if (d.sockets.length === 0)
+        self._scheduleUnload(d);
+    });
+  },
+
+  // Work out which ops every replica has seen. If that has changed, collect
+  // garbage and tell the clients to do the same.
+  //
+  // That means every replica that was ever given an id, connected or not
+  // (see ReplicaIdRegistry#ackedVectors). A replica that's offline may come
+  // back with inserts next to a character someone removed, and the removal
+  // has to reach it before that character is collected, or the inserts may
+  // come out in a different order there than here, and the replicas never
+  // converge. But a browser tab that's closed never comes back, so after
+  // `replicaTimeout`, we give up on a replica that's gone. If it does come
+  // back after all, it starts over (see _join).
+  _collectGarbage: function (d) {
+    var acked = d.replicaIds.ackedVectors(function (id) {
+      return d._idsInUse.has(id);
+    }, this.replicaTimeout);
+    var vectors = [d.doc.versionVector()].concat(acked);
+    var stable = RGA.stableVector(vectors);
+    var json = JSON.stringify(stable);
+    if (json === d._stable)
+      return;
+    d._stable = json;
+    d.doc.collectGarbage(stable);
+    d.sockets.forEach(function (socket) {
+      socket.emit("stable", {vector: stable});
+    });
+  },
+
+  _scheduleUnload: function (d) {
+    if (d.store === undefined)
+      return;
+    var self = this;
+    d._idleTimer = setTimeout(function () {
+      d._idleTimer = undefined;
+      if (d.sockets.length === 0)
+        self._unload(d);
+    }, this.idleTimeout);
+    if (d._idleTimer.unref)
+      d._idleTimer.unref();
+  },
+
+  _unload: function (d) {
+    if (this._loaded.get(d.name) !== d)
+      return;
+    this._loaded.delete(d.name);
+    d.doc.destroy();  // This also closes the store, writing a final snapshot.
+    console.log("unloaded document " + d.name);
+  },
+
+  // Unload every document. Call this before the server exits.
+  close: function () {
+    var self = this;
+    this._loaded.forEach(function (d) {
+      if (d._idleTimer !== undefined)
+        clearTimeout(d._idleTimer);
+      self._unload(d);
+    });
+  }
+};
+
+module.exports = exports = {
+  DocumentSet: DocumentSet,
+  isValidName: isValidName
+};
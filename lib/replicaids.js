@@ -0,0 +1,173 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+//
+// replicaids.js - Hand out replica ids that are never reused.
+//
+// Two replicas with the same id would generate the same timestamps, and the
+// RGA can't tell their edits apart. So every replica id handed out for a
+// document is recorded, and never given to anyone else. Each id is bound to
+// the identity of the client that received it (a random key the browser keeps
+// for the life of the tab), so a client that comes back gets its old id.
+//
+// The registry also remembers which ops each replica has seen, as of its
+// latest "ack", so that garbage collection can wait for replicas that are
+// offline (see DocumentSet#_collectGarbage). But not forever: a replica
+// that's been gone too long expires, and isn't waited for anymore. If it ever
+// comes back, it has to start over.
+
+"use strict";
+
+var RGA = require("./rga.js");
+var storage = require("./storage.js");
+
+// A ReplicaIdRegistry hands out the ids for one document. If `filename` is
+// given, the registry is loaded from that file and saved there every time it
+// changes. Id 0 is reserved for the server's replica.
+function ReplicaIdRegistry(filename) {
+  this.filename = filename;
+  this.next = 1;                         // the lowest id never handed out
+  this.clients = Object.create(null);    // client key -> id
+  this.owners = Object.create(null);     // id -> key of the client it went to
+  this.acks = Object.create(null);       // id -> latest version vector acked
+  this.seen = Object.create(null);       // id -> when we last heard from it, in ms
+  this.expired = Object.create(null);    // id -> true if it's been gone too long
+  this.now = Date.now;                   // the clock (tests replace this)
+  this._loadedAt = this.now();
+
+  var saved = filename === undefined ? undefined : storage.readJSONIfExists(filename);
+  if (saved !== undefined) {
+    this.next = saved.next;
+    for (var key in saved.clients)
+      this.clients[key] = saved.clients[key];
+    // Registries saved before owners were recorded only know about each
+    // client's first id.
+    var owners = saved.owners;
+    if (owners === undefined) {
+      owners = {};
+      for (key in this.clients)
+        owners[this.clients[key]] = key;
+    }
+    for (var id in owners)
+      this.owners[id] = owners[id];
+    for (id in saved.acks)
+      this.acks[id] = saved.acks[id];
+    for (id in saved.seen)
+      this.seen[id] = saved.seen[id];
+    for (id in saved.expired)
+      this.expired[id] = true;
+  }
+}
+
+ReplicaIdRegistry.prototype = {
+  constructor: ReplicaIdRegistry,
+
+  // Make sure ids up to and including `id` are never handed out. (For
+  // documents created before there was a registry.)
+  reserveThrough: function (id) {
+    if (id >= this.next) {
+      this.next = id + 1;
+      this._save();
+    }
+  },
+
+  // Return an id for the client with the given key, or undefined if all ids
+  // have been used up. `isInUse(id)` should return true if some connected
+  // replica is currently using `id`; in that case, the client gets a new id,
+  // since two tabs can end up sharing a key (say, when one is duplicated).
+  //
+  // `clientKey` may be undefined, for clients that don't have an identity;
+  // they always get a new id.
+  allocate: function (clientKey, isInUse) {
+    var id;
+    if (clientKey !== undefined) {
+      id = this.clients[clientKey];
+      if (id !== undefined && !isInUse(id))
+        return id;
+    }
+
+    if (this.next > RGA.MAX_REPLICA_ID)
+      return undefined;
+    id = this.next++;
+    if (clientKey !== undefined) {
+      if (this.clients[clientKey] === undefined)
+        this.clients[clientKey] = id;
+      this.owners[id] = clientKey;
+    }
+    this._save();
+    return id;
+  },
+
+  // Return the key of the client that `id` was handed out to, or undefined
+  // if it went to a client without a key (or hasn't been handed out).
+  ownerOf: function (id) {
+    return this.owners[id];
+  },
+
+  // Record that the replica with the given id has seen every op in
+  // `vector`. That also means it's back, if it had expired.
+  ack: function (id, vector) {
+    this.seen[id] = this.now();
+    if (this.expired[id] || JSON.stringify(this.acks[id]) !== JSON.stringify(vector)) {
+      delete this.expired[id];
+      this.acks[id] = vector;
+      this._save();
+    }
+  },
+
+  // Record that we just heard from the replica with the given id, say
+  // because it disconnected.
+  touch: function (id) {
+    this.seen[id] = this.now();
+    this._save();
+  },
+
+  // Return the ids that have expired (see ackedVectors).
+  expiredIds: function () {
+    return Object.keys(this.expired).map(Number);
+  },
+
+  // Return the latest version vector acked by each id ever handed out,
+  // except ones that have expired. An id that has never acked gets an empty
+  // vector: for all we know, its replica has seen nothing, and it may come
+  // back any time. (That includes ids handed out before acks were recorded,
+  // and ones reserved with `reserveThrough`.)
+  //
+  // An id expires once we haven't heard from it for `timeout` milliseconds,
+  // unless `isInUse(id)` says it's connected right now. For ids we have no
+  // time for, the clock starts when the registry is loaded.
+  ackedVectors: function (isInUse, timeout) {
+    var vectors = [];
+    var now = this.now();
+    var changed = false;
+    for (var id = 1; id < this.next; id++) {
+      if (!this.expired[id] && !isInUse(id)) {
+        var seen = this.seen[id] === undefined ? this._loadedAt : this.seen[id];
+        if (now - seen >= timeout) {
+          this.expired[id] = true;
+          changed = true;
+        }
+      }
+      if (!this.expired[id])
+        vectors.push(this.acks[id] || {});
+    }
+    if (changed)
+      this._save();
+    return vectors;
+  },
+
+  _save: function () {
+    if (this.filename !== undefined) {
+      storage.writeJSONAtomic(this.filename, {
+        next: this.next,
+        clients: this.clients,
+        owners: this.owners,
+        acks: this.acks,
+        seen: this.seen,
+        expired: this.expired
+      });
+    }
+  }
+};
+
+module.exports = exports = {
+  ReplicaIdRegistry: ReplicaIdRegistry
+};
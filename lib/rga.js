@@ -8,6 +8,350 @@
 
 var MAX_REPLICA_ID_BITS = 16;
 
+// The difference between consecutive timestamps from the same replica.
+var TIMESTAMP_STEP = 1 << MAX_REPLICA_ID_BITS;
+
+// The most characters we'll put in one node. Some operations on a node take
+// time proportional to its length, so we don't let nodes get too long.
+var MAX_RUN_LENGTH = 256;
+
+// True if `vector` (a version vector; see RGA#versionVector) covers the op
+// with timestamp t.
+function vectorHas(vector, t) {
+  if (vector === undefined || t === undefined)
+    return false;
+  var latest = vector[t & ((1 << MAX_REPLICA_ID_BITS) - 1)];
+  return latest !== undefined && latest >= t;
+}
+
+// Describe a timestamp for humans, as "replica:counter".
+function describeTimestamp(t) {
+  return (t & (TIMESTAMP_STEP - 1)) + ":" + Math.floor(t / TIMESTAMP_STEP);
+}
+
+// True if an op with removal timestamp `rt`, removing or reviving (see the
+// unremove op) the characters in `node`, wins out over whatever op last did
+// so. The latest op wins. Ops without an `rt` lose to every op that has one,
+// and they can only remove characters, not revive them.
+function supersedes(node, rt) {
+  if (node.removedAt === undefined)
+    return rt !== undefined || !node.removed;
+  return rt !== undefined && rt > node.removedAt;
+}
+
+// A table of runs, indexed by the timestamps of the characters in them.
+//
+// A run is any object with a `.timestamp` property, the timestamp of its
+// first character. The rest of its characters have the timestamps that
+// follow, from the same replica: `timestamp + TIMESTAMP_STEP`, and so on.
+// `lengthOf(run)` says how many characters there are. Runs in the same table
+// must not overlap.
+function RunTable(lengthOf) {
+  this._lengthOf = lengthOf;
+  this._runs = Object.create(null);  // replica id -> array of runs, sorted by timestamp
+  this.size = 0;                     // number of runs
+}
+
+RunTable.prototype = {
+  constructor: RunTable,
+
+  // Return the index in `runs` of the last run that starts at or before t, or
+  // -1 if there is none.
+  _search: function (runs, t) {
+    var lo = 0, hi = runs.length;
+    while (lo < hi) {
+      var mid = (lo + hi) >>> 1;
+      if (runs[mid].timestamp <= t)
+        lo = mid + 1;
+      else
+        hi = mid;
+    }
+    return lo - 1;
+  },
+
+  // Return the run containing the character with timestamp t, or undefined.
+  get: function (t) {
+    var runs = this._runs[t & (TIMESTAMP_STEP - 1)];
+    if (runs === undefined)
+      return undefined;
+    var run = runs[this._search(runs, t)];
+    if (run === undefined || (t - run.timestamp) / TIMESTAMP_STEP >= this._lengthOf(run))
+      return undefined;
+    return run;
+  },
+
+  has: function (t) {
+    return this.get(t) !== undefined;
+  },
+
+  add: function (run) {
+    var replica = run.timestamp & (TIMESTAMP_STEP - 1);
+    var runs = this._runs[replica];
+    if (runs === undefined)
+      runs = this._runs[replica] = [];
+    runs.splice(this._search(runs, run.timestamp) + 1, 0, run);
+    this.size++;
+  },
+
+  delete: function (run) {
+    var runs = this._runs[run.timestamp & (TIMESTAMP_STEP - 1)];
+    var i = runs === undefined ? -1 : this._search(runs, run.timestamp);
+    if (i !== -1 && runs[i] === run) {
+      runs.splice(i, 1);
+      this.size--;
+    }
+  },
+
+  forEach: function (callback) {
+    for (var replica in this._runs)
+      this._runs[replica].forEach(function (run) { callback(run); });
+  }
+};
+
+// The number of characters in a node. (The leftmost node has no characters,
+// but it does have a timestamp, so as far as the index is concerned, it has
+// one.)
+function nodeLength(node) {
+  return node.chr.length || 1;
+}
+
+// Return the position within `node` of the character with timestamp t.
+function offsetInNode(node, t) {
+  return (t - node.timestamp) / TIMESTAMP_STEP;
+}
+
+// Add the `n` characters with consecutive timestamps starting at `t` to an
+// array of [t, n] ranges (see RGA#_downstream_removeRange).
+function appendRange(ranges, t, n) {
+  var last = ranges[ranges.length - 1];
+  if (last !== undefined && last[0] + last[1] * TIMESTAMP_STEP === t)
+    last[1] += n;
+  else
+    ranges.push([t, n]);
+}
+
+// Return the timestamp of the last character in `node`.
+function lastTimestamp(node) {
+  return node.timestamp + (nodeLength(node) - 1) * TIMESTAMP_STEP;
+}
+
+function countNewlines(str) {
+  var n = 0;
+  for (var i = str.indexOf("\n"); i !== -1; i = str.indexOf("\n", i + 1))
+    n++;
+  return n;
+}
+
+function visibleLength(node) {
+  return node.removed ? 0 : node.chr.length;
+}
+
+function visibleNewlines(node) {
+  return node.removed ? 0 : node.newlines;
+}
+
+// A balanced binary tree (a treap) of the nodes of an RGA, in document order.
+// It lets us convert between nodes and positions in the visible text in
+// O(log n) time, rather than walking the whole linked list.
+//
+// The tree is threaded through the nodes themselves. Each node gets these
+// extra fields:
+//
+// - `parent`, `lo`, `hi`: its parent and children in the tree
+// - `priority`: a random number; parents' priorities are greater than their
+//   children's, which keeps the tree balanced (on average)
+// - `newlines`: the number of newlines in `node.chr`
+// - `totalLength`, `totalNewlines`: the number of visible characters and
+//   newlines in the node's subtree
+//
+function PositionTree(first) {
+  this.root = first;
+  this._init(first);
+}
+
+PositionTree.prototype = {
+  constructor: PositionTree,
+
+  _init: function (node) {
+    node.parent = node.lo = node.hi = undefined;
+    node.priority = Math.random();
+    node.newlines = countNewlines(node.chr);
+    node.totalLength = visibleLength(node);
+    node.totalNewlines = visibleNewlines(node);
+  },
+
+  _recompute: function (node) {
+    var lo = node.lo, hi = node.hi;
+    node.totalLength = visibleLength(node) +
+      (lo === undefined ? 0 : lo.totalLength) +
+      (hi === undefined ? 0 : hi.totalLength);
+    node.totalNewlines = visibleNewlines(node) +
+      (lo === undefined ? 0 : lo.totalNewlines) +
+      (hi === undefined ? 0 : hi.totalNewlines);
+  },
+
+  // Call this after changing `node.chr` or `node.removed`.
+  update: function (node) {
+    node.newlines = countNewlines(node.chr);
+    for (; node !== undefined; node = node.parent)
+      this._recompute(node);
+  },
+
+  // Swap `node` with its parent, keeping the order of the nodes the same.
+  _rotateUp: function (node) {
+    var parent = node.parent, grandparent = parent.parent;
+    if (parent.lo === node) {
+      parent.lo = node.hi;
+      if (node.hi !== undefined)
+        node.hi.parent = parent;
+      node.hi = parent;
+    } else {
+      parent.hi = node.lo;
+      if (node.lo !== undefined)
+        node.lo.parent = parent;
+      node.lo = parent;
+    }
+    parent.parent = node;
+    node.parent = grandparent;
+    if (grandparent === undefined)
+      this.root = node;
+    else if (grandparent.lo === parent)
+      grandparent.lo = node;
+    else
+      grandparent.hi = node;
+    this._recompute(parent);
+    this._recompute(node);
+  },
+
+  // Add `node` to the tree, right after `prev`.
+  insertAfter: function (prev, node) {
+    this._init(node);
+    var parent = prev;
+    if (parent.hi === undefined) {
+      parent.hi = node;
+    } else {
+      parent = parent.hi;
+      while (parent.lo !== undefined)
+        parent = parent.lo;
+      parent.lo = node;
+    }
+    node.parent = parent;
+    this.update(parent);
+    while (node.parent !== undefined && node.parent.priority < node.priority)
+      this._rotateUp(node);
+  },
+
+  delete: function (node) {
+    // Rotate the node down to a leaf, then snip it off.
+    while (node.lo !== undefined || node.hi !== undefined) {
+      var child = node.hi === undefined || (node.lo !== undefined && node.lo.priority > node.hi.priority)
+        ? node.lo
+        : node.hi;
+      this._rotateUp(child);
+    }
+    var parent = node.parent;
+    if (parent === undefined) {
+      this.root = undefined;
+    } else {
+      if (parent.lo === node)
+        parent.lo = undefined;
+      else
+        parent.hi = undefined;
+      this.update(parent);
+    }
+    node.parent = undefined;
+  },
+
+  // Return the number of visible characters before `node`.
+  offsetOf: function (node) {
+    var n = node.lo === undefined ? 0 : node.lo.totalLength;
+    for (; node.parent !== undefined; node = node.parent) {
+      var parent = node.parent;
+      if (parent.hi === node)
+        n += visibleLength(parent) + (parent.lo === undefined ? 0 : parent.lo.totalLength);
+    }
+    return n;
+  },
+
+  // Find the visible character at the given offset in the text. Returns
+  // {node, offset}, where `offset` is the position of the character within
+  // `node`; or undefined if the text isn't that long.
+  locate: function (offset) {
+    var node = this.root;
+    while (node !== undefined) {
+      var before = node.lo === undefined ? 0 : node.lo.totalLength;
+      if (offset < before) {
+        node = node.lo;
+      } else {
+        offset -= before;
+        if (offset < visibleLength(node))
+          return {node: node, offset: offset};
+        offset -= visibleLength(node);
+        node = node.hi;
+      }
+    }
+    return undefined;
+  },
+
+  // Return the number of newlines among the first `offset` visible characters.
+  _newlinesBefore: function (offset) {
+    var count = 0;
+    var node = this.root;
+    while (node !== undefined) {
+      var before = node.lo === undefined ? 0 : node.lo.totalLength;
+      if (offset < before) {
+        node = node.lo;
+      } else {
+        offset -= before;
+        count += node.lo === undefined ? 0 : node.lo.totalNewlines;
+        if (offset <= visibleLength(node))
+          return count + (node.removed ? 0 : countNewlines(node.chr.slice(0, offset)));
+        offset -= visibleLength(node);
+        count += visibleNewlines(node);
+        node = node.hi;
+      }
+    }
+    return count;
+  },
+
+  // Return the offset of the (k+1)th visible newline in the text.
+  _offsetOfNewline: function (k) {
+    var base = 0;
+    var node = this.root;
+    while (node !== undefined) {
+      var before = node.lo === undefined ? 0 : node.lo.totalNewlines;
+      if (k < before) {
+        node = node.lo;
+      } else {
+        k -= before;
+        base += node.lo === undefined ? 0 : node.lo.totalLength;
+        if (k < visibleNewlines(node)) {
+          var i = node.chr.indexOf("\n");
+          for (; k > 0; k--)
+            i = node.chr.indexOf("\n", i + 1);
+          return base + i;
+        }
+        k -= visibleNewlines(node);
+        base += visibleLength(node);
+        node = node.hi;
+      }
+    }
+    throw new Error("PositionTree: there aren't that many newlines");
+  },
+
+  // Convert an offset in the visible text to {row, column} coordinates.
+  rowColumn: function (offset) {
+    var row = this._newlinesBefore(offset);
+    var column = row === 0 ? offset : offset - this._offsetOfNewline(row - 1) - 1;
+    return {row: row, column: column};
+  },
+
+  // Convert {row, column} coordinates to an offset in the visible text.
+  offsetOfRowColumn: function (loc) {
+    return (loc.row === 0 ? 0 : this._offsetOfNewline(loc.row - 1) + 1) + loc.column;
+  }
+};
+
 // An RGA is a replicated string.
 function RGA(id, history, queue) {
   // Each replica has an ID. These must be unique, mainly because the RGA
@@ -27,24 +371,68 @@ function RGA(id, history, queue) {
   // contains a strong reference (the `.next` field) to the next node, the only
   // node we really need a reference to is `this.left`. From here, we can use
   // the `.next` fields to walk the whole rest of the string.
+  //
+  // To save space, a node can hold a whole run of characters, as long as they
+  // were created one after another by the same replica, so that their
+  // timestamps are consecutive, and they have all been removed (at the same
+  // time) or none of them have. That's usually the case for text that was
+  // typed or pasted in. When an insert or remove lands in the middle of a
+  // run, the node is split in two (see `_split`).
   this.left = {
     next: undefined,  // Each node has a reference to the next node (undefined if no next node).
-    timestamp: -1,    // Unique timestamp when this node was created.
-    chr: undefined,   // The character.
-    removed: false    // True if anyone has deleted this character.
+    timestamp: -1,    // Unique timestamp when the first character was created.
+    chr: "",          // The characters.
+    removed: false,   // True if anyone has deleted these characters.
+    removedAt: undefined  // The timestamp of the last op that removed or revived them.
   };
 
   // We need to find nodes quickly by their timestamp, so keep a table.
-  this._index = new Map([[this.left.timestamp, this.left]]);
+  this._index = new RunTable(nodeLength);
+  this._index.add(this.left);
+
+  // We also need to find nodes by their position in the text, and vice versa.
+  this._tree = new PositionTree(this.left);
+
+  // Removed nodes are eventually garbage-collected (see collectGarbage).
+  // This table records which characters were collected, in runs of the form
+  // `{timestamp, length, prev, next}`, where `prev` is the timestamp of the
+  // character that preceded them, in case some late op still refers to them,
+  // and `next` is the timestamp of the one that followed them (null at the
+  // end of the document; undefined if we don't know), for marks anchored to
+  // them (see `_resolveAnchor`).
+  this._collected = new RunTable(function (run) { return run.length; });
+
+  // Formatting, as mark ops by timestamp (see `format`).
+  this._marks = new Map();
 
   // This is for assigning a unique timestamp to each new character
   // the user types in.
   this._nextTimestamp = id;
 
+  // For each replica id, the latest timestamp we've seen from that replica.
+  // Since each replica's ops reach us in the order they happened, this tells
+  // us exactly which ops we have. See `versionVector()`.
+  this._versions = Object.create(null);
+
+  // An op can't be applied until we have the characters it refers to. Ops
+  // that arrive before those characters wait here, as entries of the form
+  // `{sender, op, missing, since}`: `missing` is the timestamp of a character
+  // we don't have yet (undefined once the op is ready to go), and `since` is
+  // when the op arrived, in milliseconds. See `_hold`.
+  this._pending = [];
+  this._pendingTimer = undefined;
+
+  // How long to wait for a missing character before giving up on the ops
+  // that need it, in milliseconds.
+  this.pendingTimeout = RGA.PENDING_TIMEOUT;
+
   // The rest of this stuff is necessary in order to forward change events
   // around. When this RGA is tied to other RGAs, they'll grab the `.downstream`
   // method and use it as a callback.
   this._subscribers = [];
+  this._errorListeners = [];
+  this._changeListeners = [];
+  this._changes = undefined;  // changes made by the op being applied, if anyone's listening
   this._queue = queue || RGA._browserQueue;
   this._onDestroy = [];
   var self = this;
@@ -62,6 +450,50 @@ function RGA(id, history, queue) {
   }
 }
 
+// The largest valid replica id.
+RGA.MAX_REPLICA_ID = (1 << MAX_REPLICA_ID_BITS) - 1;
+
+// The default for RGA#pendingTimeout: 30 seconds.
+RGA.PENDING_TIMEOUT = 30000;
+
+// The kinds of formatting there are (see RGA#format). A mark that `expands`
+// takes in text typed right at its end, the way text typed at the end of a
+// bold word is bold too. A link doesn't.
+RGA.MARKS = {
+  bold: {expands: true},
+  italic: {expands: true},
+  highlight: {expands: true},
+  link: {expands: false}
+};
+
+// Return the replica id of whoever made `op`, or null if there's no telling.
+// (Removals made by older clients carry no timestamp of their own.)
+RGA.authorOf = function authorOf(op) {
+  var t = op.type === "addRight" || op.type === "addRun" || op.type === "mark" ? op.t : op.rt;
+  return t === undefined ? null : t & RGA.MAX_REPLICA_ID;
+};
+
+// A table of runs of characters (see RunTable above), for validate.js.
+RGA.RunTable = RunTable;
+
+// Given an array of version vectors, return the version vector that all of
+// them cover: the ops every one of those replicas has seen.
+RGA.stableVector = function stableVector(vectors) {
+  var result = {};
+  if (vectors.length === 0)
+    return result;
+  for (var replica in vectors[0]) {
+    var t = vectors[0][replica];
+    for (var i = 1; i < vectors.length && t !== undefined; i++) {
+      var other = vectors[i][replica];
+      t = other === undefined ? undefined : Math.min(t, other);
+    }
+    if (t !== undefined)
+      result[replica] = t;
+  }
+  return result;
+};
+
 RGA._nextIdForLogging = 100;
 RGA._logging = false;
 
@@ -78,35 +510,340 @@ RGA.prototype = {
     return t;
   },
 
-  // Apply an operation and broadcast it to other replicas.
+  // Note that we've seen an op with timestamp t.
+  _observe: function (t) {
+    // Any future timestamps we generate must be after timestamps we've
+    // observed.
+    if (t >= this._nextTimestamp) {
+      // (Timestamps outgrow 32 bits in long documents, so no bitwise
+      // operators here.)
+      var next = Math.floor(t / TIMESTAMP_STEP) + 1;
+      this._nextTimestamp = next * TIMESTAMP_STEP + this.id;
+    }
+
+    var replica = t & ((1 << MAX_REPLICA_ID_BITS) - 1);
+    var latest = this._versions[replica];
+    if (latest === undefined || t > latest)
+      this._versions[replica] = t;
+  },
+
+  // Change this replica's id. Timestamps we've already generated stay as they
+  // are; new ones will be unique under the new id.
+  _setId: function (id) {
+    if (typeof id !== "number" || (id | 0) !== id || id < 0 || id >= (1 << MAX_REPLICA_ID_BITS))
+      throw new TypeError("RGA: not a valid id");
+    var next = Math.floor(this._nextTimestamp / TIMESTAMP_STEP);
+    this.id = id;
+    this._nextTimestamp = next * TIMESTAMP_STEP + id;
+    this.downstream._id = id;
+  },
+
+  // Return a version vector summarizing which ops this replica has seen: an
+  // object mapping each replica id to the latest timestamp from that
+  // replica. Pass it to another replica's `historySince` method to find out
+  // what this one is missing.
+  versionVector: function () {
+    var v = {};
+    for (var replica in this._versions)
+      v[replica] = this._versions[replica];
+    return v;
+  },
+
+  // Apply an operation and broadcast it to other replicas. Returns false if
+  // the op wasn't applied: because we already had it (see
+  // `_skipIfApplied`), or because it has to wait for characters we don't
+  // have yet (see `_hold`).
   _downstream: function (sender, op) {
     //this._log("replica " + this.id + " received " + JSON.stringify(op) + " from " + sender._id);
+    if (this._skipIfApplied(op) || this._hold(sender, op))
+      return false;
+    if ((op.type === "addRight" || op.type === "addRun") &&
+        !this._index.has(op.prev) && this._collected.has(op.prev)) {
+      // Our neighbors may have never heard of op.prev. Pass along an op they
+      // can apply.
+      op = Object.assign({}, op, {prev: this._resolve(op.prev)});
+    }
     var self = this.downstream;
+    var changes = this._changeListeners.length > 0 ? [] : undefined;
+    this._changes = changes;
     this["_downstream_" + op.type].call(this, op);
+    this._changes = undefined;
     var queue = this._queue;
     this._subscribers.forEach(function (callback) {
       if (callback !== sender)
         queue.defer(function () { callback(self, op); });
     });
+    if (changes !== undefined && changes.length > 0)
+      this._emitChanges(changes, sender === self, RGA.authorOf(op));
+    if (this._pending.length > 0 && (op.type === "addRight" || op.type === "addRun"))
+      this._release(op.t & ((1 << MAX_REPLICA_ID_BITS) - 1));
+    return true;
+  },
+
+  // If we've already applied `op`, return true, and the op should be dropped
+  // without passing it along. A transport that retransmits messages may
+  // deliver the same op more than once, and forwarding every copy to every
+  // neighbor would multiply them.
+  //
+  // Each op is identified by its kind and its timestamp. An add op is one we
+  // have if we have its first character. An op that removes or revives
+  // characters is one we have if every character it touches was last removed
+  // or revived by that op, or by a later one that overrides it; applying it
+  // again would change nothing. (In the latter case it's news to us, but
+  // not to our neighbors, who got the later op from us.)
+  _skipIfApplied: function (op) {
+    var applied;
+    switch (op.type) {
+    case "addRight":
+    case "addRun":
+      return this._knows(op.t);
+    case "remove":
+      applied = this._noneSuperseded([[op.t, 1]], op.rt);
+      break;
+    case "removeRange":
+    case "unremove":
+      applied = this._noneSuperseded(op.ranges, op.rt);
+      break;
+    case "mark":
+      return this._marks.has(op.t);
+    default:
+      return false;
+    }
+    if (applied && op.rt !== undefined)
+      this._observe(op.rt);
+    return applied;
+  },
+
+  // True if none of the characters in `ranges` would be changed by an op with
+  // removal timestamp `rt` (see `supersedes`), and we know about all of them.
+  _noneSuperseded: function (ranges, rt) {
+    for (var r = 0; r < ranges.length; r++) {
+      var start = ranges[r][0], n = ranges[r][1];
+      for (var i = 0; i < n;) {
+        var t = start + i * TIMESTAMP_STEP;
+        var node = this._index.get(t);
+        if (node !== undefined) {
+          if (supersedes(node, rt))
+            return false;
+          i += nodeLength(node) - offsetInNode(node, t);
+          continue;
+        }
+        var run = this._collected.get(t);
+        if (run === undefined)
+          return false;
+        i += run.length - offsetInNode(run, t);
+      }
+    }
+    return true;
+  },
+
+  // True if we have the character with timestamp t, or had it before it was
+  // garbage-collected.
+  _knows: function (t) {
+    return this._index.has(t) || this._collected.has(t);
+  },
+
+  // Return the timestamp of a character `op` refers to that we don't have,
+  // or undefined if we have them all. If `added` is given, it's a RunTable of
+  // runs `{timestamp, length}` of characters that are on their way, and
+  // count as ones we have.
+  _missingDependency: function (op, added) {
+    var self = this;
+    function knows(t) {
+      return self._knows(t) || (added !== undefined && added.has(t));
+    }
+    switch (op.type) {
+    case "addRight":
+    case "addRun":
+      return knows(op.prev) ? undefined : op.prev;
+    case "remove":
+      return knows(op.t) ? undefined : op.t;
+    case "removeRange":
+    case "unremove":
+      for (var r = 0; r < op.ranges.length; r++) {
+        var start = op.ranges[r][0], n = op.ranges[r][1];
+        for (var i = 0; i < n;) {
+          var t = start + i * TIMESTAMP_STEP;
+          var node = this._index.get(t);
+          if (node !== undefined) {
+            i += nodeLength(node) - offsetInNode(node, t);
+            continue;
+          }
+          var run = this._collected.get(t);
+          if (run === undefined && added !== undefined)
+            run = added.get(t);
+          if (run === undefined)
+            return t;
+          i += run.length - offsetInNode(run, t);
+        }
+      }
+      return undefined;
+    case "mark":
+      if (!knows(op.start[0]))
+        return op.start[0];
+      if (op.end !== null && !knows(op.end[0]))
+        return op.end[0];
+      return undefined;
+    }
+    return undefined;
+  },
+
+  // If `op` refers to characters we don't have yet, set it aside and return
+  // true. A transport that reorders messages may deliver an op before the
+  // one that added a character it refers to; once that character arrives,
+  // the op is delivered again (see `_release`).
+  //
+  // This only orders ops that depend on each other. Unrelated ops may still
+  // be applied out of order, and then our version vector may claim an op
+  // we haven't seen yet; so reconnecting via `historySince` is only exact
+  // over transports that keep each replica's ops in order, like socket.io.
+  //
+  // If the character doesn't show up within `this.pendingTimeout`
+  // milliseconds, we give up on the ops waiting for it and emit an "error"
+  // event saying what went missing.
+  _hold: function (sender, op) {
+    var missing = this._missingDependency(op);
+    if (missing === undefined)
+      return false;
+    this._pending.push({sender: sender, op: op, missing: missing, since: Date.now()});
+    this._schedulePendingTimeout();
+    return true;
+  },
+
+  // Return the number of ops waiting for characters we don't have yet.
+  pendingCount: function () {
+    return this._pending.length;
+  },
+
+  // Some characters from `replica` just arrived. Deliver the waiting ops that
+  // don't need anything else.
+  _release: function (replica) {
+    var self = this;
+    var mask = (1 << MAX_REPLICA_ID_BITS) - 1;
+    this._pending.forEach(function (entry) {
+      if (entry.missing === undefined || (entry.missing & mask) !== replica)
+        return;
+      entry.missing = self._missingDependency(entry.op);
+      if (entry.missing !== undefined)
+        return;
+      // Deliver it the usual way, as if it had just come in, so that
+      // subclasses (and the DocumentStore) see it like any other op.
+      self._queue.defer(function () {
+        var i = self._pending.indexOf(entry);
+        if (i !== -1 && !self.wasDestroyed()) {
+          self._pending.splice(i, 1);
+          self.downstream(entry.sender, entry.op);
+        }
+      });
+    });
+  },
+
+  _schedulePendingTimeout: function () {
+    if (this._pendingTimer !== undefined)
+      return;
+    var self = this;
+    this._pendingTimer = setTimeout(function () {
+      self._pendingTimer = undefined;
+      self._expirePending(Date.now());
+    }, this.pendingTimeout);
+    if (this._pendingTimer.unref)
+      this._pendingTimer.unref();  // Node only: don't keep the process alive just for this.
+  },
+
+  // Give up on ops that have been waiting since before `now - pendingTimeout`.
+  _expirePending: function (now) {
+    var deadline = now - this.pendingTimeout;
+    var expired = this._pending.filter(function (entry) {
+      return entry.missing !== undefined && entry.since <= deadline;
+    });
+    if (expired.length > 0) {
+      this._pending = this._pending.filter(function (entry) {
+        return expired.indexOf(entry) === -1;
+      });
+      var missing = [];
+      expired.forEach(function (entry) {
+        if (missing.indexOf(entry.missing) === -1)
+          missing.push(entry.missing);
+      });
+      var error = new Error(
+        "RGA " + this.id + ": gave up on " + expired.length + " op(s) after waiting " +
+        this.pendingTimeout + "ms for characters that never arrived: " +
+        missing.map(describeTimestamp).join(", "));
+      error.missing = missing;
+      error.ops = expired.map(function (entry) { return entry.op; });
+      this._emitError(error);
+    }
+    if (this._pending.some(function (entry) { return entry.missing !== undefined; }))
+      this._schedulePendingTimeout();
+  },
+
+  _emitError: function (error) {
+    if (this._errorListeners === undefined || this._errorListeners.length === 0) {
+      console.error(error.message);
+      return;
+    }
+    this._errorListeners.forEach(function (callback) {
+      callback(error);
+    });
   },
 
   // Return an array of ops that builds the entire document.
   history: function () {
+    return this.historySince(undefined);
+  },
+
+  // Return an array of the ops a replica with the given version vector is
+  // missing. (If `vector` is undefined, return the entire history.)
+  //
+  // The ops are not necessarily the ones that originally created the
+  // document: each run of characters is added right after its current
+  // predecessor, which amounts to the same thing. Either the other replica
+  // already has that predecessor, or it's sent earlier in the array. Mark ops
+  // come last, after all the characters they could refer to.
+  historySince: function (vector) {
     var h = [];
-    var prev = this.left;
-    var curr = prev.next;
-    while (curr !== undefined) {
-      h.push({
-        type: "addRight",
-        prev: prev.timestamp,
-        t: curr.timestamp,
-        chr: curr.chr
-      });
-      if (curr.removed)
-        h.push({type: "remove", t: curr.timestamp});
-      prev = curr;
-      curr = curr.next;
+    var prev = this.left.timestamp;
+    for (var node = this.left.next; node !== undefined; node = node.next) {
+      // The characters in a node all come from one replica, so the ones
+      // `vector` doesn't cover are at the end.
+      var n = node.chr.length;
+      var covered = 0;
+      while (covered < n && vectorHas(vector, node.timestamp + covered * TIMESTAMP_STEP))
+        covered++;
+      if (covered < n) {
+        var t = node.timestamp + covered * TIMESTAMP_STEP;
+        var after = covered === 0 ? prev : t - TIMESTAMP_STEP;
+        if (n - covered === 1)
+          h.push({type: "addRight", prev: after, t: t, chr: node.chr[covered]});
+        else
+          h.push({type: "addRun", prev: after, t: t, str: node.chr.slice(covered)});
+      }
+      if (node.removed && !vectorHas(vector, node.removedAt)) {
+        var op = n === 1
+          ? {type: "remove", t: node.timestamp}
+          : {type: "removeRange", ranges: [[node.timestamp, n]]};
+        if (node.removedAt !== undefined)
+          op.rt = node.removedAt;
+        h.push(op);
+      } else if (!node.removed && node.removedAt !== undefined && !vectorHas(vector, node.removedAt)) {
+        // These characters were removed and then revived. Send the op that
+        // revived them, so that it still wins over any late removals.
+        h.push({type: "unremove", ranges: [[node.timestamp, n]], rt: node.removedAt});
+      }
+      prev = lastTimestamp(node);
     }
+    var self = this;
+    this._marks.forEach(function (op) {
+      if (vectorHas(vector, op.t))
+        return;
+      // Move anchors off collected characters, which the other replica may
+      // never have had.
+      var start = self._resolveAnchor(op.start);
+      if (start === null)
+        return;  // It covers nothing, and never will.
+      var end = op.end === null ? null : self._resolveAnchor(op.end);
+      h.push({type: "mark", t: op.t, name: op.name, value: op.value, start: start, end: end});
+    });
     return h;
   },
 
@@ -124,29 +861,144 @@ RGA.prototype = {
     return t;
   },
 
+  // Insert the string `str` after the character with timestamp `prev`. The
+  // characters get consecutive timestamps. Returns the timestamp of the last
+  // one.
+  addRun: function (prev, str) {
+    var target = this._index.get(prev);
+    if (target === undefined)
+      throw new Error("insertion point is not in the array");
+    if (target.removed)
+      throw new Error("insertion point is removed from the array");
+    if (typeof str !== "string" || str.length === 0)
+      throw new Error("addRun: expected a nonempty string");
+
+    var t = this._nextTimestamp;
+    this._nextTimestamp += str.length * TIMESTAMP_STEP;
+    this.downstream(this.downstream, {
+      type: "addRun", prev: prev, t: t, str: str
+    });
+    return t + (str.length - 1) * TIMESTAMP_STEP;
+  },
+
   _downstream_addRight: function (op) {
-    // Any future timestamps we generate must be after timestamps we've
-    // observed.
-    if (op.t >= this._nextTimestamp) {
-      var t = (op.t >>> MAX_REPLICA_ID_BITS) + 1;
-      this._nextTimestamp = (t << MAX_REPLICA_ID_BITS) + this.id;
-    }
+    this._add(op.prev, op.t, op.chr);
+  },
+
+  // An addRun op is just like a series of addRight ops, each one adding a
+  // character right after the previous one. Since the first character
+  // stops in front of the first existing character with a smaller timestamp,
+  // and the rest have even greater timestamps, they all end up together.
+  _downstream_addRun: function (op) {
+    this._add(op.prev, op.t, op.str);
+  },
 
-    var pred = this._index.get(op.prev);
-    if (pred === undefined)
+  _add: function (prev, t, str) {
+    this._observe(t + (str.length - 1) * TIMESTAMP_STEP);
+
+    var where = this._insertionPoint(prev, t);
+    if (where === undefined)
       throw new Error("downstream: can't add next to unknown element!");
-    while (pred.next && op.t < pred.next.timestamp)
-      pred = pred.next;
-
-    // Splice a new node into the linked list.
-    var node = {
-      next: pred.next,
-      timestamp: op.t,
-      chr: op.chr,
-      removed: false
+    var pred = where.node;
+    if (where.offset < nodeLength(pred) - 1)
+      this._split(pred, where.offset + 1);
+
+    // If the new characters come right after the last one in `pred`, make
+    // that run longer, as far as we can.
+    var i = 0;
+    if (pred !== this.left && !pred.removed && pred.removedAt === undefined &&
+        lastTimestamp(pred) + TIMESTAMP_STEP === t && pred.chr.length < MAX_RUN_LENGTH) {
+      i = Math.min(str.length, MAX_RUN_LENGTH - pred.chr.length);
+      pred.chr += str.slice(0, i);
+      this._tree.update(pred);
+    }
+
+    // Splice new nodes into the linked list for the rest.
+    for (; i < str.length; i += MAX_RUN_LENGTH) {
+      var node = {
+        next: pred.next,
+        timestamp: t + i * TIMESTAMP_STEP,
+        chr: str.slice(i, i + MAX_RUN_LENGTH),
+        removed: false,
+        removedAt: undefined
+      };
+      pred.next = node;
+      this._index.add(node);
+      this._tree.insertAfter(pred, node);
+      pred = node;
+    }
+    if (this._changes !== undefined)
+      this._noteChange({offset: this.offsetOf(t), insert: str});
+  },
+
+  // Find where a new character with timestamp t, inserted after the character
+  // with timestamp `prev`, belongs. Returns {node, offset}, meaning that it
+  // goes right after the character at position `offset` within `node`, or
+  // undefined if `prev` is unknown.
+  //
+  // The new character skips over any characters with greater timestamps that
+  // follow `prev`, so that concurrent inserts at the same place come out in
+  // the same order everywhere. Timestamps increase from left to right within
+  // a node, so if the new character skips one character in a node, it skips
+  // all the ones after it too.
+  _insertionPoint: function (prev, t) {
+    prev = this._resolve(prev);
+    var node = this._index.get(prev);
+    if (node === undefined)
+      return undefined;
+    var offset = offsetInNode(node, prev);
+    if (offset < nodeLength(node) - 1 && t > prev + TIMESTAMP_STEP)
+      return {node: node, offset: offset};
+    while (node.next && t < node.next.timestamp)
+      node = node.next;
+    return {node: node, offset: nodeLength(node) - 1};
+  },
+
+  // Split `node` in two, just before the character at position `offset`.
+  // Returns the new node, which holds the characters from there on.
+  _split: function (node, offset) {
+    var rest = {
+      next: node.next,
+      timestamp: node.timestamp + offset * TIMESTAMP_STEP,
+      chr: node.chr.slice(offset),
+      removed: node.removed,
+      removedAt: node.removedAt
     };
-    pred.next = node;
-    this._index.set(op.t, node);
+    node.chr = node.chr.slice(0, offset);
+    node.next = rest;
+    this._index.add(rest);
+    this._tree.update(node);
+    this._tree.insertAfter(node, rest);
+    return rest;
+  },
+
+  // Return the node holding the character with timestamp t, splitting nodes
+  // as needed so that it's the only character in it.
+  _isolate: function (t) {
+    var node = this._index.get(t);
+    var offset = offsetInNode(node, t);
+    if (offset > 0)
+      node = this._split(node, offset);
+    if (node.chr.length > 1)
+      this._split(node, 1);
+    return node;
+  },
+
+  // If t is the timestamp of a node that has been garbage-collected, return
+  // the timestamp of the nearest node to its left that's still around.
+  // Otherwise return t.
+  //
+  // Since a node is collected only once every replica has seen it removed, no
+  // replica will ever insert a new character next to it. But ops computed by
+  // `historySince` may still refer to it, as may ops that were in flight.
+  _resolve: function (t) {
+    while (!this._index.has(t)) {
+      var run = this._collected.get(t);
+      if (run === undefined)
+        break;
+      t = run.prev;
+    }
+    return t;
   },
 
   _lookup: function (t) {
@@ -157,69 +1009,800 @@ RGA.prototype = {
   remove: function (t) {
     if (!this._lookup(t))
       throw new Error("can't remove node that doesn't exist");
-    this.downstream(this.downstream, {type: "remove", t: t});
+    this.downstream(this.downstream, {type: "remove", t: t, rt: this._timestamp()});
   },
 
+  // A remove op carries its own timestamp `rt`, so that version vectors can
+  // account for it. (Ops from older histories may lack it.) If a character is
+  // removed more than once, concurrently, or removed and revived, the op with
+  // the latest `rt` wins, so that all replicas agree (see `supersedes`).
   _downstream_remove: function (op) {
+    if (op.rt !== undefined)
+      this._observe(op.rt);
     var node = this._index.get(op.t);
-    if (node === undefined)
+    if (node === undefined) {
+      if (this._collected.has(op.t))
+        return;  // Already removed, and then some.
       throw new Error("downstream: can't remove unknown element!");
+    }
+    if (!supersedes(node, op.rt))
+      return;  // nothing to change
+
+    node = this._isolate(op.t);
+    if (this._changes !== undefined && !node.removed)
+      this._noteChange({offset: this._tree.offsetOf(node), delete: 1});
     node.removed = true;
+    if (op.rt !== undefined)
+      node.removedAt = op.rt;
+    this._tree.update(node);
   },
 
-  text: function () {
-    var s = "";
-    for (var node = this.left.next; node; node = node.next) {
-      if (!node.removed)
-        s += node.chr;
+  // Remove every character from the one with timestamp `first` through the
+  // one with timestamp `last`, inclusive, as a single op. Characters in
+  // between that were already removed are left alone.
+  removeRange: function (first, last) {
+    var node = this._index.get(first);
+    var lastNode = this._index.get(last);
+    if (node === undefined || lastNode === undefined)
+      throw new Error("can't remove node that doesn't exist");
+
+    var ranges = [];
+    for (var k = offsetInNode(node, first); ; node = node.next, k = 0) {
+      if (node === undefined)
+        throw new Error("removeRange: last character comes before the first");
+      var done = node === lastNode && offsetInNode(node, last) >= k;
+      var end = done ? offsetInNode(node, last) + 1 : node.chr.length;
+      if (!node.removed && k < end)
+        appendRange(ranges, node.timestamp + k * TIMESTAMP_STEP, end - k);
+      if (done)
+        break;
     }
-    return s;
+    if (ranges.length > 0)
+      this.downstream(this.downstream, {type: "removeRange", ranges: ranges, rt: this._timestamp()});
   },
 
-  // Disconnect this RGA from anything it was connected to.
-  destroy: function () {
-    this._subscribers = undefined;
-    for (var i = 0; i < this._onDestroy.length; i++)
-      this._onDestroy[i]();
-    this._onDestroy = undefined;
+  // A removeRange op removes several runs of characters at once:
+  // `op.ranges` is an array of [t, n] pairs, each one meaning the `n`
+  // characters with consecutive timestamps starting at `t`. They all share the
+  // removal timestamp `op.rt`, so the removed characters can stay in runs too.
+  _downstream_removeRange: function (op) {
+    this._setRemoved(op.ranges, true, op.rt);
   },
 
-  // Returns true if this.destroy() has been called.
-  wasDestroyed: function () {
-    return this._subscribers === undefined;
+  // An unremove op brings back removed characters, as if they had never been
+  // removed. This is how a user undoes a deletion (see RGA.UndoManager). It
+  // has the same fields as a removeRange op, and it always has an `rt`.
+  //
+  // Characters that have been garbage-collected can't be brought back. The
+  // UndoManager makes sure its own removals don't get collected while they
+  // might still be undone.
+  _downstream_unremove: function (op) {
+    this._setRemoved(op.ranges, false, op.rt);
   },
 
-  // Add an event listener. An RGA only emits one kind of event: "op".
-  on: function (type, callback) {
-    if (type === "op")
-      this._subscribers.push(callback);
+  // Mark the characters in `ranges` removed (or not), unless a later op has
+  // already decided otherwise.
+  _setRemoved: function (ranges, removed, rt) {
+    if (rt !== undefined)
+      this._observe(rt);
+    var prevChanged = undefined;
+    for (var r = 0; r < ranges.length; r++) {
+      var start = ranges[r][0], n = ranges[r][1];
+      for (var i = 0; i < n;) {
+        var t = start + i * TIMESTAMP_STEP;
+        var node = this._index.get(t);
+        if (node === undefined) {
+          var collected = this._collected.get(t);
+          if (collected === undefined)
+            throw new Error("downstream: can't remove unknown element!");
+          i += collected.length - offsetInNode(collected, t);  // already removed
+          continue;
+        }
+        var k = offsetInNode(node, t);
+        var m = Math.min(node.chr.length - k, n - i);
+        i += m;
+        if (!supersedes(node, rt))
+          continue;  // nothing to change
+
+        if (k > 0)
+          node = this._split(node, k);
+        if (node.chr.length > m)
+          this._split(node, m);
+        if (this._changes !== undefined && node.removed !== removed) {
+          this._noteChange(removed
+                           ? {offset: this._tree.offsetOf(node), delete: m}
+                           : {offset: this._tree.offsetOf(node), insert: node.chr});
+        }
+        node.removed = removed;
+        if (rt !== undefined)
+          node.removedAt = rt;
+        this._tree.update(node);
+        if (prevChanged !== undefined && prevChanged.next === node && this._canMerge(prevChanged))
+          node = this._merge(prevChanged);
+        prevChanged = node;
+      }
+    }
   },
 
-  // Remove an event listener.
-  off: function (type, callback) {
-    if (type === "op") {
-      var i = this._subscribers.indexOf(callback);
-      if (i !== -1)
-        this._subscribers.splice(i, 1);
+  // Return the parts of `ranges` that are removed now, but that an unremove
+  // op with timestamp `rt` would bring back.
+  _revivable: function (ranges, rt) {
+    var revivable = [];
+    for (var r = 0; r < ranges.length; r++) {
+      var start = ranges[r][0], n = ranges[r][1];
+      for (var i = 0; i < n;) {
+        var t = start + i * TIMESTAMP_STEP;
+        var node = this._index.get(t);
+        if (node === undefined) {
+          i++;  // collected
+          continue;
+        }
+        var k = offsetInNode(node, t);
+        var m = Math.min(node.chr.length - k, n - i);
+        if (node.removed && supersedes(node, rt))
+          appendRange(revivable, t, m);
+        i += m;
+      }
     }
+    return revivable;
   },
 
-  _log: function () {
-    if (RGA._logging)
-      console.log
-        .bind(console, "{" + this.constructor.name + this._idForLogging + "}:")
-        .apply(undefined, arguments);
-  }
-};
-
-// Cause two RGA objects to update each other.
-// They must initially contain the same history.
-RGA.tie = function tie(a, b) {
-  if (JSON.stringify(a.history()) != JSON.stringify(b.history()))
-    throw new Error("RGA.tie: arguments must start out already in sync");
-
-  a.on("op", b.downstream);
-  b.on("op", a.downstream);
+  // Format the characters from the one with timestamp `first` through the one
+  // with timestamp `last`, inclusive: set the mark `name` (see RGA.MARKS) to
+  // `value`, or take it off if `value` is null. A link's value is its URL;
+  // for the others, true will do. Returns the timestamp of the new op.
+  //
+  // Formatting is modeled on Peritext (Litt et al., "Peritext: A CRDT for
+  // Collaborative Rich Text Editing", 2022). A mark op doesn't list the
+  // characters it covers. Instead, each end is anchored to a character, just
+  // before or just after it, and the op covers every character between the
+  // two anchors, including ones inserted there later. Where several ops
+  // covering a character set the same mark, the one with the latest timestamp
+  // wins, so concurrent overlapping formats come out the same everywhere.
+  //
+  // The start is anchored just before `first`, so text typed in front of
+  // the range isn't included. The end is anchored just after `last`, unless
+  // the mark expands, in which case it's anchored just before the next
+  // visible character (or at the end of the document), so that text typed
+  // right after the range is included.
+  format: function (first, last, name, value) {
+    if (!Object.prototype.hasOwnProperty.call(RGA.MARKS, name))
+      throw new Error("format: unknown mark " + JSON.stringify(name));
+    if (!this._lookup(first) || !this._lookup(last))
+      throw new Error("format: character doesn't exist");
+
+    // Make sure `last` doesn't come before `first`, and find the next visible
+    // character after it.
+    var node = this._index.get(first);
+    var lastNode = this._index.get(last);
+    for (var k = offsetInNode(node, first); ; node = node.next, k = 0) {
+      if (node === undefined)
+        throw new Error("format: last character comes before the first");
+      if (node === lastNode && offsetInNode(node, last) >= k)
+        break;
+    }
+    var end = [last, "after"];
+    if (RGA.MARKS[name].expands) {
+      k = offsetInNode(node, last) + 1;
+      while (node !== undefined && (node.removed || k >= node.chr.length)) {
+        node = node.next;
+        k = 0;
+      }
+      end = node === undefined ? null : [node.timestamp + k * TIMESTAMP_STEP, "before"];
+    }
+
+    var t = this._timestamp();
+    this.downstream(this.downstream, {
+      type: "mark", t: t, name: name, value: value, start: [first, "before"], end: end
+    });
+    return t;
+  },
+
+  // A mark op: `{type: "mark", t, name, value, start, end}`, where `start`
+  // and `end` are anchors of the form `[t, side]`, meaning the place just
+  // "before" or just "after" the character with timestamp t. `end` may be
+  // null instead, meaning the end of the document.
+  _downstream_mark: function (op) {
+    this._observe(op.t);
+    this._marks.set(op.t, op);
+  },
+
+  // Find where a mark's anchor is now. Returns `[t, side]`, with t the
+  // timestamp of a character we still have; or null for the end of the
+  // document.
+  //
+  // Characters that have been garbage-collected are gone, but marks may be
+  // anchored to them. Nothing can be inserted between collected characters
+  // and the character that followed them, because new characters are never
+  // inserted next to collected ones (see `_resolve`) and skip over older ones
+  // (see `_insertionPoint`). So an anchor on either side of a collected
+  // character is as good as an anchor just before that next character.
+  _resolveAnchor: function (anchor) {
+    var t = anchor[0], side = anchor[1];
+    while (!this._index.has(t)) {
+      var run = this._collected.get(t);
+      if (run === undefined || run.next === undefined) {
+        // Collected before we kept track of what came next. This is close.
+        return [this._resolve(t), "after"];
+      }
+      if (run.next === null)
+        return null;
+      t = run.next;
+      side = "before";
+    }
+    return [t, side];
+  },
+
+  // Return the visible text, with its formatting, as an array of runs of the
+  // form `{text, marks}`, where `marks` maps the name of each mark (see
+  // RGA.MARKS) set on the run's characters to its value. Adjacent runs have
+  // different marks.
+  formattedRuns: function () {
+    // Find out which characters have anchors next to them.
+    var events = new Map();     // character timestamp -> array of anchors
+    var eventNodes = new Set();
+    var self = this;
+    function addEvent(anchor, op, isEnd) {
+      var at = self._resolveAnchor(anchor);
+      if (at === null)
+        return;  // The end of the document; nothing comes after it.
+      if (!events.has(at[0]))
+        events.set(at[0], []);
+      events.get(at[0]).push({op: op, side: at[1], isEnd: isEnd});
+      eventNodes.add(self._index.get(at[0]));
+    }
+    this._marks.forEach(function (op) {
+      addEvent(op.start, op, false);
+      if (op.end !== null)
+        addEvent(op.end, op, true);
+    });
+
+    // Walk the document, keeping track of which ops cover each character.
+    var state = new Map();          // op -> "active", or "done" once it has ended
+    var active = Object.create(null);  // mark name -> array of active ops
+    var marks = {};                 // the marks on the characters here
+    var key = "{}";                 // JSON of `marks`
+    function pass(list, side) {
+      list.forEach(function (e) {
+        if (e.side !== side)
+          return;
+        var ops = active[e.op.name] || (active[e.op.name] = []);
+        if (e.isEnd) {
+          if (state.get(e.op) === "active")
+            ops.splice(ops.indexOf(e.op), 1);
+          state.set(e.op, "done");
+        } else if (!state.has(e.op)) {
+          state.set(e.op, "active");
+          ops.push(e.op);
+        }
+      });
+      marks = {};
+      Object.keys(active).sort().forEach(function (name) {
+        var winner = active[name].reduce(function (a, b) {
+          return a === undefined || b.t > a.t ? b : a;
+        }, undefined);
+        if (winner !== undefined && winner.value !== null)
+          marks[name] = winner.value;
+      });
+      key = JSON.stringify(marks);
+    }
+
+    var runs = [];
+    var lastKey = undefined;
+    function emit(str) {
+      if (str === "")
+        return;
+      if (key === lastKey) {
+        runs[runs.length - 1].text += str;
+      } else {
+        runs.push({text: str, marks: marks});
+        lastKey = key;
+      }
+    }
+
+    for (var node = this.left; node !== undefined; node = node.next) {
+      if (!eventNodes.has(node)) {
+        if (!node.removed)
+          emit(node.chr);
+        continue;
+      }
+      for (var k = 0; k < nodeLength(node); k++) {
+        var list = events.get(node.timestamp + k * TIMESTAMP_STEP);
+        if (list !== undefined)
+          pass(list, "before");
+        if (!node.removed)
+          emit(node.chr.charAt(k));
+        if (list !== undefined)
+          pass(list, "after");
+      }
+    }
+    return runs;
+  },
+
+  // Apply a delta (see RGA.checkDelta) to the RGA, without the checks that
+  // `applyDelta` does, and without delivering the ops to `this.downstream`:
+  // subclasses use this to apply changes that already happened elsewhere (in
+  // an editor, say). Returns the ops.
+  _applyDelta: function (delta) {
+    var source = this.downstream;
+    var applied = [];
+    var prev = this.left.timestamp;  // new text goes after this character
+    var pos = 0;                     // offset of the next visible character
+    var ops = delta.ops;
+    for (var i = 0; i < ops.length; i++) {
+      var op = ops[i];
+      //this._log("* applying", op);
+      if ("retain" in op) {
+        if (op.retain > 0) {
+          pos += op.retain;
+          var where = this._tree.locate(pos - 1);
+          prev = where.node.timestamp + where.offset * TIMESTAMP_STEP;
+        }
+      } else if ("delete" in op) {
+        if (op.delete === 0)
+          continue;
+        var ranges = [];
+        var where = this._tree.locate(pos);
+        for (var node = where.node, k = where.offset, n = op.delete; n > 0; node = node.next, k = 0) {
+          if (!node.removed) {
+            var m = Math.min(node.chr.length - k, n);
+            appendRange(ranges, node.timestamp + k * TIMESTAMP_STEP, m);
+            prev = node.timestamp + (k + m - 1) * TIMESTAMP_STEP;
+            n -= m;
+          }
+        }
+        //this._log("  - removing:", ranges);
+        var removal = op.delete === 1
+          ? {type: "remove", t: prev, rt: this._timestamp()}
+          : {type: "removeRange", ranges: ranges, rt: this._timestamp()};
+        this._downstream(source, removal);
+        applied.push(removal);
+      } else if ("insert" in op) {
+        var str = op.insert;
+        if (str.length === 0)
+          continue;
+        //this._log("  - inserting:", str);
+        var t = this._nextTimestamp;
+        this._nextTimestamp += str.length * TIMESTAMP_STEP;
+        var add = str.length === 1
+          ? {type: "addRight", prev: prev, t: t, chr: str}
+          : {type: "addRun", prev: prev, t: t, str: str};
+        this._downstream(source, add);
+        applied.push(add);
+        prev = t + (str.length - 1) * TIMESTAMP_STEP;
+        pos += str.length;
+      }
+    }
+    return applied;
+  },
+
+  // Return the `length` visible characters starting at `offset`.
+  _textAt: function (offset, length) {
+    var s = "";
+    if (length === 0)
+      return s;
+    var where = this._tree.locate(offset);
+    for (var node = where.node, k = where.offset; s.length < length; node = node.next, k = 0) {
+      if (!node.removed)
+        s += node.chr.slice(k, k + length - s.length);
+    }
+    return s;
+  },
+
+  // Return the text of the given row, or undefined if there's no such row.
+  _line: function (row) {
+    var root = this._tree.root;
+    if (row > root.totalNewlines)
+      return undefined;
+    var start = row === 0 ? 0 : this._tree._offsetOfNewline(row - 1) + 1;
+    var end = row === root.totalNewlines ? root.totalLength : this._tree._offsetOfNewline(row);
+    return this._textAt(start, end - start);
+  },
+
+  // Given an array of [t, n] ranges, as in a removeRange op, return the parts
+  // of the visible text they cover, as an array of [offset, length] spans in
+  // ascending order. If the op `removal` is given, leave out characters it
+  // wouldn't remove, because a later op has brought them back (see
+  // `supersedes`).
+  _visibleSpans: function (ranges, removal) {
+    var spans = [];
+    for (var r = 0; r < ranges.length; r++) {
+      var start = ranges[r][0], n = ranges[r][1];
+      for (var i = 0; i < n;) {
+        var t = start + i * TIMESTAMP_STEP;
+        var node = this._index.get(t);
+        if (node === undefined) {
+          i++;  // collected
+          continue;
+        }
+        var k = offsetInNode(node, t);
+        var m = Math.min(node.chr.length - k, n - i);
+        if (!node.removed && (removal === undefined || supersedes(node, removal.rt)))
+          spans.push([this._tree.offsetOf(node) + k, m]);
+        i += m;
+      }
+    }
+    spans.sort(function (a, b) { return a[0] - b[0]; });
+
+    var merged = [];
+    spans.forEach(function (span) {
+      var last = merged[merged.length - 1];
+      if (last !== undefined && last[0] + last[1] === span[0])
+        last[1] += span[1];
+      else
+        merged.push(span);
+    });
+    return merged;
+  },
+
+  // True if `node` and the node after it could be a single node.
+  _canMerge: function (node) {
+    var next = node.next;
+    return node !== this.left && next !== undefined &&
+      node.removed === next.removed &&
+      node.removedAt === next.removedAt &&
+      (!node.removed || node.removedAt !== undefined) &&
+      lastTimestamp(node) + TIMESTAMP_STEP === next.timestamp &&
+      node.chr.length + next.chr.length <= MAX_RUN_LENGTH;
+  },
+
+  // Combine `node` with the node after it. (The opposite of `_split`.)
+  _merge: function (node) {
+    var next = node.next;
+    node.chr += next.chr;
+    node.next = next.next;
+    this._index.delete(next);
+    this._tree.delete(next);
+    this._tree.update(node);
+    return node;
+  },
+
+  // Physically delete removed nodes from the document, given a version vector
+  // `stable` that's covered by every replica's version vector (see
+  // RGA.stableVector). A removed node is collected once its removal is
+  // covered by `stable` -- everyone has seen it.
+  //
+  // There's one further condition. Nodes are collected only if the next node
+  // that survives is also covered by `stable`. A new character is inserted to
+  // the left of the first node with a smaller timestamp; any character
+  // inserted from now on has a timestamp greater than every stable node's, so
+  // it would stop at the first of a run of collected nodes and at the
+  // survivor alike. Without that condition, a new character could slip past
+  // the place where the removed nodes were in one replica and not another.
+  //
+  // Nodes removed by ops that don't carry a removal timestamp (`rt`) are
+  // never collected. Returns the number of characters collected.
+  collectGarbage: function (stable) {
+    var count = 0;
+    var kept = this.left;  // the last node we're keeping
+    var run = [];          // collectable nodes since `kept`
+    for (var node = kept.next; ; node = node.next) {
+      if (node !== undefined && node.removed && vectorHas(stable, node.removedAt)) {
+        run.push(node);
+        continue;
+      }
+
+      if (run.length > 0) {
+        // If the survivor isn't stable, keep the last removed character to
+        // stand in for the rest.
+        var last = node;
+        if (node !== undefined && !vectorHas(stable, node.timestamp)) {
+          last = run.pop();
+          if (last.chr.length > 1) {
+            run.push(last);
+            last = this._split(last, last.chr.length - 1);
+          }
+        }
+        var prev = lastTimestamp(kept);
+        var next = last === undefined ? null : last.timestamp;
+        for (var i = 0; i < run.length; i++) {
+          this._index.delete(run[i]);
+          this._tree.delete(run[i]);
+          this._collected.add({timestamp: run[i].timestamp, length: run[i].chr.length, prev: prev, next: next});
+          count += run[i].chr.length;
+        }
+        kept.next = last;
+        run = [];
+
+        // With the removed characters gone, the nodes on either side may
+        // fit together again.
+        if (this._canMerge(kept)) {
+          if (node === last)
+            node = kept;
+          this._merge(kept);
+        }
+      }
+      if (node === undefined)
+        break;
+      kept = node;
+    }
+    return count;
+  },
+
+  // Return the timestamp of the visible character just before `offset` in the
+  // text, or the left edge's timestamp if `offset` is 0. That identifies a
+  // position between two characters in a way that doesn't change when text
+  // is inserted or removed elsewhere.
+  _timestampBefore: function (offset) {
+    if (offset === 0)
+      return this.left.timestamp;
+    var where = this._tree.locate(offset - 1);
+    if (where === undefined)
+      throw new Error("offset is past the end of the text");
+    return where.node.timestamp + where.offset * TIMESTAMP_STEP;
+  },
+
+  // The opposite of `_timestampBefore`: return the offset just after the
+  // character with timestamp t. If it's been removed, that's where it used
+  // to be. Returns undefined if we've never heard of t.
+  _offsetAfter: function (t) {
+    t = this._resolve(t);
+    var node = this._index.get(t);
+    if (node === undefined)
+      return undefined;
+    var offset = this._tree.offsetOf(node);
+    if (node !== this.left && !node.removed)
+      offset += offsetInNode(node, t) + 1;
+    return offset;
+  },
+
+  // The methods below let you work with the text by offset, like a string,
+  // rather than by timestamp. Offsets count visible characters only, and
+  // they change as text is inserted and removed in front of them; timestamps
+  // don't. To keep track of a position while the text changes, hold on to a
+  // timestamp.
+
+  // Return the number of visible characters.
+  length: function () {
+    return this._tree.root.totalLength;
+  },
+
+  // Return the visible character at `offset`, or "" if there isn't one (like
+  // String#charAt).
+  charAt: function (offset) {
+    var where = Number.isInteger(offset) && offset >= 0 ? this._tree.locate(offset) : undefined;
+    return where === undefined ? "" : where.node.chr[where.offset];
+  },
+
+  // Return the timestamp of the visible character at `offset`, or undefined
+  // if there isn't one.
+  timestampAt: function (offset) {
+    var where = Number.isInteger(offset) && offset >= 0 ? this._tree.locate(offset) : undefined;
+    return where === undefined ? undefined : where.node.timestamp + where.offset * TIMESTAMP_STEP;
+  },
+
+  // Return the offset of the character with timestamp t, or -1 if it isn't
+  // in the visible text: it's been removed, or we've never heard of it.
+  offsetOf: function (t) {
+    var node = this._index.get(t);
+    if (node === undefined || node === this.left || node.removed)
+      return -1;
+    return this._tree.offsetOf(node) + offsetInNode(node, t);
+  },
+
+  // Insert `str` so that it starts at `offset`. Returns the timestamp of the
+  // last character inserted (undefined if `str` is empty).
+  insertAt: function (offset, str) {
+    if (typeof str !== "string")
+      throw new TypeError("insertAt: expected a string");
+    if (!Number.isInteger(offset) || offset < 0 || offset > this.length())
+      throw new RangeError("insertAt: offset " + offset + " is outside the text");
+    if (str === "")
+      return undefined;
+    var prev = this._timestampBefore(offset);
+    return str.length === 1 ? this.addRight(prev, str) : this.addRun(prev, str);
+  },
+
+  // Remove the `length` characters starting at `offset`.
+  deleteRange: function (offset, length) {
+    if (!Number.isInteger(offset) || !Number.isInteger(length) || offset < 0 || length < 0 ||
+        offset + length > this.length())
+      throw new RangeError("deleteRange: " + offset + ", " + length + " is outside the text");
+    if (length === 0)
+      return;
+    var first = this.timestampAt(offset);
+    if (length === 1)
+      this.remove(first);
+    else
+      this.removeRange(first, this.timestampAt(offset + length - 1));
+  },
+
+  // Apply a Quill-style delta (see RGA.checkDelta) to the text.
+  applyDelta: function (delta) {
+    RGA.checkDelta(delta, this.length());
+    var offset = 0;
+    for (var i = 0; i < delta.ops.length; i++) {
+      var op = delta.ops[i];
+      if ("retain" in op) {
+        offset += op.retain;
+      } else if ("delete" in op) {
+        this.deleteRange(offset, op.delete);
+      } else {
+        this.insertAt(offset, op.insert);
+        offset += op.insert.length;
+      }
+    }
+  },
+
+  // An anchor marks a position in the text, for a bookmark, say, in a way
+  // that survives edits, unlike an offset. It's a plain object,
+  // `{t, gravity}`, so it can be saved as JSON and used again later, by any
+  // replica of the document.
+  //
+  // `gravity` says which way the anchor leans when text is inserted right
+  // where it is. An anchor with "left" gravity sticks to the character on its
+  // left (`t` is that character's timestamp, or the left edge's), so the new
+  // text goes after it, like a caret. One with "right" gravity sticks to the
+  // character on its right, so the new text goes before it; `t` is null if
+  // there's no character on its right (it's at the end of the text, and
+  // stays there).
+  //
+  // If that character is removed, the anchor stays where it was, between the
+  // characters on either side that remain. That holds even after the removed
+  // character is garbage-collected, but only in replicas that had it: one
+  // built from a history made after that has never heard of it.
+
+  // Return an anchor for the position `offset` (default "left" gravity).
+  anchorAt: function (offset, gravity) {
+    gravity = gravity === undefined ? "left" : gravity;
+    if (gravity !== "left" && gravity !== "right")
+      throw new TypeError("anchorAt: gravity must be \"left\" or \"right\"");
+    if (!Number.isInteger(offset) || offset < 0 || offset > this.length())
+      throw new RangeError("anchorAt: offset " + offset + " is outside the text");
+    var t = gravity === "left" ? this._timestampBefore(offset) : this.timestampAt(offset);
+    return {t: t === undefined ? null : t, gravity: gravity};
+  },
+
+  // Return the offset where `anchor` is now, or undefined if it refers to a
+  // character we've never heard of (from some other document, or one we
+  // haven't received yet).
+  resolveAnchor: function (anchor) {
+    if (Object(anchor) !== anchor || (anchor.gravity !== "left" && anchor.gravity !== "right") ||
+        (typeof anchor.t !== "number" && anchor.t !== null) ||
+        (anchor.t === null && anchor.gravity === "left"))
+      throw new TypeError("resolveAnchor: not an anchor");
+    if (anchor.t === null)
+      return this.length();
+
+    // Anchors are the same as the ends of mark ops, so the same rules apply
+    // to characters that are gone for good.
+    var at = this._resolveAnchor([anchor.t, anchor.gravity === "left" ? "after" : "before"]);
+    if (at === null)
+      return this.length();
+    var node = this._index.get(at[0]);
+    if (node === undefined)
+      return undefined;
+    var offset = this._tree.offsetOf(node);
+    if (node !== this.left && !node.removed)
+      offset += offsetInNode(node, at[0]) + (at[1] === "after" ? 1 : 0);
+    return offset;
+  },
+
+  // Return where `anchor` is now as `{row, column}`, counting from 0, or
+  // undefined as for `resolveAnchor`.
+  anchorRowColumn: function (anchor) {
+    var offset = this.resolveAnchor(anchor);
+    return offset === undefined ? undefined : this._tree.rowColumn(offset);
+  },
+
+  text: function () {
+    var s = "";
+    for (var node = this.left.next; node; node = node.next) {
+      if (!node.removed)
+        s += node.chr;
+    }
+    return s;
+  },
+
+  // Disconnect this RGA from anything it was connected to.
+  destroy: function () {
+    // Run the cleanup callbacks first: they may need to unsubscribe things.
+    for (var i = 0; i < this._onDestroy.length; i++)
+      this._onDestroy[i]();
+    this._onDestroy = undefined;
+    this._subscribers = undefined;
+    this._errorListeners = undefined;
+    this._changeListeners = undefined;
+    if (this._pendingTimer !== undefined)
+      clearTimeout(this._pendingTimer);
+    this._pendingTimer = undefined;
+    this._pending = [];
+  },
+
+  // Returns true if this.destroy() has been called.
+  wasDestroyed: function () {
+    return this._subscribers === undefined;
+  },
+
+  // Record a change to the text made by the op being applied (see
+  // `_emitChanges`). A change that picks up where the last one left off is
+  // folded into it.
+  _noteChange: function (change) {
+    var last = this._changes[this._changes.length - 1];
+    if (last !== undefined && last.delete !== undefined && change.delete !== undefined &&
+        last.offset === change.offset) {
+      last.delete += change.delete;
+    } else if (last !== undefined && last.insert !== undefined && change.insert !== undefined &&
+               last.offset + last.insert.length === change.offset) {
+      last.insert += change.insert;
+    } else {
+      this._changes.push(change);
+    }
+  },
+
+  // Tell "change" listeners about `changes`, made by one op.
+  _emitChanges: function (changes, local, author) {
+    var listeners = this._changeListeners;
+    var queue = this._queue;
+    changes.forEach(function (change) {
+      change.local = local;
+      change.author = author;
+      listeners.forEach(function (callback) {
+        queue.defer(function () { callback(change); });
+      });
+    });
+  },
+
+  // Add an event listener. An RGA emits three kinds of event:
+  //
+  // - "op", for each op it applies, with the op;
+  //
+  // - "change", for each stretch of the text that an op changes, so that a
+  //   view of the text can keep up without calling `text()` again. The
+  //   listener gets an object `{offset, insert, local, author}` for text
+  //   inserted at `offset`, or `{offset, delete, local, author}` for
+  //   `delete` characters removed from there. Offsets are as of when the
+  //   change was made, taking earlier changes into account, so changes have
+  //   to be applied in the order they arrive. `local` is true for edits made
+  //   with this RGA's methods (or its editor), and false for ones that came
+  //   from other replicas. `author` is the replica id of whoever made the
+  //   change, or null if there's no telling (see RGA.authorOf). An op that
+  //   changes nothing visible, like removing text that someone already
+  //   removed, or formatting, makes no "change" events.
+  //
+  // - "error", when something goes wrong that nobody called us about (see
+  //   `_hold`). Without any "error" listeners, errors are logged to the
+  //   console.
+  //
+  // Like ops, events are delivered later, on the RGA's event queue.
+  on: function (type, callback) {
+    if (type === "op")
+      this._subscribers.push(callback);
+    else if (type === "change")
+      this._changeListeners.push(callback);
+    else if (type === "error")
+      this._errorListeners.push(callback);
+  },
+
+  // Remove an event listener.
+  off: function (type, callback) {
+    var listeners = type === "op" ? this._subscribers
+      : type === "change" ? this._changeListeners
+      : type === "error" ? this._errorListeners
+      : undefined;
+    if (listeners !== undefined) {
+      var i = listeners.indexOf(callback);
+      if (i !== -1)
+        listeners.splice(i, 1);
+    }
+  },
+
+  _log: function () {
+    if (RGA._logging)
+      console.log
+        .bind(console, "{" + this.constructor.name + this._idForLogging + "}:")
+        .apply(undefined, arguments);
+  }
+};
+
+// Cause two RGA objects to update each other.
+// They must initially contain the same history.
+RGA.tie = function tie(a, b) {
+  if (JSON.stringify(a.history()) != JSON.stringify(b.history()))
+    throw new Error("RGA.tie: arguments must start out already in sync");
+
+  a.on("op", b.downstream);
+  b.on("op", a.downstream);
 
   // If either RGA is destroyed, untie it from the other.
   function untie() {
@@ -233,22 +1816,198 @@ RGA.tie = function tie(a, b) {
   a._onDestroy.push(untie);
 };
 
+// Rewrite an array of ops using only addRight and remove ops, one per
+// character, for peers that don't know about addRun and removeRange.
+// (Unremove ops are passed through as they are: there's no older way to say
+// that. Mark ops are left out; such peers have no use for formatting.)
+RGA.toCharOps = function toCharOps(ops) {
+  var out = [];
+  ops.forEach(function (op) {
+    var i;
+    if (op.type === "addRun") {
+      var prev = op.prev;
+      for (i = 0; i < op.str.length; i++) {
+        var t = op.t + i * TIMESTAMP_STEP;
+        out.push({type: "addRight", prev: prev, t: t, chr: op.str[i]});
+        prev = t;
+      }
+    } else if (op.type === "removeRange") {
+      op.ranges.forEach(function (range) {
+        for (i = 0; i < range[1]; i++) {
+          var remove = {type: "remove", t: range[0] + i * TIMESTAMP_STEP};
+          if (op.rt !== undefined)
+            remove.rt = op.rt;
+          out.push(remove);
+        }
+      });
+    } else if (op.type !== "mark") {
+      out.push(op);
+    }
+  });
+  return out;
+};
+
+// The version of the compact wire format produced by RGA.encodeOps.
+// (Version 1 lacked "R" runs, version 2 lacked "U" runs, and version 3 lacked
+// "m" runs.)
+RGA.WIRE_FORMAT = 4;
+
+// Encode an array of ops compactly, for sending over the network.
+//
+// The result is `{v: 4, ops: [...]}`, where `v` is the format version and
+// each element of `ops` stands for a run of ops:
+//
+// - `["a", prev, t, str]`: add the characters of `str` one after another,
+//   the first one right after `prev`, with consecutive timestamps starting
+//   at `t`. (That's an addRun op, or a run of addRight ops.)
+// - `["r", t, rt, n]`: remove `n` characters with consecutive timestamps
+//   starting at `t`. Their removal timestamps are consecutive too, starting at
+//   `rt` (or `rt` is null for ops that had none). `n` is at most
+//   RGA.MAX_RUN_LENGTH.
+// - `["R", rt, ranges]`: a removeRange op.
+// - `["U", rt, ranges]`: an unremove op.
+// - `["m", t, name, value, start, end]`: a mark op (see RGA#format).
+//
+// Typing, pasting, deleting a selection, and the history of a document all
+// produce long runs like that. The runs may come out in a different order
+// than the original ops, but never in an order that breaks causality.
+RGA.encodeOps = function encodeOps(ops) {
+  var out = [];
+  var lastAdd, lastRemove;
+  for (var i = 0; i < ops.length; i++) {
+    var op = ops[i];
+    if (op.type === "addRight" || op.type === "addRun") {
+      var str = op.type === "addRight" ? op.chr : op.str;
+      var end = lastAdd === undefined
+        ? undefined
+        : lastAdd[2] + (lastAdd[3].length - 1) * TIMESTAMP_STEP;
+      if (end !== undefined && op.prev === end && op.t === end + TIMESTAMP_STEP) {
+        // It's safe to extend an add run even if other runs came after it:
+        // nothing in those can depend on these characters.
+        lastAdd[3] += str;
+      } else {
+        lastAdd = ["a", op.prev, op.t, str];
+        out.push(lastAdd);
+      }
+    } else if (op.type === "removeRange") {
+      out.push(["R", op.rt === undefined ? null : op.rt, op.ranges]);
+    } else if (op.type === "unremove") {
+      out.push(["U", op.rt, op.ranges]);
+    } else if (op.type === "mark") {
+      out.push(["m", op.t, op.name, op.value, op.start, op.end]);
+    } else if (op.type === "remove") {
+      var rt = op.rt === undefined ? null : op.rt;
+      // But a remove run can only be extended if it's the last run so far,
+      // since the character being removed may have been added just now.
+      var n = lastRemove !== undefined && lastRemove === out[out.length - 1] ? lastRemove[3] : undefined;
+      if (n !== undefined && n < MAX_RUN_LENGTH && op.t === lastRemove[1] + n * TIMESTAMP_STEP &&
+          (rt === null ? lastRemove[2] === null
+                       : lastRemove[2] !== null && rt === lastRemove[2] + n * TIMESTAMP_STEP)) {
+        lastRemove[3]++;
+      } else {
+        lastRemove = ["r", op.t, rt, 1];
+        out.push(lastRemove);
+      }
+    } else {
+      throw new Error("RGA.encodeOps: unknown op type " + JSON.stringify(op.type));
+    }
+  }
+  return {v: RGA.WIRE_FORMAT, ops: out};
+};
+
+// The most ops a single message may carry, counting each op an "r" run
+// stands for (see RGA.encodeOps). The server refuses bigger messages (see
+// validate.js), since decoding them could take any amount of time and
+// memory. Clients never come near this: even the ops a client sends when it
+// reconnects after a long time offline are mostly runs of typing, and each
+// run is a single op.
+RGA.MAX_OPS_PER_MESSAGE = 50000;
+
+// The longest "r" run a message may have.
+RGA.MAX_RUN_LENGTH = MAX_RUN_LENGTH;
+
+// Turn the output of RGA.encodeOps back into an array of ops. For
+// compatibility, an array of ops is returned as is.
+RGA.decodeOps = function decodeOps(encoded) {
+  if (Array.isArray(encoded))
+    return encoded;
+  if (Object(encoded) !== encoded || !(encoded.v >= 1 && encoded.v <= RGA.WIRE_FORMAT))
+    throw new Error("RGA.decodeOps: unsupported format " + JSON.stringify(encoded && encoded.v));
+
+  var ops = [];
+  encoded.ops.forEach(function (run) {
+    var i;
+    if (run[0] === "a") {
+      if (run[3].length === 1)
+        ops.push({type: "addRight", prev: run[1], t: run[2], chr: run[3]});
+      else
+        ops.push({type: "addRun", prev: run[1], t: run[2], str: run[3]});
+    } else if (run[0] === "R") {
+      var removeRange = {type: "removeRange", ranges: run[2]};
+      if (run[1] !== null)
+        removeRange.rt = run[1];
+      ops.push(removeRange);
+    } else if (run[0] === "U") {
+      ops.push({type: "unremove", ranges: run[2], rt: run[1]});
+    } else if (run[0] === "m") {
+      ops.push({type: "mark", t: run[1], name: run[2], value: run[3], start: run[4], end: run[5]});
+    } else if (run[0] === "r") {
+      for (i = 0; i < run[3]; i++) {
+        var op = {type: "remove", t: run[1] + i * TIMESTAMP_STEP};
+        if (run[2] !== null)
+          op.rt = run[2] + i * TIMESTAMP_STEP;
+        ops.push(op);
+      }
+    } else {
+      throw new Error("RGA.decodeOps: unknown run type " + JSON.stringify(run[0]));
+    }
+  });
+  return ops;
+};
+
 // Cause an RGA object to communicate via socket.io to update an RGA object
 // tied to the other end of the socket. The two RGA objects must initially
-// contain the same history.
-RGA.tieToSocket = function tieToSocket(a, s) {
+// contain the same history. (Instead of a socket.io socket, `s` can be any
+// RGA.Transport.)
+//
+// Ops are sent as "downstream" messages. By default each message carries a
+// single addRight or remove op (see RGA.toCharOps). If `format` is
+// RGA.WIRE_FORMAT, ops are instead collected for a moment and sent in
+// batches, encoded by RGA.encodeOps. Either way, both kinds of message are
+// understood when they're received.
+RGA.tieToSocket = function tieToSocket(a, s, format) {
+  var batch = undefined;
   var a_s = function (sender, op) {
-    if (s !== undefined) {
-      //a._log("forwarding from RGA " + a.id + " to socket: ", op);
-      s.emit("downstream", op);
+    if (s === undefined)
+      return;
+    //a._log("forwarding from RGA " + a.id + " to socket: ", op);
+    if (format !== RGA.WIRE_FORMAT) {
+      RGA.toCharOps([op]).forEach(function (charOp) {
+        s.emit("downstream", charOp);
+      });
+    } else if (batch !== undefined) {
+      batch.push(op);
+    } else {
+      batch = [op];
+      a._queue.defer(function () {
+        if (s !== undefined)
+          s.emit("downstream", RGA.encodeOps(batch));
+        batch = undefined;
+      });
     }
   };
   a.on("op", a_s);
 
-  var s_a = function (op) {
-    if (a !== undefined) {
-      //a._log("forwarding from socket to RGA " + a.id + ": ", op);
-      a.downstream(a_s, op);
+  var s_a = function (msg) {
+    if (a === undefined)
+      return;
+    //a._log("forwarding from socket to RGA " + a.id + ": ", msg);
+    if (msg && msg.v !== undefined) {
+      var ops = RGA.decodeOps(msg);
+      for (var i = 0; i < ops.length && a !== undefined; i++)
+        a.downstream(a_s, ops[i]);
+    } else {
+      a.downstream(a_s, msg);
     }
   };
   s.on("downstream", s_a);
@@ -257,10 +2016,15 @@ RGA.tieToSocket = function tieToSocket(a, s) {
   // one another.  Amazingly, socket.io offers no way to unsubscribe callbacks.
   // To ensure no further events are delievered and no unused GC-edges remain,
   // we null out the variables, and the callbacks above check for this state.
+  // (Transports can unsubscribe, so we do that too.)
   function untie() {
     if (a !== undefined) {
       //a._log("untying RGA " + a.id + " from socket");
       a.off("op", a_s);
+      if (typeof s.off === "function") {
+        s.off("downstream", s_a);
+        s.off("disconnect", untie);
+      }
       a = s = a_s = s_a = untie = undefined;
     }
   }
@@ -268,8 +2032,220 @@ RGA.tieToSocket = function tieToSocket(a, s) {
   s.on("disconnect", untie);
 };
 
-// Return a delta to turn the string s0 into s1.
-// (Helper function used by RGA.AceEditorRGA#_takeUserEdits.)
+// A Transport carries messages between two replicas (or a replica and the
+// server) over something other than socket.io. It looks like the subset of
+// a socket.io socket that RGA.tieToSocket, RGA.EditorRGA.setup, and the
+// server's DocumentSet#accept use:
+//
+// - transport.emit(type, data): send a message
+// - transport.on(type, f), transport.off(type, f): receive them
+// - transport.connected: true while messages can be sent
+// - transport.disconnect(): close the channel
+//
+// plus the "connect" and "disconnect" events. Messages travel as
+// `{type, data}` envelopes. Messages emitted while disconnected are dropped,
+// and malformed ones received are ignored.
+//
+// This is the base class. Subclasses implement `_send(envelope)` and
+// `_close()`, and call `_opened()`, `_receive(envelope)` and `_closed()` as
+// things happen. A closed transport stays closed.
+RGA.Transport = function Transport() {
+  this.connected = false;
+  this._handlers = Object.create(null);  // type -> array of callbacks
+};
+
+RGA.Transport.prototype = {
+  constructor: RGA.Transport,
+
+  on: function (type, callback) {
+    if (!(type in this._handlers))
+      this._handlers[type] = [];
+    this._handlers[type].push(callback);
+  },
+
+  off: function (type, callback) {
+    var handlers = this._handlers[type];
+    if (handlers !== undefined) {
+      var i = handlers.indexOf(callback);
+      if (i !== -1)
+        handlers.splice(i, 1);
+    }
+  },
+
+  emit: function (type, data) {
+    if (this.connected)
+      this._send({type: type, data: data});
+  },
+
+  disconnect: function () {
+    if (this.connected) {
+      this._close();
+      this._closed();
+    }
+  },
+
+  _fire: function (type, data) {
+    var handlers = this._handlers[type];
+    if (handlers !== undefined) {
+      handlers.slice().forEach(function (callback) {
+        callback(data);
+      });
+    }
+  },
+
+  _opened: function () {
+    if (!this.connected) {
+      this.connected = true;
+      this._fire("connect");
+    }
+  },
+
+  _closed: function () {
+    if (this.connected) {
+      this.connected = false;
+      this._fire("disconnect");
+    }
+  },
+
+  // The other end doesn't get to say when we connect or disconnect.
+  _receive: function (envelope) {
+    if (this.connected && Object(envelope) === envelope && typeof envelope.type === "string" &&
+        envelope.type !== "connect" && envelope.type !== "disconnect")
+      this._fire(envelope.type, envelope.data);
+  },
+
+  // Receive an envelope sent as JSON text.
+  _receiveText: function (text) {
+    var envelope;
+    try {
+      envelope = JSON.parse(text);
+    } catch (exc) {
+      return;
+    }
+    this._receive(envelope);
+  }
+};
+
+// A Transport over a WebSocket: either a browser WebSocket or one from the
+// `ws` package for Node, which has the same addEventListener API. Each
+// message is one JSON envelope, sent as text.
+RGA.WebSocketTransport = function WebSocketTransport(ws) {
+  RGA.Transport.call(this);
+  this.ws = ws;
+  var self = this;
+  ws.addEventListener("open", function () { self._opened(); });
+  ws.addEventListener("message", function (event) { self._receiveText(String(event.data)); });
+  ws.addEventListener("close", function () { self._closed(); });
+  if (ws.readyState === 1)  // OPEN, as it is on the server
+    this._opened();
+};
+
+RGA.WebSocketTransport.prototype = Object.create(RGA.Transport.prototype);
+Object.assign(RGA.WebSocketTransport.prototype, {
+  constructor: RGA.WebSocketTransport,
+  _send: function (envelope) { this.ws.send(JSON.stringify(envelope)); },
+  _close: function () { this.ws.close(); }
+});
+
+// A Transport over a Node duplex stream, such as a TCP socket or a child
+// process's stdio: newline-delimited JSON, one envelope per line. The stream
+// is taken to be connected already. It counts as disconnected when it ends,
+// closes, or fails.
+RGA.StreamTransport = function StreamTransport(stream) {
+  RGA.Transport.call(this);
+  this.stream = stream;
+  this._buffer = "";  // text received since the last newline
+  var self = this;
+  if (typeof stream.setEncoding === "function")
+    stream.setEncoding("utf8");  // so characters split across chunks come out right
+  stream.on("data", function (chunk) {
+    var lines = (self._buffer + chunk).split("\n");
+    self._buffer = lines.pop();
+    lines.forEach(function (line) {
+      if (line !== "")
+        self._receiveText(line);
+    });
+  });
+  stream.on("end", function () { self._closed(); });
+  stream.on("close", function () { self._closed(); });
+  stream.on("error", function () { self._closed(); });
+  this._opened();
+};
+
+RGA.StreamTransport.prototype = Object.create(RGA.Transport.prototype);
+Object.assign(RGA.StreamTransport.prototype, {
+  constructor: RGA.StreamTransport,
+  // (JSON.stringify escapes any newlines in strings, so each envelope is
+  // one line.)
+  _send: function (envelope) { this.stream.write(JSON.stringify(envelope) + "\n"); },
+  _close: function () { this.stream.end(); }
+});
+
+// A Transport over a MessagePort (one end of a MessageChannel) or a
+// BroadcastChannel, for keeping tabs or workers in the same browser in sync.
+// Envelopes are posted as they are; the browser copies them.
+//
+// A BroadcastChannel delivers each message to every other tab listening on
+// it, so RGAs tied to the same channel in several tabs form a single
+// network. As with RGA.tie, they must start out with the same history. Ops
+// that reach a tab more than once, or before the ops they depend on, are
+// taken care of by the RGA (see RGA#_downstream).
+//
+// Neither kind of port says when the other end goes away, so this transport
+// is connected until disconnect() is called here.
+RGA.MessagePortTransport = function MessagePortTransport(port) {
+  RGA.Transport.call(this);
+  this.port = port;
+  var self = this;
+  port.addEventListener("message", function (event) { self._receive(event.data); });
+  if (typeof port.start === "function")
+    port.start();  // MessagePorts don't deliver messages to event listeners until started
+  this._opened();
+};
+
+RGA.MessagePortTransport.prototype = Object.create(RGA.Transport.prototype);
+Object.assign(RGA.MessagePortTransport.prototype, {
+  constructor: RGA.MessagePortTransport,
+  _send: function (envelope) { this.port.postMessage(envelope); },
+  _close: function () { this.port.close(); }
+});
+
+// Check that `delta` is a Quill-style delta that fits a text `length`
+// characters long. Throws an Error saying what's wrong if not.
+//
+// A delta is an object `{ops: [...]}`, where each op is `{retain: n}` (skip
+// over n characters), `{delete: n}` (remove the next n characters), or
+// `{insert: str}`. Read in order, the ops say what to do with the text from
+// start to finish; characters left over at the end are retained. (This is
+// the format of Quill's deltas, just because it was a JSON patch format I
+// knew about -- we don't use any Quill code, and Quill's formatting
+// attributes aren't supported.)
+RGA.checkDelta = function checkDelta(delta, length) {
+  if (Object(delta) !== delta || !Array.isArray(delta.ops))
+    throw new Error("a delta must be an object with an array of ops");
+  var used = 0;  // characters retained or deleted so far
+  delta.ops.forEach(function (op) {
+    var keys = Object(op) === op ? Object.keys(op) : [];
+    if (keys.length !== 1)
+      throw new Error("each op in a delta must have exactly one of retain, delete, or insert");
+    if (keys[0] === "insert") {
+      if (typeof op.insert !== "string")
+        throw new Error("insert must be a string");
+    } else if (keys[0] === "retain" || keys[0] === "delete") {
+      var n = op[keys[0]];
+      if (!Number.isSafeInteger(n) || n < 0)
+        throw new Error(keys[0] + " must be a nonnegative integer");
+      used += n;
+    } else {
+      throw new Error("unsupported delta op " + JSON.stringify(keys[0]));
+    }
+  });
+  if (used > length)
+    throw new Error("delta runs past the end of the text");
+};
+
+// Return a delta (see RGA.checkDelta) to turn the string s0 into s1.
+// (Helper function used by RGA.EditorRGA#_takeUserEdits.)
 RGA.diff = function diff(s0, s1) {
   //console.log("diffing", {a: s0, b: s1});
 
@@ -336,47 +2312,273 @@ RGA.diff = function diff(s0, s1) {
     }
   }
 
+  // Usually only a small part of the text has changed. Skip over whatever
+  // is the same at both ends before doing anything expensive.
   var patch = [];
-  compare(s0, s1, 0, patch);
+  var prefix = 0;
+  while (prefix < s0.length && prefix < s1.length && s0[prefix] === s1[prefix])
+    prefix++;
+  var suffix = 0;
+  while (suffix < s0.length - prefix && suffix < s1.length - prefix &&
+         s0[s0.length - 1 - suffix] === s1[s1.length - 1 - suffix])
+    suffix++;
+  if (prefix > 0 && prefix + suffix < Math.max(s0.length, s1.length))
+    patch.push({retain: prefix});
+  compare(s0.slice(prefix, s0.length - suffix), s1.slice(prefix, s1.length - suffix), prefix, patch);
   return {ops: patch};
 };
 
-// An RGA that has an instance of the Ace editor attached to it.
+// Keeps track of one user's edits to an RGA, so that they can be undone and
+// redone without disturbing anyone else's.
 //
-// This function uses the following features of the Ace API:
-// - editor.getValue() -> string
-// - editor.setValue(str, -1)
-// - editor.getSession().on("change", f)
-// - editor.getSession().off("change", f)
-// - editor.getSession().insert({row: r, column: c}, str)
-// - editor.getSession().remove({start: ..., end: ...})
-// - editor.getSession().getDocument().getLine(loc.row) -> string
+// Each entry on the undo and redo stacks is an array of changes of the form
+// `{ranges, removed, rt}`: the characters in `ranges` (an array of [t, n]
+// pairs, as in a removeRange op) were removed (if `removed` is true) or
+// added or revived (if not) by the op with removal timestamp `rt` (undefined
+// for an add). To undo a change, we do the opposite, but only to the
+// characters nobody else has removed or revived since. If someone else has
+// removed a character we added, or removed it again after we did, that edit
+// wins, and undo leaves the character alone.
 //
-RGA.AceEditorRGA = function AceEditorRGA(id, editor, history, queue) {
-  RGA.call(this, id, history, queue);
-  this.editor = editor;
+// Undoing a change is itself a change, so it goes on the redo stack.
+RGA.UndoManager = function UndoManager(rga, limit) {
+  this.rga = rga;
+  this.limit = limit || 100;  // the most entries to keep on each stack
+  this._undoStack = [];
+  this._redoStack = [];
+  this._typing = false;       // true if more typing can join the last entry
+};
 
-  // `_lastText` is the text that was in the editor, last we checked.  When a
-  // keypress happens and the text in the editor changes, Ace will notify us of
-  // the change, but not immediately: instead, it queues an event to fire
-  // asynchronously. In fact, at any given point in time we have no way of
-  // knowing whether we've been notified of all changes or something's still in
-  // flight. The solution is brute force (see takeUserEdits) and requires us to
-  // remember the last known in-sync state of the document, hence this
-  // variable.
-  this._lastText = this.text();
+RGA.UndoManager.prototype = {
+  constructor: RGA.UndoManager,
+
+  // Record one edit the user made, given the ops it produced. Starting a new
+  // edit forgets anything that could have been redone.
+  record: function (ops) {
+    var changes = [];
+    ops.forEach(function (op) {
+      if (op.type === "addRight" || op.type === "addRun") {
+        var n = op.type === "addRight" ? 1 : op.str.length;
+        changes.push({ranges: [[op.t, n]], removed: false, rt: undefined});
+      } else if (op.type === "remove") {
+        changes.push({ranges: [[op.t, 1]], removed: true, rt: op.rt});
+      } else if (op.type === "removeRange") {
+        changes.push({ranges: op.ranges, removed: true, rt: op.rt});
+      }
+    });
+    if (changes.length === 0)
+      return;
+    this._redoStack.length = 0;
+
+    // Typing a word shouldn't take a keystroke per letter to undo. If this
+    // edit only adds characters right after the ones the last edit added,
+    // combine the two.
+    var last = this._undoStack[this._undoStack.length - 1];
+    if (this._typing && ops.length === 1 && !changes[0].removed &&
+        last.length === 1 && !last[0].removed) {
+      var lastRange = last[0].ranges[last[0].ranges.length - 1];
+      if (ops[0].prev === lastRange[0] + (lastRange[1] - 1) * TIMESTAMP_STEP) {
+        appendRange(last[0].ranges, changes[0].ranges[0][0], changes[0].ranges[0][1]);
+        return;
+      }
+    }
+    this._push(this._undoStack, changes);
+    this._typing = !changes[0].removed && changes.length === 1;
+  },
 
-  // The editor must start out in sync with the RGA.
-  // (The `-1` here means to place the editor cursor at the start of the document.)
-  editor.setValue(this._lastText, -1);
+  canUndo: function () { return this._undoStack.length > 0; },
+  canRedo: function () { return this._redoStack.length > 0; },
+
+  // Undo the user's latest edit that can still be undone. Returns false if
+  // there was nothing to undo.
+  undo: function () {
+    return this._revert(this._undoStack, this._redoStack);
+  },
+
+  // Redo the latest edit that was undone. Returns false if there was nothing
+  // to redo.
+  redo: function () {
+    return this._revert(this._redoStack, this._undoStack);
+  },
+
+  // Forget everything.
+  clear: function () {
+    this._undoStack.length = 0;
+    this._redoStack.length = 0;
+    this._typing = false;
+  },
+
+  // Return a copy of the version vector `vector`, held back so that it doesn't
+  // cover any of the removals on either stack. Tell the server that instead
+  // of the real version vector, and it won't garbage-collect characters the
+  // user may still want back.
+  pin: function (vector) {
+    var pinned = Object.assign({}, vector);
+    [this._undoStack, this._redoStack].forEach(function (stack) {
+      stack.forEach(function (changes) {
+        changes.forEach(function (change) {
+          if (change.removed && change.rt !== undefined) {
+            var replica = change.rt & ((1 << MAX_REPLICA_ID_BITS) - 1);
+            if (vectorHas(pinned, change.rt))
+              pinned[replica] = change.rt - TIMESTAMP_STEP;
+          }
+        });
+      });
+    });
+    return pinned;
+  },
+
+  // Pop entries off `from` until one of them can be reverted, revert it, and
+  // push the changes that did that onto `to`.
+  _revert: function (from, to) {
+    this._typing = false;
+    while (from.length > 0) {
+      var changes = from.pop();
+      var inverse = [];
+      for (var i = changes.length - 1; i >= 0; i--) {
+        var ranges = this._unchanged(changes[i]);
+        if (ranges.length === 0)
+          continue;
+        var op = {
+          type: changes[i].removed ? "unremove" : "removeRange",
+          ranges: ranges,
+          rt: this.rga._timestamp()
+        };
+        this.rga.downstream(this.rga.downstream, op);
+        inverse.push({ranges: ranges, removed: !changes[i].removed, rt: op.rt});
+      }
+      if (inverse.length > 0) {
+        this._push(to, inverse);
+        return true;
+      }
+    }
+    return false;
+  },
+
+  // Return the characters in `change.ranges` that nobody else has removed or
+  // revived since. Entries are undone in reverse order, so if this user was
+  // the last to remove or revive a character, it's the way the change left
+  // it.
+  _unchanged: function (change) {
+    var rga = this.rga;
+    var mask = (1 << MAX_REPLICA_ID_BITS) - 1;
+    var ranges = [];
+    change.ranges.forEach(function (range) {
+      for (var i = 0; i < range[1];) {
+        var t = range[0] + i * TIMESTAMP_STEP;
+        var node = rga._index.get(t);
+        if (node === undefined) {
+          i++;  // collected
+          continue;
+        }
+        var m = Math.min(node.chr.length - offsetInNode(node, t), range[1] - i);
+        var ours = node.removedAt === undefined
+          ? !node.removed
+          : (node.removedAt & mask) === rga.id;
+        if (node.removed === change.removed && ours)
+          appendRange(ranges, t, m);
+        i += m;
+      }
+    });
+    return ranges;
+  },
+
+  _push: function (stack, changes) {
+    stack.push(changes);
+    if (stack.length > this.limit)
+      stack.shift();
+  }
+};
+
+// Another user's caret and selection. `anchor` and `head` are the ends of the
+// selection, as timestamps (see RGA#_timestampBefore); `head` is where the
+// caret is. Editor adapters draw these (see EditorRGA).
+function RemoteCursor(rga, id) {
+  this.rga = rga;
+  this.userId = id;
+  this.name = "user " + id;
+  var hue = id * 137 % 360;
+  this.color = "hsl(" + hue + ", 70%, 50%)";
+  this.highlight = "hsla(" + hue + ", 70%, 50%, 0.3)";  // for selected text
+  this.anchor = rga.left.timestamp;
+  this.head = rga.left.timestamp;
+}
+
+RemoteCursor.prototype = {
+  constructor: RemoteCursor,
+
+  // Return the selection as {start, end, head}, three offsets into the text,
+  // or undefined if we haven't received the characters it refers to yet.
+  offsets: function () {
+    var anchor = this.rga._offsetAfter(this.anchor);
+    var head = this.rga._offsetAfter(this.head);
+    if (anchor === undefined || head === undefined)
+      return undefined;
+    return {start: Math.min(anchor, head), end: Math.max(anchor, head), head: head};
+  }
+};
+
+function escapeHTML(s) {
+  return s.replace(/[&<>"']/g, function (c) {
+    return "&#" + c.charCodeAt(0) + ";";
+  });
+}
+
+// An RGA that has a text editor attached to it.
+//
+// EditorRGA doesn't talk to the editor directly, but through an adapter
+// object, so that the same code works with Ace, a plain <textarea>,
+// CodeMirror, or anything else that can edit a string. Positions are offsets
+// into the text: the number of characters before the position. An adapter
+// has these methods:
+//
+// - adapter.attach(rga), optional: called first thing, with this EditorRGA.
+//   Adapters may use it to convert between offsets and the editor's own way
+//   of saying where things are (see AceAdapter).
+// - adapter.getValue() -> string
+// - adapter.setValue(str): replace all the text
+// - adapter.insert(offset, str)
+// - adapter.remove(offset, length)
+// - adapter.onChange(f), adapter.offChange(f): subscribe to, or unsubscribe
+//   from, notifications of the user's edits. `f` receives a change
+//   {offset, remove, insert}, meaning the string `remove` at `offset` was
+//   replaced with the string `insert`. If the adapter can't tell what changed,
+//   or isn't sure the change applies to the text as the RGA has it, it passes
+//   undefined instead.
+// - adapter.getSelection() -> {anchor, head}, two offsets; `head` is where the
+//   caret is
+// - adapter.onSelectionChange(f): call f() when the caret moves
+// - adapter.focus()
+// - adapter.showCursor(cursor), adapter.hideCursor(cursor), optional: draw, or
+//   stop drawing, another user's caret and selection (a RemoteCursor).
+//   showCursor is called again each time the cursor moves.
+// - adapter.bindUndo(undo, redo), optional: have the editor's undo and redo
+//   keys call these functions instead of using its own undo stack, which
+//   knows nothing about other users' edits.
+// - adapter.setReadOnly(readOnly), optional: stop the user from editing, or
+//   let them again (see setReadOnly).
+//
+RGA.EditorRGA = function EditorRGA(id, adapter, history, queue) {
+  RGA.call(this, id, history, queue);
+  this.adapter = adapter;
+  if (adapter.attach !== undefined)
+    adapter.attach(this);
 
-  // The flow of operations is (unavoidably) bidirectional. First, when Ace
-  // notifies us of an edit, fold those changes into the RGA.
+  // The editor must start out in sync with the RGA.
+  adapter.setValue(this.text());
+
+  // The flow of operations is (unavoidably) bidirectional. First, when the
+  // editor notifies us of an edit, fold those changes into the RGA.
+  //
+  // The notification may come late: we can't rule out that the event is
+  // still in flight when something else happens, so at any given point in
+  // time we have no way of knowing whether we've been notified of all
+  // changes. See _takeUserEdits for how we cope.
   var self = this;
-  this._changeCallback = function () { self._takeUserEdits() };
-  editor.getSession().on("change", this._changeCallback);
+  this._changeCallback = function (change) { self._takeUserEdits(change); };
+  adapter.onChange(this._changeCallback);
   this._onDestroy.push(function () {
-    self.editor.getSession().off("change", self._changeCallback);
+    self.adapter.offChange(self._changeCallback);
   });
 
   // Now for the other direction. Replace the callback that receives changes
@@ -385,226 +2587,985 @@ RGA.AceEditorRGA = function AceEditorRGA(id, editor, history, queue) {
     self._customDownstream(source, op);
   };
   this.downstream._id = id;  // for debugging
-};
-
-RGA.AceEditorRGA.prototype = Object.create(RGA.prototype);
-Object.assign(RGA.AceEditorRGA.prototype, {
-  constructor: RGA.AceEditorRGA,
 
-  // Return the {row, column} coordinates of the character with timestamp t.
-  getRowColumnBefore: function (t) {
-    if (t === this.left.timestamp)
-      throw new Error("no position before the left edge of the document");
-    var target = this._index.get(t);
-    if (target === undefined)
-      throw new Error("timestamp not present in document");
-    var r = 0, c = 0;
-    for (var node = this.left.next; node != target; node = node.next) {
-      if (!node.removed) {
-        if (node.chr === "\n") {
-          r++;
-          c = 0;
-        } else {
-          c++;
-        }
-      }
-    }
-    return {row: r, column: c};
-  },
-
-  // Return the coordinates of a hypothetical new character, if you inserted it
-  // with timestamp `t`, after the character with timestamp `prev`.
-  getRowColumnAfter: function (prev, t) {
-    var target = this._index.get(prev);
-    if (target === undefined)
-      throw new Error("timestamp not present in document");
+  // Other users' carets, by replica id. See setRemotePresence.
+  this._remoteCursors = new Map();
+  this._onDestroy.push(function () {
+    self._remoteCursors.forEach(function (cursor, id) {
+      self.removeRemotePresence(id);
+    });
+  });
 
-    var r = 0, c = -1;  // c will be incremented to zero in the first pass through the loop
-    function advance(node) {
-      if (!node.removed) {
-        if (node.chr === "\n") {
-          r++;
-          c = 0;
-        } else {
-          c++;
-        }
-      }
-    }
+  this.undoManager = new RGA.UndoManager(this);
+  if (adapter.bindUndo !== undefined)
+    adapter.bindUndo(function () { self.undo(); }, function () { self.redo(); });
 
-    for (var node = this.left; ; node = node.next) {
-      advance(node);
-      if (node === target)
-        break;
-    }
-    while (node.next && t < node.next.timestamp) {
-      node = node.next;
-      advance(node);
-    }
+  this.readOnly = false;
+};
+
+RGA.EditorRGA.prototype = Object.create(RGA.prototype);
+Object.assign(RGA.EditorRGA.prototype, {
+  constructor: RGA.EditorRGA,
 
-    return {row: r, column: c};
+  // Return the offset of a hypothetical new character, if you inserted it
+  // with timestamp `t`, after the character with timestamp `prev`.
+  _offsetOfInsertion: function (prev, t) {
+    var where = this._insertionPoint(prev, t);
+    if (where === undefined)
+      throw new Error("timestamp not present in document");
+    var offset = this._tree.offsetOf(where.node);
+    if (where.node !== this.left && !where.node.removed)
+      offset += where.offset + 1;
+    return offset;
   },
 
-  // Throw if the this._lastText and the RGA don't have the same value.
+  // Throw if the editor and the RGA don't have the same text.
   _assertInSync: function (infodump) {
+    var editorText = this.adapter.getValue();
     var rgaText = this.text();
-    if (this._lastText != rgaText) {
-      infodump.lastText = this._lastText;
+    if (editorText != rgaText) {
+      infodump.editorText = editorText;
       infodump.rgaText = rgaText;
-      console.error(this.id, "lastText and RGA are out of sync", infodump);
+      console.error(this.id, "editor and RGA are out of sync", infodump);
       throw new Error("editor and RGA data structure got out of sync");
     }
   },
 
-  // Apply a patch to the RGA only, without touching the editor. The structure
-  // of `delta` is the same as a Quill delta, just because it was a JSON patch
-  // format I knew about -- we don't actually use any Quill code.
+  // Apply a patch to the RGA only, without touching the editor (see
+  // RGA#_applyDelta), and remember it for undo.
   _applyDelta: function (delta) {
-    var source = this.downstream;
-    var lastNode = this.left, node = lastNode.next;
-    var ops = delta.ops;
-    for (var i = 0; i < ops.length; i++) {
-      var op = ops[i];
-      //this._log("* applying", op);
-      if ("retain" in op) {
-        for (var j = 0; j < op.retain;) {
-          if (!node.removed) {
-            lastNode = node;
-            j++;
-          }
-          node = node.next;
-        }
-      } else if ("delete" in op) {
-        for (var j = 0; j < op.delete;) {
-          var next = node.next;
-          if (!node.removed) {
-            lastNode = node;
-            j++;
-            //this._log("  - removing character:", node.chr);
-            this._downstream(source, {type: "remove", t: node.timestamp});
-          }
-          node = next;
-        }
-      } else if ("insert" in op) {
-        var prev = lastNode.timestamp;
-        var str = op.insert;
-        for (var j = 0; j < str.length; j++) {
-          //this._log("  - inserting character:", str[j]);
-          var tnext = this._timestamp();
-          this._downstream(source, {type: "addRight", prev: prev, t: tnext, chr: str[j]});
-          prev = tnext;
-        }
-        lastNode = this._index.get(prev);
-        node = lastNode.next;
-      }
-    }
+    this.undoManager.record(RGA.prototype._applyDelta.call(this, delta));
   },
 
-  // Compare current editor value against the last known editor value. Any
-  // differences are recent user edits; apply them to the RGA.
-  _takeUserEdits: function () {
-    var currentText = this.editor.getValue();
-    //this._log("_takeUserEdits: <" + this._lastText + "> <" + currentText + ">");
-    if (currentText != this._lastText) {
-      this._assertInSync({currentEditorState: currentText});
+  // Apply recent user edits to the RGA.
+  //
+  // Normally this is called with a change from the adapter, which we turn
+  // straight into ops. That takes time proportional to the size of the edit,
+  // not the size of the document.
+  //
+  // But the change only applies if the RGA is exactly the way the editor was
+  // just before the edit. If the event was delivered late -- after other
+  // edits, or after we had already picked up this one -- it doesn't. The
+  // adapter checks what it can, and we check that the RGA has the text the
+  // change says was removed. If that doesn't work out, or if we're called
+  // without a change, we fall back on comparing the whole text of the editor
+  // with the RGA's. Any differences are recent user edits.
+  _takeUserEdits: function (change) {
+    if (this.readOnly) {
+      this._discardUserEdits();
+      return;
+    }
+    if (change !== undefined && this._takeChange(change))
+      return;
 
-      var changes = RGA.diff(this._lastText, currentText);
+    var currentText = this.adapter.getValue();
+    var rgaText = this.text();
+    //this._log("_takeUserEdits: <" + rgaText + "> <" + currentText + ">");
+    if (currentText != rgaText) {
+      var changes = RGA.diff(rgaText, currentText);
       //this._log(changes);
       this._applyDelta(changes);
-      var savedLastText = this._lastText;
-      this._lastText = currentText;
+      this._assertInSync({before: rgaText, patch: changes});
+    }
+  },
+
+  // If `change` (see EditorRGA) applies to the RGA as it is now, apply it and
+  // return true. Otherwise return false.
+  _takeChange: function (change) {
+    if (Object(change) !== change || !Number.isInteger(change.offset) ||
+        typeof change.remove !== "string" || typeof change.insert !== "string")
+      return false;
+    var offset = change.offset, remove = change.remove;
+    if (offset < 0 || offset + remove.length > this._tree.root.totalLength ||
+        this._textAt(offset, remove.length) !== remove)
+      return false;
+    this._applyDelta({ops: [{retain: offset}, {delete: remove.length}, {insert: change.insert}]});
+    return true;
+  },
+
+  // Put back the text as the RGA has it, in case the editor let the user
+  // change it anyway.
+  _discardUserEdits: function () {
+    var adapter = this.adapter;
+    var text = this.text();
+    if (adapter.getValue() !== text) {
+      this._withEditorCallbacksDisabled(function () {
+        adapter.setValue(text);
+      });
+    }
+  },
+
+  // Stop the user from editing the text (for someone who may only view the
+  // document), or let them edit again. Other users' edits still show up.
+  //
+  // Not every editor can be made read-only. If the user manages to edit the
+  // text anyway, the edit is undone instead of being passed along.
+  setReadOnly: function (readOnly) {
+    readOnly = !!readOnly;
+    if (readOnly === this.readOnly)
+      return;
+    if (readOnly)
+      this._takeUserEdits();  // anything typed so far still counts
+    this.readOnly = readOnly;
+    if (this.adapter.setReadOnly !== undefined)
+      this.adapter.setReadOnly(readOnly);
+  },
+
+  // Undo the user's latest edit, leaving other users' edits alone.
+  undo: function () {
+    if (this.readOnly)
+      return;
+    this._takeUserEdits();
+    this.undoManager.undo();
+  },
+
+  // Redo the edit the user most recently undid.
+  redo: function () {
+    if (this.readOnly)
+      return;
+    this._takeUserEdits();
+    this.undoManager.redo();
+  },
+
+  // Return the local user's selection as {anchor, head}, where each end is the
+  // timestamp of the character just before it (see RGA#_timestampBefore).
+  // Unlike offsets, those stay put when other users edit the text in front of
+  // them.
+  getPresence: function () {
+    this._takeUserEdits();
+    var selection = this.adapter.getSelection();
+    return {
+      anchor: this._timestampBefore(selection.anchor),
+      head: this._timestampBefore(selection.head)
+    };
+  },
+
+  // Show another user's caret and selection. `presence` is
+  // {id, name, anchor, head}, where `id` is that user's replica id, `name` is
+  // optional, and `anchor` and `head` are as returned by getPresence.
+  setRemotePresence: function (presence) {
+    var cursor = this._remoteCursors.get(presence.id);
+    if (cursor === undefined) {
+      cursor = new RemoteCursor(this, presence.id);
+      this._remoteCursors.set(presence.id, cursor);
+    }
+    if (typeof presence.name === "string")
+      cursor.name = presence.name;
+    cursor.anchor = presence.anchor;
+    cursor.head = presence.head;
+    if (this.adapter.showCursor !== undefined)
+      this.adapter.showCursor(cursor);
+  },
 
-      this._assertInSync({before: savedLastText, patch: changes});
+  // Stop showing another user's caret, if we were.
+  removeRemotePresence: function (id) {
+    var cursor = this._remoteCursors.get(id);
+    if (cursor !== undefined) {
+      this._remoteCursors.delete(id);
+      if (this.adapter.hideCursor !== undefined)
+        this.adapter.hideCursor(cursor);
     }
   },
 
   // Unsubscribe from the editor's change notifications, call action(), then
   // re-subscribe.
   _withEditorCallbacksDisabled: function(action) {
-    this.editor.getSession().off("change", this._changeCallback);
+    this.adapter.offChange(this._changeCallback);
     try {
       action();
     } finally {
-      this.editor.getSession().on("change", this._changeCallback);
+      this.adapter.onChange(this._changeCallback);
     }
   },
 
-  // Apply an RGA op to the Ace editor.
+  // Apply an RGA op to the editor.
   _applyOpToEditor: function (op) {
-    var session = this.editor.getSession();
+    var adapter = this.adapter;
     switch (op.type) {
     case "addRight":
+    case "addRun":
       if (this._index.has(op.t)) {
         // This character was already added.
         throw new Error("bug - message delivered twice to " + this.id + ": ", JSON.stringify(op));
       }
 
-      var loc = this.getRowColumnAfter(op.prev, op.t);
-      //this._log("inserting character", op.chr, "at", loc);
+      var offset = this._offsetOfInsertion(op.prev, op.t);
+      var str = op.type === "addRight" ? op.chr : op.str;
+      //this._log("inserting", str, "at", offset);
       this._withEditorCallbacksDisabled(function () {
-        session.insert(loc, op.chr);
+        adapter.insert(offset, str);
       });
       break;
 
     case "remove":
       //this._log("remove:", op.t, " from:", this);
-      if (this._index.get(op.t).removed) {
-        // This character has already been removed. Nothing to do.
+      var node = this._index.get(op.t);
+      if (node === undefined || node.removed || !supersedes(node, op.rt)) {
+        // This character has already been removed (and maybe collected), or
+        // a later op brought it back. Nothing to do.
         break;
       }
 
-      var loc = this.getRowColumnBefore(op.t);
-      var removingNewline = session.getDocument().getLine(loc.row).length === loc.column;
-      var whatToRemove = {
-        start: loc,
-        end: removingNewline
-          ? {row: loc.row + 1, column: 0}
-          : {row: loc.row, column: loc.column + 1}
-      };
-      //this._log("removing from editor:", whatToRemove);
+      var at = this._tree.offsetOf(node) + offsetInNode(node, op.t);
+      this._withEditorCallbacksDisabled(function () {
+        adapter.remove(at, 1);
+      });
+      break;
+
+    case "removeRange":
+      // The characters may not be contiguous in the editor anymore. Remove
+      // the pieces back to front, so that the positions of the ones not yet
+      // removed don't change. Leave alone any that the RGA will keep.
+      var spans = this._visibleSpans(op.ranges, op);
       this._withEditorCallbacksDisabled(function () {
-        session.remove(whatToRemove);
+        for (var i = spans.length - 1; i >= 0; i--)
+          adapter.remove(spans[i][0], spans[i][1]);
       });
       break;
     }
+  },
 
-    this._lastText = this.editor.getValue();
+  // Insert characters that have just been revived into the editor. `ranges`
+  // says which ones.
+  _reviveInEditor: function (ranges) {
+    // Front to back: each piece goes where it is in the RGA, which matches
+    // the editor up to that point.
+    var spans = this._visibleSpans(ranges);
+    var adapter = this.adapter;
+    var self = this;
+    this._withEditorCallbacksDisabled(function () {
+      spans.forEach(function (span) {
+        adapter.insert(span[0], self._textAt(span[0], span[1]));
+      });
+    });
   },
 
   // Receive an op from a peer RGA or (equivalently) a socket.
   _customDownstream: function (source, op) {
     // Always check for new user edits *before* accepting ops from the internet.
-    // That way, _takeUserEdits() knows that all differences between
-    // `_lastText` and `editor.getValue()` are the result of new user input.
+    // That way, _takeUserEdits() knows that all differences between the RGA
+    // and `adapter.getValue()` are the result of new user input.
     this._takeUserEdits();
 
+    // Ops we've already applied are dropped. An op that refers to characters
+    // we don't have yet can't go in the editor either; the RGA keeps it until
+    // they arrive.
+    if (this._skipIfApplied(op) || this._hold(source, op))
+      return;
+
     // Since applyOpToEditor uses the RGA to look up the location of the
     // inserted/deleted character in the document, and determine whether it has in fact
     // already been inserted/deleted, we have to call that first,
     // before modifying the RGA.
-    this._applyOpToEditor(op);  // first update the editor
-    this._downstream(source, op);  // then call base-class method to update the RGA
+    if (op.type === "unremove") {
+      // Except that characters coming back have no place in the editor until
+      // they're back in the RGA.
+      var revived = this._revivable(op.ranges, op.rt);
+      this._downstream(source, op);
+      this._reviveInEditor(revived);
+    } else {
+      this._applyOpToEditor(op);  // first update the editor
+      this._downstream(source, op);  // then call base-class method to update the RGA
+    }
 
     this._assertInSync({op: op});
   }
 });
 
-// Tie an Ace editor to a socket.
-RGA.AceEditorRGA.setup = function (editor, socket, queue) {
+// Tie an editor to a socket. `adapter` is an editor adapter (see EditorRGA).
+//
+// `options.doc` is the name of the document to edit, and `options.token` is
+// the token from the link that got us here, which says whether we may edit it
+// or only view it. `options.client` is a string identifying this client; the
+// server uses it to give us the same replica id every time we connect.
+// `options.ackInterval` is how often, in milliseconds, to tell the server
+// which ops we've seen (default 5000).
+//
+// The conversation with the server goes like this. Each time the socket
+// connects, we say "hello", naming the document we want and sending our
+// token, our client key and our version vector, if we have an RGA yet. We
+// also list the wire formats we understand (see RGA.encodeOps).
+// The server replies "welcome", with our replica id, its own version vector,
+// the history we're missing, the wire format it chose, if any, and our role:
+// "edit", or "view" if we may only watch, in which case the editor is made
+// read-only (see EditorRGA#setReadOnly). After that, ops flow both ways as
+// "downstream" messages.
+//
+// On a reconnect, we keep our RGA and the editor's contents: whatever the
+// user typed while we were disconnected is merged with the server's state,
+// not thrown away. We apply the ops the server sent, then upload the ones the
+// server is missing. The exception is when the server has lost edits we've
+// seen, say because it crashed before saving them. Then it says `reset: true`,
+// and we start over from the server's state.
+//
+// Whenever the user moves the caret or changes the selection, we send a
+// "presence" message saying where it is now (see getPresence). The server
+// passes those along to the other clients, tagged with our replica id and
+// `options.name`, and tells us where everyone else is the same way. When
+// someone leaves, we get a presence message saying `gone: true`.
+//
+// Every so often we "ack" our version vector. Once every replica has seen a
+// removal, the server tells us so with a "stable" message, and we can
+// garbage-collect the removed characters. (Removals the user might still undo
+// are left out of the version vector we ack; see RGA.UndoManager#pin.) We stop
+// acking if the server refuses us or the RGA is destroyed.
+RGA.EditorRGA.setup = function (adapter, socket, queue, options) {
+  options = options || {};
   var local = undefined;
-  socket.on("welcome", function (event) {
+  var lastAck = undefined;
+
+  function ack() {
+    if (local === undefined)
+      return;
+    if (local.wasDestroyed()) {
+      clearInterval(timer);
+      return;
+    }
+    var vector = local.undoManager.pin(local.versionVector());
+    var json = JSON.stringify(vector);
+    if (json !== lastAck) {
+      lastAck = json;
+      socket.emit("ack", {vector: vector});
+    }
+  }
+  var timer = setInterval(ack, options.ackInterval || 5000);
+  if (timer.unref)
+    timer.unref();  // Node only: don't keep the process alive just for this.
+
+  // The server hangs up after refusing us, and won't take acks from us again.
+  socket.on("refused", function () {
+    clearInterval(timer);
+  });
+
+  socket.on("stable", function (event) {
+    if (local !== undefined)
+      local.collectGarbage(event.vector);
+  });
+
+  // Tell the server where our caret is, if it has moved. Editors may fire
+  // several events for one move, so wait a moment and send one message.
+  var presenceQueued = false;
+  var lastPresence = undefined;
+  function sendPresence() {
+    presenceQueued = false;
+    if (local === undefined || local.wasDestroyed())
+      return;
+    var presence = local.getPresence();
+    var json = JSON.stringify(presence);
+    if (json !== lastPresence) {
+      lastPresence = json;
+      socket.emit("presence", {name: options.name, anchor: presence.anchor, head: presence.head});
+    }
+  }
+  function presenceChanged() {
+    if (!presenceQueued) {
+      presenceQueued = true;
+      (queue || RGA._browserQueue).defer(sendPresence);
+    }
+  }
+  adapter.onSelectionChange(presenceChanged);
+
+  socket.on("presence", function (event) {
+    if (local === undefined)
+      return;
+    if (event.gone)
+      local.removeRemotePresence(event.id);
+    else
+      local.setRemotePresence(event);
+  });
+
+  // Everyone else's carets are sent again when we reconnect.
+  socket.on("disconnect", function () {
     if (local !== undefined) {
-      // If the server is restarted, we'll receive a second welcome event.
+      local._remoteCursors.forEach(function (cursor, id) {
+        local.removeRemotePresence(id);
+      });
+    }
+    lastPresence = undefined;
+  });
+
+  function hello() {
+    socket.emit("hello", {
+      doc: options.doc,
+      token: options.token,
+      client: options.client,
+      vector: local === undefined ? undefined : local.versionVector(),
+      formats: [RGA.WIRE_FORMAT]
+    });
+  }
+  socket.on("connect", hello);
+  if (socket.connected)
+    hello();
+
+  socket.on("welcome", function (event) {
+    if (local !== undefined && (event.vector === undefined || event.reset)) {
+      // This server doesn't know how to merge, or has lost edits we've seen
+      // (and won't take them back from us), so all we can do is start over.
       // Don't try to keep the old RGA in sync with the new server instance,
       // and *definitely* don't try to tie two RGAs to the same editor!
       local.destroy();
       local = undefined;
     }
 
-    local = new RGA.AceEditorRGA(event.id, editor, event.history, queue);
-    RGA.tieToSocket(local, socket);
-    editor.focus();
+    var history = RGA.decodeOps(event.history);
+    if (local === undefined) {
+      local = new RGA.EditorRGA(event.id, adapter, history, queue);
+      RGA.tieToSocket(local, socket, event.format);
+    } else {
+      // Reconnecting. Pick up anything the user typed since the last change
+      // event, then catch up with the server.
+      local._takeUserEdits();
+
+      // While we were away, the server may have collected characters the
+      // user removed, so those removals can't be undone anymore.
+      local.undoManager.clear();
+      if (local.id !== event.id)
+        local._setId(event.id);
+      // These ops come from the server, not from us, so they mustn't be
+      // sent with `local.downstream` as the sender: "change" events would
+      // say they were local.
+      var fromServer = function () {};
+      for (var i = 0; i < history.length; i++)
+        local.downstream(fromServer, history[i]);
+
+      // Now send the server everything it hasn't seen.
+      var missing = local.historySince(event.vector);
+      RGA.tieToSocket(local, socket, event.format);
+      if (event.format === RGA.WIRE_FORMAT) {
+        if (missing.length > 0)
+          socket.emit("downstream", RGA.encodeOps(missing));
+      } else {
+        missing = RGA.toCharOps(missing);
+        for (var j = 0; j < missing.length; j++)
+          socket.emit("downstream", missing[j]);
+      }
+    }
+    local.setReadOnly(event.role === "view");
+    lastAck = JSON.stringify(event.vector);
+    presenceChanged();
+    adapter.focus();
   });
 };
 
+// An editor adapter (see EditorRGA) for the Ace editor.
+//
+// This uses the following features of the Ace API:
+// - editor.getValue() -> string
+// - editor.setValue(str, -1)
+// - editor.getSession().on("change", f), where f receives a delta
+//   {action, start, end, lines}
+// - editor.getSession().off("change", f)
+// - editor.getSession().insert({row: r, column: c}, str)
+// - editor.getSession().remove({start: ..., end: ...})
+// - editor.getSession().getDocument().getLine(loc.row) -> string
+// - editor.getSession().addDynamicMarker(marker, true)
+// - editor.getSession().removeMarker(markerId)
+// - editor.getSelection().getSelectionAnchor() -> {row, column}
+// - editor.getSelection().getSelectionLead() -> {row, column}
+// - editor.getSelection().on("changeCursor" or "changeSelection", f)
+// - editor.commands.addCommand(command), if editor.commands exists
+// - editor.setReadOnly(readOnly)
+// - editor.focus()
+//
+// Ace deals in rows and columns rather than offsets. The RGA can convert
+// between the two quickly (see PositionTree), and since it has the same text
+// as the editor whenever we're asked to convert, we let it.
+RGA.AceAdapter = function AceAdapter(editor) {
+  this.editor = editor;
+  this.rga = undefined;
+  this._listeners = [];        // [f, Ace's change callback] pairs
+  this._markers = new Map();   // RemoteCursor -> AceCursorMarker
+};
+
+RGA.AceAdapter.prototype = {
+  constructor: RGA.AceAdapter,
+
+  attach: function (rga) {
+    this.rga = rga;
+  },
+
+  getValue: function () {
+    return this.editor.getValue();
+  },
+
+  // (The `-1` here means to place the editor cursor at the start of the document.)
+  setValue: function (str) {
+    this.editor.setValue(str, -1);
+  },
+
+  insert: function (offset, str) {
+    this.editor.getSession().insert(this.rga._tree.rowColumn(offset), str);
+  },
+
+  remove: function (offset, length) {
+    var tree = this.rga._tree;
+    this.editor.getSession().remove({
+      start: tree.rowColumn(offset),
+      end: tree.rowColumn(offset + length)
+    });
+  },
+
+  onChange: function (f) {
+    var self = this;
+    var callback = function (delta) { f(self._change(delta)); };
+    this._listeners.push([f, callback]);
+    this.editor.getSession().on("change", callback);
+  },
+
+  offChange: function (f) {
+    for (var i = 0; i < this._listeners.length; i++) {
+      if (this._listeners[i][0] === f) {
+        this.editor.getSession().off("change", this._listeners[i][1]);
+        this._listeners.splice(i, 1);
+        return;
+      }
+    }
+  },
+
+  // Turn an Ace change event ({action, start, end, lines}) into a change
+  // (see EditorRGA), or return undefined if it doesn't apply to the RGA as it
+  // is now. Ace delivers change events asynchronously, so by the time one
+  // arrives, the editor may have moved on. We check the delta against the
+  // lines it touches, in the editor and in the RGA.
+  _change: function (delta) {
+    if (Object(delta) !== delta || !Array.isArray(delta.lines) ||
+        Object(delta.start) !== delta.start || Object(delta.end) !== delta.end ||
+        delta.end.row !== delta.start.row + delta.lines.length - 1)
+      return undefined;
+    var rga = this.rga;
+    var start = delta.start, end = delta.end, lines = delta.lines;
+    var doc = this.editor.getSession().getDocument();
+    var text = lines.join("\n");
+    if (text === "")
+      return {offset: 0, remove: "", insert: ""};  // nothing to do
+    var before = rga._line(start.row);  // what the RGA has on that row
+    if (before === undefined || start.column > before.length)
+      return undefined;
+
+    var first = doc.getLine(start.row);
+    var offset = rga._tree.offsetOfRowColumn(start);
+    if (delta.action === "insert") {
+      // The editor should have the new text in the middle of what used to be
+      // the row.
+      var last = doc.getLine(end.row);
+      if (first === undefined || last === undefined ||
+          first.slice(0, start.column) + last.slice(end.column) !== before)
+        return undefined;
+      for (var i = 0; i < lines.length; i++) {
+        var line = doc.getLine(start.row + i);
+        if (line === undefined)
+          return undefined;
+        if (i > 0)
+          line = line.slice(0, i === lines.length - 1 ? end.column : line.length);
+        else if (lines.length === 1)
+          line = line.slice(start.column, end.column);
+        else
+          line = line.slice(start.column);
+        if (line !== lines[i])
+          return undefined;
+      }
+      return {offset: offset, remove: "", insert: text};
+    } else if (delta.action === "remove") {
+      // The editor should have the rest of what were the rows it touched.
+      // (EditorRGA checks that the RGA has the removed text.)
+      var after = rga._line(end.row);
+      if (after === undefined || end.column > after.length ||
+          first !== before.slice(0, start.column) + after.slice(end.column))
+        return undefined;
+      return {offset: offset, remove: text, insert: ""};
+    }
+    return undefined;
+  },
+
+  getSelection: function () {
+    var selection = this.editor.getSelection();
+    var tree = this.rga._tree;
+    return {
+      anchor: tree.offsetOfRowColumn(selection.getSelectionAnchor()),
+      head: tree.offsetOfRowColumn(selection.getSelectionLead())
+    };
+  },
+
+  onSelectionChange: function (f) {
+    var selection = this.editor.getSelection();
+    selection.on("changeCursor", f);
+    selection.on("changeSelection", f);
+  },
+
+  focus: function () {
+    this.editor.focus();
+  },
+
+  showCursor: function (cursor) {
+    var session = this.editor.getSession();
+    var marker = this._markers.get(cursor);
+    if (marker === undefined) {
+      marker = new AceCursorMarker(this, cursor);
+      this._markers.set(cursor, marker);
+    } else {
+      // Taking the marker out and putting it back is how to get Ace to
+      // redraw it.
+      session.removeMarker(marker.id);
+    }
+    session.addDynamicMarker(marker, true);
+  },
+
+  hideCursor: function (cursor) {
+    var marker = this._markers.get(cursor);
+    if (marker !== undefined) {
+      this.editor.getSession().removeMarker(marker.id);
+      this._markers.delete(cursor);
+    }
+  },
+
+  bindUndo: function (undo, redo) {
+    if (this.editor.commands === undefined)
+      return;
+    this.editor.commands.addCommand({
+      name: "undo",
+      bindKey: {win: "Ctrl-Z", mac: "Command-Z"},
+      exec: undo
+    });
+    this.editor.commands.addCommand({
+      name: "redo",
+      bindKey: {win: "Ctrl-Shift-Z|Ctrl-Y", mac: "Command-Shift-Z|Command-Y"},
+      exec: redo
+    });
+  },
+
+  setReadOnly: function (readOnly) {
+    this.editor.setReadOnly(readOnly);
+  }
+};
+
+// A RemoteCursor, drawn in an Ace editor as a dynamic marker.
+function AceCursorMarker(adapter, cursor) {
+  this.adapter = adapter;
+  this.cursor = cursor;
+  this.id = undefined;  // Ace's marker id, while the marker is in the editor
+}
+
+AceCursorMarker.prototype = {
+  constructor: AceCursorMarker,
+
+  // Return the selection as {start, end, cursor}, three {row, column}
+  // locations, or undefined if we haven't received the characters it refers
+  // to yet.
+  range: function () {
+    var offsets = this.cursor.offsets();
+    if (offsets === undefined)
+      return undefined;
+    var tree = this.adapter.rga._tree;
+    return {
+      start: tree.rowColumn(offsets.start),
+      end: tree.rowColumn(offsets.end),
+      cursor: tree.rowColumn(offsets.head)
+    };
+  },
+
+  // Called by Ace's marker layer each time it redraws. Since the position
+  // is worked out afresh each time, it follows the text as it changes.
+  update: function (html, markerLayer, session, config) {
+    var range = this.range();
+    if (range === undefined)
+      return;
+    var color = this.cursor.color;
+    function box(row, column, width, style) {
+      if (row < config.firstRow || row > config.lastRow)
+        return;
+      html.push('<div style="position: absolute; pointer-events: none;' +
+                " top: " + markerLayer.$getTop(row, config) + "px;" +
+                " left: " + (markerLayer.$padding + column * config.characterWidth) + "px;" +
+                " width: " + width + "px; background: " + color + ";" + style + '"></div>');
+    }
+
+    var start = session.documentToScreenPosition(range.start.row, range.start.column);
+    var end = session.documentToScreenPosition(range.end.row, range.end.column);
+    for (var row = start.row; row <= end.row; row++) {
+      var from = row === start.row ? start.column : 0;
+      var to = row === end.row ? end.column : session.getScreenLastRowColumn(row) + 1;
+      if (to > from)
+        box(row, from, (to - from) * config.characterWidth, " height: " + config.lineHeight + "px; opacity: 0.3;");
+    }
+
+    var cursor = session.documentToScreenPosition(range.cursor.row, range.cursor.column);
+    box(cursor.row, cursor.column, 2, " height: " + config.lineHeight + "px;");
+    if (cursor.row >= config.firstRow && cursor.row <= config.lastRow) {
+      html.push('<div style="position: absolute; pointer-events: none; white-space: nowrap;' +
+                " top: " + (markerLayer.$getTop(cursor.row, config) - config.lineHeight) + "px;" +
+                " left: " + (markerLayer.$padding + cursor.column * config.characterWidth) + "px;" +
+                " background: " + color + "; color: white; font-size: 80%; padding: 0 2px;" +
+                '">' + escapeHTML(this.cursor.name) + "</div>");
+    }
+  }
+};
+
+// An RGA that has an instance of the Ace editor attached to it. (This is
+// EditorRGA with an AceAdapter; `editor` is the Ace editor.)
+RGA.AceEditorRGA = function AceEditorRGA(id, editor, history, queue) {
+  RGA.EditorRGA.call(this, id, new RGA.AceAdapter(editor), history, queue);
+  this.editor = editor;
+};
+
+RGA.AceEditorRGA.prototype = Object.create(RGA.EditorRGA.prototype);
+Object.assign(RGA.AceEditorRGA.prototype, {
+  constructor: RGA.AceEditorRGA,
+
+  // Return the {row, column} coordinates of the character with timestamp t,
+  // or of where it was, if it's been removed.
+  getRowColumnBefore: function (t) {
+    if (t === this.left.timestamp)
+      throw new Error("no position before the left edge of the document");
+    var offset = this._offsetAfter(t);
+    if (offset === undefined)
+      throw new Error("timestamp not present in document");
+    return this._tree.rowColumn(this._lookup(t) ? offset - 1 : offset);
+  },
+
+  // Return the coordinates of a hypothetical new character, if you inserted it
+  // with timestamp `t`, after the character with timestamp `prev`.
+  getRowColumnAfter: function (prev, t) {
+    var where = this._insertionPoint(prev, t);
+    if (where === undefined)
+      throw new Error("timestamp not present in document");
+    return this._tree.rowColumn(this._offsetAfter(where.node.timestamp + where.offset * TIMESTAMP_STEP));
+  }
+});
+
+// Tie an Ace editor to a socket. See RGA.EditorRGA.setup.
+RGA.AceEditorRGA.setup = function (editor, socket, queue, options) {
+  return RGA.EditorRGA.setup(new RGA.AceAdapter(editor), socket, queue, options);
+};
+
+// An editor adapter (see EditorRGA) for a plain <textarea> element, or an
+// <input>.
+//
+// The browser's "input" event doesn't say what changed, so we let EditorRGA
+// compare the whole text each time. (Trimming the common prefix and suffix
+// first keeps that cheap for the documents people edit in a textarea.)
+RGA.TextareaAdapter = function TextareaAdapter(textarea) {
+  this.textarea = textarea;
+  this._listeners = [];  // [f, input event listener] pairs
+};
+
+RGA.TextareaAdapter.prototype = {
+  constructor: RGA.TextareaAdapter,
+
+  getValue: function () {
+    return this.textarea.value;
+  },
+
+  setValue: function (str) {
+    this.textarea.value = str;
+  },
+
+  // Replace the text, keeping the selection where it was relative to the
+  // text around it. `move(offset)` says where a position goes.
+  _edit: function (value, move) {
+    var textarea = this.textarea;
+    var start = move(textarea.selectionStart);
+    var end = move(textarea.selectionEnd);
+    var direction = textarea.selectionDirection;
+    textarea.value = value;
+    textarea.setSelectionRange(start, end, direction);
+  },
+
+  insert: function (offset, str) {
+    var value = this.textarea.value;
+    this._edit(value.slice(0, offset) + str + value.slice(offset), function (pos) {
+      return pos > offset ? pos + str.length : pos;
+    });
+  },
+
+  remove: function (offset, length) {
+    var value = this.textarea.value;
+    this._edit(value.slice(0, offset) + value.slice(offset + length), function (pos) {
+      return pos <= offset ? pos : Math.max(offset, pos - length);
+    });
+  },
+
+  onChange: function (f) {
+    var listener = function () { f(undefined); };
+    this._listeners.push([f, listener]);
+    this.textarea.addEventListener("input", listener);
+  },
+
+  offChange: function (f) {
+    for (var i = 0; i < this._listeners.length; i++) {
+      if (this._listeners[i][0] === f) {
+        this.textarea.removeEventListener("input", this._listeners[i][1]);
+        this._listeners.splice(i, 1);
+        return;
+      }
+    }
+  },
+
+  getSelection: function () {
+    var textarea = this.textarea;
+    if (textarea.selectionDirection === "backward")
+      return {anchor: textarea.selectionEnd, head: textarea.selectionStart};
+    return {anchor: textarea.selectionStart, head: textarea.selectionEnd};
+  },
+
+  // There's no single event for this that all browsers fire on a textarea,
+  // so listen for the things that move the caret.
+  onSelectionChange: function (f) {
+    var textarea = this.textarea;
+    ["select", "keyup", "mouseup", "input"].forEach(function (type) {
+      textarea.addEventListener(type, function () { f(); });
+    });
+  },
+
+  focus: function () {
+    this.textarea.focus();
+  },
+
+  bindUndo: function (undo, redo) {
+    this.textarea.addEventListener("keydown", function (event) {
+      if (!(event.ctrlKey || event.metaKey))
+        return;
+      var key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey)
+        undo();
+      else if ((key === "z" && event.shiftKey) || key === "y")
+        redo();
+      else
+        return;
+      event.preventDefault();
+    });
+  },
+
+  setReadOnly: function (readOnly) {
+    this.textarea.readOnly = readOnly;
+  }
+};
+
+// An editor adapter (see EditorRGA) for CodeMirror (version 5).
+//
+// This uses the following features of the CodeMirror API:
+// - cm.getValue(), cm.setValue(str)
+// - cm.replaceRange(str, from, to)
+// - cm.posFromIndex(offset), cm.indexFromPos(pos)
+// - cm.on("change", f), where f receives (cm, {from, to, text, removed}),
+//   and cm.off("change", f)
+// - cm.getCursor("anchor"), cm.getCursor("head")
+// - cm.on("cursorActivity", f)
+// - cm.markText(from, to, options) and cm.setBookmark(pos, options), which
+//   return objects with a clear() method
+// - cm.getWrapperElement().ownerDocument, to create the caret widget
+// - cm.addKeyMap(keyMap)
+// - cm.setOption("readOnly", readOnly)
+// - cm.focus()
+//
+// CodeMirror fires "change" as soon as each change is made, so unlike Ace's,
+// its changes always apply.
+RGA.CodeMirrorAdapter = function CodeMirrorAdapter(cm) {
+  this.cm = cm;
+  this._listeners = [];      // [f, change event listener] pairs
+  this._marks = new Map();   // RemoteCursor -> array of CodeMirror marks
+};
+
+RGA.CodeMirrorAdapter.prototype = {
+  constructor: RGA.CodeMirrorAdapter,
+
+  getValue: function () {
+    return this.cm.getValue();
+  },
+
+  setValue: function (str) {
+    this.cm.setValue(str);
+  },
+
+  insert: function (offset, str) {
+    this.cm.replaceRange(str, this.cm.posFromIndex(offset));
+  },
+
+  remove: function (offset, length) {
+    var cm = this.cm;
+    cm.replaceRange("", cm.posFromIndex(offset), cm.posFromIndex(offset + length));
+  },
+
+  onChange: function (f) {
+    var listener = function (cm, change) {
+      f({
+        offset: cm.indexFromPos(change.from),
+        remove: change.removed.join("\n"),
+        insert: change.text.join("\n")
+      });
+    };
+    this._listeners.push([f, listener]);
+    this.cm.on("change", listener);
+  },
+
+  offChange: function (f) {
+    for (var i = 0; i < this._listeners.length; i++) {
+      if (this._listeners[i][0] === f) {
+        this.cm.off("change", this._listeners[i][1]);
+        this._listeners.splice(i, 1);
+        return;
+      }
+    }
+  },
+
+  getSelection: function () {
+    var cm = this.cm;
+    return {
+      anchor: cm.indexFromPos(cm.getCursor("anchor")),
+      head: cm.indexFromPos(cm.getCursor("head"))
+    };
+  },
+
+  onSelectionChange: function (f) {
+    this.cm.on("cursorActivity", function () { f(); });
+  },
+
+  focus: function () {
+    this.cm.focus();
+  },
+
+  // The selection is a marked range and the caret is a bookmark. CodeMirror
+  // moves both along as the text changes, until the cursor moves again.
+  showCursor: function (cursor) {
+    this.hideCursor(cursor);
+    var offsets = cursor.offsets();
+    if (offsets === undefined)
+      return;
+    var cm = this.cm;
+    var marks = [];
+    if (offsets.end > offsets.start) {
+      marks.push(cm.markText(cm.posFromIndex(offsets.start), cm.posFromIndex(offsets.end), {
+        css: "background: " + cursor.highlight,
+        title: cursor.name
+      }));
+    }
+    var caret = cm.getWrapperElement().ownerDocument.createElement("span");
+    caret.style.borderLeft = "2px solid " + cursor.color;
+    caret.style.marginLeft = caret.style.marginRight = "-1px";
+    caret.title = cursor.name;
+    marks.push(cm.setBookmark(cm.posFromIndex(offsets.head), {widget: caret, insertLeft: true}));
+    this._marks.set(cursor, marks);
+  },
+
+  hideCursor: function (cursor) {
+    var marks = this._marks.get(cursor);
+    if (marks !== undefined) {
+      marks.forEach(function (mark) { mark.clear(); });
+      this._marks.delete(cursor);
+    }
+  },
+
+  bindUndo: function (undo, redo) {
+    this.cm.addKeyMap({
+      "Ctrl-Z": undo, "Cmd-Z": undo,
+      "Shift-Ctrl-Z": redo, "Shift-Cmd-Z": redo,
+      "Ctrl-Y": redo, "Cmd-Y": redo
+    });
+  },
+
+  setReadOnly: function (readOnly) {
+    this.cm.setOption("readOnly", readOnly);
+  }
+};
+
 if (typeof module !== "undefined")
   exports = module.exports = RGA;
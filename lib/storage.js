@@ -0,0 +1,281 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+//
+// storage.js - Durable on-disk storage for the server's replica of a document.
+//
+// A document directory contains two files:
+//
+// - `log.jsonl` is an append-only log of every op applied to the document, one
+//   JSON record per line: `{"seq": 17, "op": {...}}`. Garbage collections
+//   are logged too, as `{"seq": 18, "gc": <stable version vector>}`.
+//   Sequence numbers start at 1 and increase by one per record.
+//
+// - `snapshot.json` is `{"seq": n, "history": [...], "collected": [...]}`,
+//   where `history` is what `RGA#history()` returned after the first n
+//   records had been applied, and `collected` lists `[t, length, prev, next]`
+//   for the runs of characters that have been garbage-collected (see
+//   RGA#_resolve and RGA#_resolveAnchor). Older snapshots lack `next`.
+//
+// To load a document, we replay the snapshot's history and then every log
+// record with a sequence number greater than the snapshot's. Every so often we
+// write a fresh snapshot and truncate the log.
+//
+// Writing a snapshot is atomic: we write a temporary file and rename it over
+// the old one. Appending to the log is not: if the server crashes halfway
+// through a write, the log ends with a torn record. That record is discarded
+// (and chopped off the end of the file) the next time the document is opened.
+// Nothing else was lost: an op only counts as stored once its whole record,
+// including the trailing newline, is on disk.
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var RGA = require("./rga.js");
+
+var LOG_FILE = "log.jsonl";
+var SNAPSHOT_FILE = "snapshot.json";
+
+// A DocumentStore saves one document in the directory `dir`. Options:
+//
+// - `snapshotInterval`: write a snapshot after this many ops have been logged
+//   (default 1000).
+//
+// - `fsync`: if true (the default), flush each log record to disk before
+//   moving on. Turning this off is faster, but the last few ops may be lost if
+//   the machine (not just the server process) crashes.
+//
+function DocumentStore(dir, options) {
+  options = options || {};
+  this.dir = dir;
+  this.snapshotInterval = options.snapshotInterval || 1000;
+  this.fsync = options.fsync !== false;
+
+  this.doc = undefined;     // The RGA being stored, once open() is called.
+  this.seq = 0;             // Sequence number of the last op stored.
+  this._snapshotSeq = 0;    // Sequence number as of the last snapshot.
+  this._logFd = undefined;
+}
+
+DocumentStore.prototype = {
+  constructor: DocumentStore,
+
+  _logPath: function () { return path.join(this.dir, LOG_FILE); },
+  _snapshotPath: function () { return path.join(this.dir, SNAPSHOT_FILE); },
+
+  // Load the document from disk (creating the directory if necessary) and
+  // return a new RGA containing it. From then on, every op that reaches the
+  // RGA is appended to the log.
+  open: function (id, queue) {
+    if (this.doc !== undefined)
+      throw new Error("DocumentStore: already open");
+    mkdirp(this.dir);
+
+    var doc = new RGA(id, undefined, queue);
+    var snapshot = readJSONIfExists(this._snapshotPath());
+    if (snapshot !== undefined) {
+      (snapshot.collected || []).forEach(function (entry) {
+        doc._collected.add({timestamp: entry[0], length: entry[1], prev: entry[2], next: entry[3]});
+      });
+      snapshot.history.forEach(function (op) {
+        doc._downstream(doc.downstream, op);
+      });
+      this._snapshotSeq = this.seq = snapshot.seq;
+    }
+
+    var records = this._recoverLog();
+    for (var i = 0; i < records.length; i++) {
+      var record = records[i];
+      if (record.seq <= this.seq)
+        continue;  // already included in the snapshot
+      if (record.seq !== this.seq + 1)
+        throw new Error("DocumentStore: log is missing records " + (this.seq + 1) + " through " + (record.seq - 1));
+      if (record.gc !== undefined)
+        doc.collectGarbage(record.gc);
+      else
+        doc._downstream(doc.downstream, record.op);
+      this.seq = record.seq;
+    }
+
+    this.doc = doc;
+    this._logFd = fs.openSync(this._logPath(), "a");
+
+    // Log each op as soon as it's applied. (Listening for "op" events would be
+    // too late: those are delivered asynchronously, so a snapshot taken from
+    // such a listener could contain ops that haven't been logged yet.) Ops
+    // that have to wait for others aren't logged until they're applied.
+    var self = this;
+    var applyOp = doc._downstream;
+    doc._downstream = function (sender, op) {
+      var applied = applyOp.call(this, sender, op);
+      if (applied)
+        self._append({op: op});
+      return applied;
+    };
+
+    // Garbage collection changes how later ops are applied, so it has to be
+    // replayed at the same point.
+    var collectGarbage = doc.collectGarbage;
+    doc.collectGarbage = function (stable) {
+      var count = collectGarbage.call(this, stable);
+      if (count > 0)
+        self._append({gc: stable});
+      return count;
+    };
+    doc._onDestroy.push(function () {
+      self.close();
+    });
+    return doc;
+  },
+
+  // Read the log, discarding a torn final record if there is one. Return an
+  // array of records.
+  _recoverLog: function () {
+    return readLog(this._logPath(), parseRecord);
+  },
+
+  // Add a record to the log. `record` is either {op: op} or {gc: vector}.
+  _append: function (record) {
+    if (this._logFd === undefined)
+      return;
+    this.seq++;
+    fs.writeSync(this._logFd, JSON.stringify(Object.assign({seq: this.seq}, record)) + "\n");
+    if (this.fsync)
+      fs.fsyncSync(this._logFd);
+    if (this.seq - this._snapshotSeq >= this.snapshotInterval)
+      this.snapshot();
+  },
+
+  // Write a snapshot of the document and truncate the log.
+  snapshot: function () {
+    var collected = [];
+    this.doc._collected.forEach(function (run) {
+      var entry = [run.timestamp, run.length, run.prev];
+      if (run.next !== undefined)
+        entry.push(run.next);
+      collected.push(entry);
+    });
+    writeJSONAtomic(this._snapshotPath(), {
+      seq: this.seq,
+      history: this.doc.history(),
+      collected: collected
+    });
+    this._snapshotSeq = this.seq;
+
+    // If we crash right here, no harm done: the log records are all older than
+    // the snapshot, so they'll be skipped when the document is loaded.
+    fs.ftruncateSync(this._logFd, 0);
+  },
+
+  // Write a final snapshot and stop logging. (Ops that reach the RGA after
+  // this are not saved.)
+  close: function () {
+    if (this._logFd === undefined)
+      return;
+    if (this.seq !== this._snapshotSeq)
+      this.snapshot();
+    fs.closeSync(this._logFd);
+    this._logFd = undefined;
+  }
+};
+
+// Replace the contents of a file with `value`, as JSON. Either the whole new
+// file makes it to disk or none of it does.
+function writeJSONAtomic(filename, value) {
+  var tmpPath = filename + ".tmp";
+  var fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(value));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filename);
+}
+
+function mkdirp(dir) {
+  try {
+    fs.mkdirSync(dir);
+  } catch (exc) {
+    if (exc.code === "EEXIST")
+      return;
+    if (exc.code !== "ENOENT")
+      throw exc;
+    mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+}
+
+// Read a log of JSON records, one per line, such as a DocumentStore's log.
+// `parse(line)` should return the record, or undefined if the line isn't a
+// valid one. A torn record at the end of the log (see above) is discarded and
+// chopped off the file. Returns an array of records; if the file doesn't exist,
+// that's an empty array.
+function readLog(logPath, parse) {
+  var text;
+  try {
+    text = fs.readFileSync(logPath, "utf8");
+  } catch (exc) {
+    if (exc.code === "ENOENT")
+      return [];
+    throw exc;
+  }
+
+  // Every line but the last ends with a newline. The last "line" is whatever
+  // follows the final newline: normally nothing at all.
+  var lines = text.split("\n");
+  var tail = lines.pop();
+  var records = [];
+  var goodLength = 0;  // length in bytes of the intact part of the log
+  for (var i = 0; i < lines.length; i++) {
+    var record = parse(lines[i]);
+    if (record === undefined) {
+      // A line of garbage at the very end of the log is part of a torn write
+      // too. Anywhere else, something worse than a crash has happened to
+      // the file; don't try to guess what.
+      if (i !== lines.length - 1 || tail !== "")
+        throw new Error("corrupt record at line " + (i + 1) + " of " + logPath);
+      break;
+    }
+    records.push(record);
+    goodLength += Buffer.byteLength(lines[i], "utf8") + 1;
+  }
+
+  if (goodLength !== Buffer.byteLength(text, "utf8")) {
+    console.error("discarding torn record at end of " + logPath);
+    fs.truncateSync(logPath, goodLength);
+  }
+  return records;
+}
+
+// Parse one line of the log. Return undefined if it isn't a valid record.
+function parseRecord(line) {
+  var record;
+  try {
+    record = JSON.parse(line);
+  } catch (exc) {
+    return undefined;
+  }
+  if (Object(record) !== record || typeof record.seq !== "number")
+    return undefined;
+  if (Object(record.op) !== record.op && Object(record.gc) !== record.gc)
+    return undefined;
+  return record;
+}
+
+function readJSONIfExists(filename) {
+  try {
+    return JSON.parse(fs.readFileSync(filename, "utf8"));
+  } catch (exc) {
+    if (exc.code === "ENOENT")
+      return undefined;
+    throw exc;
+  }
+}
+
+module.exports = exports = {
+  DocumentStore: DocumentStore,
+  mkdirp: mkdirp,
+  readLog: readLog,
+  readJSONIfExists: readJSONIfExists,
+  writeJSONAtomic: writeJSONAtomic
+};
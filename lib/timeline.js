@@ -0,0 +1,368 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+//
+// timeline.js - What a document looked like at any point in the past.
+//
+// The DocumentStore keeps just enough to load the document as it is now: its
+// log is truncated at every snapshot, and garbage collection throws away
+// removed text for good. A Timeline keeps everything else. It records every op
+// applied to the server's replica, stamped with the time it was applied and
+// the replica id of its author, and never forgets any of them. To see the
+// document as of some earlier version, we replay the ops up to that point
+// into a fresh RGA.
+//
+// Versions are numbered by how many ops had been applied: version 0 is the
+// empty document, and version n is the document after the first n ops. Most
+// versions are a single keystroke, so `versions()` lumps them together into
+// changes: runs of ops by one author with no long pause in between. Users can
+// also name a version, say "before the big rewrite", as a checkpoint.
+//
+// In a document directory, the timeline is `timeline.jsonl`, one JSON record
+// per line: `{"time": ms, "author": id, "op": {...}}` for each op, and
+// `{"time": ms, "checkpoint": name}` for each checkpoint, which names the
+// version made by the ops before it. Like the DocumentStore's log, records
+// are flushed to disk as they're appended, unless the `fsync` option is
+// false.
+//
+// A timeline only grows, so the ops stay on disk. In memory, we keep the
+// changes and checkpoints, the ops since the last `segmentLength` ops, and
+// where in the file each earlier segment of that many ops starts. Replaying
+// reads the segments back one at a time. Since people tend to look at one
+// version after another, we also keep a few keyframes: the document as of
+// the segment boundaries just before the versions replayed most recently.
+// Replaying starts from the nearest one.
+
+"use strict";
+
+var fs = require("fs");
+var RGA = require("./rga.js");
+var storage = require("./storage.js");
+
+// Ops by the same author, each one less than this many milliseconds after the
+// one before, make up a single change (see Timeline#versions).
+var CHANGE_GAP = 60000;
+
+// The longest name a checkpoint may have.
+var MAX_CHECKPOINT_NAME_LENGTH = 100;
+
+// How many keyframes to keep (see above).
+var MAX_KEYFRAMES = 8;
+
+// Parse one line of a timeline file. Return undefined if it isn't a valid
+// record.
+function parseEntry(line) {
+  var entry;
+  try {
+    entry = JSON.parse(line);
+  } catch (exc) {
+    return undefined;
+  }
+  if (Object(entry) !== entry || typeof entry.time !== "number")
+    return undefined;
+  if (Object(entry.op) !== entry.op && typeof entry.checkpoint !== "string")
+    return undefined;
+  return entry;
+}
+
+// The timeline of one document. If `filename` is given, the timeline is loaded
+// from that file, and everything recorded from now on is appended to it.
+// Options:
+//
+// - `fsync`: if true (the default), flush each record to disk before moving
+//   on, as DocumentStore does.
+//
+// - `segmentLength`: how many ops to read from the file at a time, when
+//   replaying (default 1000).
+//
+function Timeline(filename, options) {
+  options = options || {};
+  this.filename = filename;
+  this.fsync = options.fsync !== false;
+  this.segmentLength = options.segmentLength || 1000;
+  this.now = Date.now;      // the clock (tests replace this)
+  this._count = 0;          // the number of ops recorded
+  this._changes = [];       // {version, time, author} for each change, in order
+  this._checkpoints = [];   // {version, time, name}, in order
+  this._segments = [];      // {offset, ops} for each segment (see _segmentOps)
+  this._cached = undefined; // {index, ops}: the segment read from the file last
+  this._keyframes = new Map();  // version -> history, least recently used first
+  this._fd = undefined;
+  this._size = 0;           // the length of the file, in bytes
+
+  if (filename !== undefined) {
+    // Only keep what's needed to find each op again.
+    var entries = storage.readLog(filename, function (line) {
+      var entry = parseEntry(line);
+      if (entry === undefined)
+        return undefined;
+      return {time: entry.time, author: entry.author, checkpoint: entry.op === undefined ? entry.checkpoint : undefined,
+              bytes: Buffer.byteLength(line, "utf8") + 1};
+    });
+    this._fd = fs.openSync(filename, "a");
+    var self = this;
+    entries.forEach(function (entry) {
+      if (entry.checkpoint === undefined)
+        self._noteOp(entry.time, entry.author, self._size);
+      else
+        self._checkpoints.push({version: self._count, time: entry.time, name: entry.checkpoint});
+      self._size += entry.bytes;
+    });
+    var last = this._segments[this._segments.length - 1];
+    if (last !== undefined)
+      last.ops = this._readSegment(this._segments.length - 1);
+  }
+}
+
+Timeline.prototype = {
+  constructor: Timeline,
+
+  // The latest version: the number of ops recorded so far.
+  latest: function () {
+    return this._count;
+  },
+
+  // Start recording every op applied to `doc`. A document that already has
+  // text when its timeline starts (because it's older than timelines) gets
+  // its current history as the first ops, with no author.
+  attach: function (doc) {
+    var self = this;
+    if (this._count === 0) {
+      var time = this.now();
+      doc.history().forEach(function (op) {
+        self._add({time: time, author: null, op: op});
+      });
+    }
+
+    // Like the DocumentStore, record ops as they're applied, not when "op"
+    // events are delivered, so that ops are recorded in the order they were
+    // applied. Ops that have to wait for others aren't recorded until then.
+    var applyOp = doc._downstream;
+    doc._downstream = function (sender, op) {
+      var applied = applyOp.call(this, sender, op);
+      if (applied)
+        self.record(op);
+      return applied;
+    };
+    doc._onDestroy.push(function () {
+      self.close();
+    });
+  },
+
+  // Record that `op` was just applied.
+  record: function (op) {
+    this._add({time: this.now(), author: RGA.authorOf(op), op: op});
+  },
+
+  _add: function (entry) {
+    var offset = this._size;
+    this._write(entry);
+    this._noteOp(entry.time, entry.author, offset);
+    this._segments[this._segments.length - 1].ops.push(entry.op);
+  },
+
+  // Count an op, made by `author` at `time`, whose record starts at byte
+  // `offset` in the file. Each op either adds to the latest change or starts
+  // a new one.
+  _noteOp: function (time, author, offset) {
+    if (this._count % this.segmentLength === 0) {
+      // Once a segment is in the file, it's read back from there as needed.
+      var previous = this._segments[this._segments.length - 1];
+      if (previous !== undefined && this._fd !== undefined)
+        previous.ops = undefined;
+      this._segments.push({offset: offset, ops: []});
+    }
+
+    var change = this._changes[this._changes.length - 1];
+    var checkpoint = this._checkpoints[this._checkpoints.length - 1];
+    var named = checkpoint !== undefined && checkpoint.version === this._count;
+    this._count++;
+    if (change !== undefined && !named && change.author === author && time - change.time < CHANGE_GAP) {
+      change.version = this._count;
+      change.time = time;
+    } else {
+      this._changes.push({version: this._count, time: time, author: author});
+    }
+  },
+
+  _write: function (record) {
+    if (this._fd === undefined)
+      return;
+    var line = JSON.stringify(record) + "\n";
+    fs.writeSync(this._fd, line);
+    if (this.fsync)
+      fs.fsyncSync(this._fd);
+    this._size += Buffer.byteLength(line, "utf8");
+  },
+
+  // Give the latest version a name. Returns the checkpoint, as
+  // `{version, time, name}`.
+  checkpoint: function (name) {
+    if (typeof name !== "string" || name.trim() === "" || name.length > MAX_CHECKPOINT_NAME_LENGTH)
+      throw new Error("checkpoint names must be 1 to " + MAX_CHECKPOINT_NAME_LENGTH + " characters long");
+    var checkpoint = {version: this._count, time: this.now(), name: name.trim()};
+    this._checkpoints.push(checkpoint);
+    this._write({time: checkpoint.time, checkpoint: checkpoint.name});
+    return checkpoint;
+  },
+
+  // Return the versions worth looking at, oldest first: the end of each
+  // change, and each checkpoint. Each is an object `{version, time, author}`,
+  // where `time` and `author` are those of the last op in the version (or of
+  // the checkpoint, for a checkpoint at version 0). A version that was named
+  // also has a `name`.
+  versions: function () {
+    var result = [];
+    var c = 0;  // index into this._checkpoints
+    var checkpoints = this._checkpoints;
+    for (; c < checkpoints.length && checkpoints[c].version === 0; c++)
+      result.push({version: 0, time: checkpoints[c].time, author: null, name: checkpoints[c].name});
+    this._changes.forEach(function (change) {
+      var v = {version: change.version, time: change.time, author: change.author};
+      for (; c < checkpoints.length && checkpoints[c].version === change.version; c++)
+        v.name = checkpoints[c].name;
+      result.push(v);
+    });
+    return result;
+  },
+
+  // Return a new RGA containing the document as of `version`, starting from
+  // the latest keyframe before it, if there is one.
+  replay: function (version) {
+    this._checkVersion(version);
+    var start = 0;
+    this._keyframes.forEach(function (history, v) {
+      if (v <= version && v > start)
+        start = v;
+    });
+    var history = undefined;
+    if (start > 0) {
+      history = this._keyframes.get(start);
+      this._keyframes.delete(start);
+      this._keyframes.set(start, history);
+    }
+    var doc = new RGA(0, history);
+    this._apply(doc, start, version);
+    return doc;
+  },
+
+  // Apply the ops that make version `from` of `doc` into version `to`.
+  // Along the way, keep keyframes for the last few segment boundaries.
+  _apply: function (doc, from, to) {
+    var length = this.segmentLength;
+    for (var i = from; i < to;) {
+      var k = Math.floor(i / length);
+      var ops = this._segmentOps(k);
+      for (var j = i - k * length; j < ops.length && i < to; j++) {
+        doc._downstream(doc.downstream, ops[j]);
+        i++;
+        if (i % length === 0 && to - i < MAX_KEYFRAMES * length && !this._keyframes.has(i))
+          this._addKeyframe(i, doc.history());
+      }
+    }
+  },
+
+  _addKeyframe: function (version, history) {
+    this._keyframes.set(version, history);
+    if (this._keyframes.size > MAX_KEYFRAMES)
+      this._keyframes.delete(this._keyframes.keys().next().value);
+  },
+
+  // Return the ops in segment `k`: ops number `k * segmentLength` and up.
+  // Segments that have been written to the file are read back from there.
+  _segmentOps: function (k) {
+    var segment = this._segments[k];
+    if (segment.ops !== undefined)
+      return segment.ops;
+    if (this._cached === undefined || this._cached.index !== k)
+      this._cached = {index: k, ops: this._readSegment(k)};
+    return this._cached.ops;
+  },
+
+  _readSegment: function (k) {
+    var start = this._segments[k].offset;
+    var end = k + 1 < this._segments.length ? this._segments[k + 1].offset : this._size;
+    var buffer = Buffer.alloc(end - start);
+    var fd = fs.openSync(this.filename, "r");
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+    var ops = [];
+    buffer.toString("utf8").split("\n").forEach(function (line) {
+      var entry = line === "" ? undefined : parseEntry(line);
+      if (entry !== undefined && entry.op !== undefined)
+        ops.push(entry.op);
+    });
+    var expected = Math.min(this.segmentLength, this._count - k * this.segmentLength);
+    if (ops.length !== expected)
+      throw new Error("timeline file " + this.filename + " has changed: expected " + expected +
+                      " ops at byte " + start + ", found " + ops.length);
+    return ops;
+  },
+
+  _checkVersion: function (version) {
+    if (!Number.isInteger(version) || version < 0 || version > this._count)
+      throw new RangeError("no such version: " + version);
+  },
+
+  // Return the text of the document as of `version`.
+  textAt: function (version) {
+    return this.replay(version).text();
+  },
+
+  // Return what changed between versions `from` and `to` (where `from` comes
+  // first) as an array of runs of the form `{text, status}`. Read in order,
+  // the runs make up both versions of the text: `status` is "added" for text
+  // that's only in `to`, "removed" for text that's only in `from`, and "same"
+  // for the rest. Adjacent runs have different statuses.
+  diff: function (from, to) {
+    this._checkVersion(to);
+    if (!(from <= to))
+      throw new RangeError("can't diff backwards, from version " + from + " to " + to);
+    var doc = this.replay(from);
+    var before = new Set();  // timestamps of the characters visible in `from`
+    eachChar(doc, function (t, chr, visible) {
+      if (visible)
+        before.add(t);
+    });
+    this._apply(doc, from, to);
+
+    var runs = [];
+    eachChar(doc, function (t, chr, visible) {
+      var status = before.has(t)
+        ? (visible ? "same" : "removed")
+        : (visible ? "added" : undefined);
+      if (status === undefined)
+        return;  // added and removed in between
+      var last = runs[runs.length - 1];
+      if (last !== undefined && last.status === status)
+        last.text += chr;
+      else
+        runs.push({text: chr, status: status});
+    });
+    return runs;
+  },
+
+  // Stop writing to the file. (Ops recorded after this are kept in memory
+  // only.)
+  close: function () {
+    if (this._fd === undefined)
+      return;
+    fs.closeSync(this._fd);
+    this._fd = undefined;
+  }
+};
+
+// Call `callback(t, chr, visible)` for each character in `doc`, including
+// removed ones, in order.
+function eachChar(doc, callback) {
+  for (var node = doc.left.next; node !== undefined; node = node.next) {
+    for (var k = 0; k < node.chr.length; k++)
+      callback(node.timestamp + k * (RGA.MAX_REPLICA_ID + 1), node.chr[k], !node.removed);
+  }
+}
+
+module.exports = exports = {
+  Timeline: Timeline,
+  CHANGE_GAP: CHANGE_GAP
+};
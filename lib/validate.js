@@ -0,0 +1,329 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+//
+// validate.js - Check the ops clients send before the server applies them.
+//
+// The server's replica believes anything it's told, and so would every other
+// client once the server passed it along. A buggy or hostile client could
+// send an op of a type nobody understands, a "character" that is really a
+// whole paragraph, or edits stamped with another user's replica id. So the
+// server runs everything a client sends through an OpValidator first, and
+// hangs up on a client the first time it sends something wrong.
+
+"use strict";
+
+var RGA = require("./rga.js");
+
+var TIMESTAMP_STEP = RGA.MAX_REPLICA_ID + 1;
+
+function isTimestamp(t) {
+  return Number.isSafeInteger(t) && t >= 0;
+}
+
+function replicaOf(t) {
+  return t & RGA.MAX_REPLICA_ID;
+}
+
+// Describe a timestamp for an error message, as "replica:counter".
+function describeTimestamp(t) {
+  return replicaOf(t) + ":" + Math.floor(t / TIMESTAMP_STEP);
+}
+
+// Check that `ranges` is a nonempty array of [t, n] pairs, as in removeRange
+// and unremove ops, and return a fresh copy of it.
+function checkRanges(ranges) {
+  if (!Array.isArray(ranges) || ranges.length === 0)
+    throw new Error("ranges must be a nonempty array");
+  return ranges.map(function (range) {
+    if (!Array.isArray(range) || range.length !== 2 || !isTimestamp(range[0]) ||
+        !Number.isSafeInteger(range[1]) || range[1] < 1 ||
+        !isTimestamp(range[0] + (range[1] - 1) * TIMESTAMP_STEP))
+      throw new Error("bad range " + JSON.stringify(range));
+    return [range[0], range[1]];
+  });
+}
+
+// The longest value a mark may have, such as a link's URL.
+var MAX_MARK_VALUE_LENGTH = 2048;
+
+// Check that `anchor` is a [t, side] pair, as in mark ops, and return a fresh
+// copy of it.
+function checkAnchor(anchor) {
+  if (!Array.isArray(anchor) || anchor.length !== 2 || !isTimestamp(anchor[0]) ||
+      (anchor[1] !== "before" && anchor[1] !== "after"))
+    throw new Error("bad anchor " + JSON.stringify(anchor));
+  return [anchor[0], anchor[1]];
+}
+
+// Count the ops in a message in the wire format (see RGA.encodeOps) without
+// decoding it. Throws if any "r" run is too long, or the message has too
+// many ops: a tiny message could otherwise stand for millions of ops.
+function countOps(msg) {
+  if (!Array.isArray(msg.ops))
+    throw new Error("ops must be an array");
+  var count = 0;
+  for (var i = 0; i < msg.ops.length; i++) {
+    var run = msg.ops[i];
+    if (!Array.isArray(run))
+      throw new Error("bad run " + JSON.stringify(run));
+    if (run[0] === "r") {
+      if (!Number.isSafeInteger(run[3]) || run[3] < 1 || run[3] > RGA.MAX_RUN_LENGTH)
+        throw new Error("bad length for a run of removals: " + JSON.stringify(run[3]));
+      count += run[3];
+    } else {
+      count++;
+    }
+    if (count > RGA.MAX_OPS_PER_MESSAGE)
+      throw new Error("too many ops in one message (the limit is " + RGA.MAX_OPS_PER_MESSAGE + ")");
+  }
+  return count;
+}
+
+// An OpValidator checks the ops arriving from one client.
+//
+// `doc` is the server's replica of the document. `ownsId(id)` returns true if
+// the client is allowed to make ops stamped with replica id `id`: normally
+// just the id it was given, but a client that comes back with a new id may
+// still be holding edits it made under an old one.
+//
+// Besides being well-formed, each op must be new: its timestamp (or for
+// removals, its `rt`) must be later than any the server has seen from that
+// replica before. Version vectors depend on this. If a replica could slip in
+// an op older than one we've already passed on, clients that had seen the
+// newer op would never be sent the older one when they reconnect.
+//
+// Ops that arrive together in one message are checked against what came
+// before the message, not against each other, since a reconnecting client
+// sends its unsent edits in document order rather than in the order they
+// were made.
+//
+// A removal without `rt` comes from a client old enough not to stamp its
+// removals. There's no telling whose it is, so it's allowed only if it
+// changes nothing: clients resend such removals every time they reconnect.
+//
+// Every character an op refers to must be one the server has, or one added
+// in the same message.
+//
+// A client can't pass along edits made by anyone else. Normally it never
+// needs to. If the server loses edits (say, it crashes before saving them),
+// a client that still has other users' edits would try to send them back, so
+// the server tells such clients to start over instead (see
+// DocumentSet#_join).
+//
+// Set `readOnly` to true for clients that may only view the document; then
+// every op is refused.
+function OpValidator(doc, ownsId) {
+  this.doc = doc;
+  this.ownsId = ownsId;
+  this.readOnly = false;
+  this._latest = Object.create(null);  // replica id -> latest timestamp accepted
+}
+
+OpValidator.prototype = {
+  constructor: OpValidator,
+
+  // Check a "downstream" message, which is either one plain op or a batch of
+  // ops in the wire format (see RGA.encodeOps). Returns an array of the
+  // ops, copied so that they have no stray properties. Throws an Error
+  // saying what is wrong if any op in the message is invalid; in that case
+  // none of them should be applied.
+  check: function (msg) {
+    var ops;
+    if (this.readOnly)
+      throw new Error("this client may only view the document");
+    if (Object(msg) !== msg)
+      throw new Error("message is not an object");
+    if (msg.v !== undefined) {
+      countOps(msg);
+      try {
+        ops = RGA.decodeOps(msg);
+      } catch (exc) {
+        throw new Error("can't decode message: " + exc.message);
+      }
+    } else {
+      ops = [msg];
+    }
+
+    var self = this;
+    var latest = Object.create(null);
+    ops = ops.map(function (op) {
+      var checked = self._checkOp(op);
+      if (checked.last !== undefined) {
+        var id = replicaOf(checked.first);
+        if (!self.ownsId(id)) {
+          throw new Error("op " + describeTimestamp(checked.first) + " is stamped with replica id " +
+                          id + ", which belongs to another client");
+        }
+        var before = self._latestFrom(id);
+        if (before !== undefined && checked.first <= before) {
+          throw new Error("op " + describeTimestamp(checked.first) + " is not newer than " +
+                          describeTimestamp(before) + ", already seen from replica " + id);
+        }
+        if (!(latest[id] >= checked.last))
+          latest[id] = checked.last;
+      }
+      return checked.op;
+    });
+
+    this._checkDependencies(ops);
+    for (var id in latest)
+      this._latest[id] = latest[id];
+    return ops;
+  },
+
+  // Throw if any of `ops` refers to a character that neither the server nor
+  // an add op in `ops` has. The server's replica would hold such an op until
+  // the character showed up (see RGA#_hold), but here it never will: every
+  // character a client has came from the server, or was made by the client
+  // and sent before any op that refers to it.
+  _checkDependencies: function (ops) {
+    var runs = [];
+    ops.forEach(function (op) {
+      if (op.type === "addRight" || op.type === "addRun")
+        runs.push({timestamp: op.t, length: op.type === "addRun" ? op.str.length : 1});
+    });
+    var added = new RGA.RunTable(function (run) { return run.length; });
+    runs.sort(function (a, b) { return a.timestamp - b.timestamp; }).forEach(function (run) {
+      added.add(run);
+    });
+    for (var i = 0; i < ops.length; i++) {
+      var missing = this.doc._missingDependency(ops[i], added);
+      if (missing !== undefined) {
+        throw new Error(ops[i].type + " op refers to " + describeTimestamp(missing) +
+                        ", which the server doesn't have");
+      }
+    }
+  },
+
+  // The latest timestamp from replica `id` that the server has seen, or has
+  // accepted and not applied yet (because it's still waiting for the
+  // characters the op refers to; see RGA#_hold).
+  _latestFrom: function (id) {
+    var a = this.doc._versions[id], b = this._latest[id];
+    return a === undefined || b > a ? b : a;
+  },
+
+  // Check one op. Returns {op, first, last}, where `op` is a clean copy and
+  // `first` and `last` are the earliest and latest timestamps the op
+  // generates (undefined for a removal without `rt`).
+  _checkOp: function (op) {
+    if (Object(op) !== op)
+      throw new Error("op is not an object");
+
+    var copy, first, last;
+    switch (op.type) {
+    case "addRight":
+    case "addRun":
+      if (!isTimestamp(op.t))
+        throw new Error(op.type + " op has a bad timestamp: " + JSON.stringify(op.t));
+      if (!(op.prev === -1 || isTimestamp(op.prev)))
+        throw new Error(op.type + " op has a bad prev: " + JSON.stringify(op.prev));
+      if (op.type === "addRight") {
+        if (typeof op.chr !== "string" || op.chr.length !== 1)
+          throw new Error("addRight op must insert a single character, not " + JSON.stringify(op.chr));
+        copy = {type: "addRight", prev: op.prev, t: op.t, chr: op.chr};
+        last = op.t;
+      } else {
+        if (typeof op.str !== "string" || op.str.length === 0)
+          throw new Error("addRun op must insert a nonempty string");
+        copy = {type: "addRun", prev: op.prev, t: op.t, str: op.str};
+        last = op.t + (op.str.length - 1) * TIMESTAMP_STEP;
+        if (!isTimestamp(last))
+          throw new Error("addRun op runs out of timestamps");
+      }
+      first = op.t;
+      break;
+
+    case "remove":
+      if (!isTimestamp(op.t))
+        throw new Error("remove op has a bad timestamp: " + JSON.stringify(op.t));
+      copy = {type: "remove", t: op.t};
+      break;
+
+    case "removeRange":
+    case "unremove":
+      copy = {type: op.type, ranges: checkRanges(op.ranges)};
+      break;
+
+    case "mark":
+      if (!isTimestamp(op.t))
+        throw new Error("mark op has a bad timestamp: " + JSON.stringify(op.t));
+      if (typeof op.name !== "string" || !Object.prototype.hasOwnProperty.call(RGA.MARKS, op.name))
+        throw new Error("unknown mark " + JSON.stringify(op.name));
+      if (!(op.value === null || op.value === true ||
+            (typeof op.value === "string" && op.value.length <= MAX_MARK_VALUE_LENGTH)))
+        throw new Error("bad value for mark " + op.name);
+      copy = {type: "mark", t: op.t, name: op.name, value: op.value,
+              start: checkAnchor(op.start), end: op.end === null ? null : checkAnchor(op.end)};
+      first = last = op.t;
+      break;
+
+    default:
+      throw new Error("unknown op type " + JSON.stringify(op.type));
+    }
+
+    if (copy.type !== "addRight" && copy.type !== "addRun" && copy.type !== "mark") {
+      if (op.rt !== undefined) {
+        if (!isTimestamp(op.rt))
+          throw new Error(op.type + " op has a bad rt: " + JSON.stringify(op.rt));
+        copy.rt = first = last = op.rt;
+      } else if (copy.type === "unremove") {
+        throw new Error("unremove op has no rt");
+      } else if (!this.doc._skipIfApplied(copy)) {
+        throw new Error(op.type + " op has no rt");
+      }
+    }
+    return {op: copy, first: first, last: last};
+  },
+
+  // Return an object that looks like `socket` to RGA.tieToSocket, except
+  // that "downstream" messages are checked first. Valid ones are passed on,
+  // one op at a time. The first time a message fails the check,
+  // `reject(reason)` is called, and nothing more from the socket gets
+  // through.
+  guard: function (socket, reject) {
+    var self = this;
+    var rejected = false;
+    var wrappers = new Map();  // callback -> the listener we gave the socket
+    return {
+      emit: function () {
+        return socket.emit.apply(socket, arguments);
+      },
+
+      on: function (type, callback) {
+        var listener = callback;
+        if (type === "downstream") {
+          listener = function (msg) {
+            if (rejected)
+              return;
+            var ops;
+            try {
+              ops = self.check(msg);
+            } catch (exc) {
+              rejected = true;
+              reject(exc.message);
+              return;
+            }
+            ops.forEach(function (op) { callback(op); });
+          };
+          wrappers.set(callback, listener);
+        }
+        socket.on(type, listener);
+      },
+
+      off: function (type, callback) {
+        if (typeof socket.off !== "function")
+          return;
+        var listener = callback;
+        if (type === "downstream" && wrappers.has(callback)) {
+          listener = wrappers.get(callback);
+          wrappers.delete(callback);
+        }
+        socket.off(type, listener);
+      }
+    };
+  }
+};
+
+module.exports = exports = {
+  OpValidator: OpValidator
+};
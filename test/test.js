@@ -35,13 +35,19 @@ describe("RGA", () => {
     return cursor;
   }
 
+  // Return the timestamps of all characters in the RGA, including removed ones.
+  function timestamps(rga) {
+    return RGA.toCharOps(rga.history()).filter(op => op.type === "addRight").map(op => op.t);
+  }
+
   // Delete some characters typed by type()
   // where `stop === type(rga, start, text)`.
   function deleteRange(rga, start, stop) {
-    for (var node = rga._index.get(start); node.timestamp !== stop; node = node.next) {
-      if (!node.next.removed)
-        rga.remove(node.next.timestamp);
-    }
+    var all = timestamps(rga);
+    all.slice(all.indexOf(start) + 1, all.indexOf(stop) + 1).forEach(t => {
+      if (rga._lookup(t))
+        rga.remove(t);
+    });
   }
 
   it("can be replicated from history", () => {
@@ -66,6 +72,554 @@ describe("RGA", () => {
     assert.strictEqual(q.text(), "hello");
   });
 
+  it("reports which ops it has seen in its version vector", () => {
+    var p = new RGA(1);
+    var q = new RGA(2, undefined);
+    assert.deepEqual(p.versionVector(), {});
+    var a = p.addRight(p.left.timestamp, "a");
+    assert.deepEqual(p.versionVector(), {1: a});
+    q = new RGA(2, p.history());
+    var b = q.addRight(a, "b");
+    assert.deepEqual(q.versionVector(), {1: a, 2: b});
+    q.remove(a);
+    var v = q.versionVector();
+    assert(v[2] > b);
+  });
+
+  it("keeps timestamps unique once they outgrow 32 bits", () => {
+    var p = new RGA(1);
+    var big = 70000 * 65536 + 2;  // the 70000th op from replica 2
+    p.addRun(p.left.timestamp, "ab");
+    p._observe(big);
+    var t = p.addRight(p.left.timestamp, "c");
+    assert(t > big);
+    assert.strictEqual(t % 65536, 1);
+    p._setId(3);
+    assert(p.addRight(t, "d") > t);
+  });
+
+  it("can compute the history another replica is missing", () => {
+    var p = new RGA(1);
+    var c = type(p, p.left.timestamp, "abc");
+    var q = new RGA(2, p.history());
+    var vector = q.versionVector();
+
+    type(p, c, "def");
+    p.remove(c);
+    type(q, q.left.timestamp, "xyz");
+
+    var missing = p.historySince(vector);
+    assert.deepEqual(missing.map(op => op.type), ["remove", "addRun"]);
+    missing.forEach(op => q.downstream(q.downstream, op));
+    q.historySince(p.versionVector()).forEach(op => p.downstream(p.downstream, op));
+    assert.strictEqual(p.text(), "xyzabdef");
+    assert.strictEqual(q.text(), "xyzabdef");
+    assert.strictEqual(JSON.stringify(p.history()), JSON.stringify(q.history()));
+    assert.deepEqual(p.historySince(q.versionVector()), []);
+  });
+
+  describe("runs", () => {
+    it("stores consecutive characters in a single node", () => {
+      var p = new RGA(1);
+      type(p, p.left.timestamp, "hello");
+      assert.strictEqual(p._index.size, 2);  // the left edge, and "hello"
+      assert.strictEqual(p.left.next.chr, "hello");
+      assert.deepEqual(p.history(), [{type: "addRun", prev: -1, t: 1, str: "hello"}]);
+    });
+
+    it("doesn't let nodes get too long", () => {
+      var p = new RGA(1);
+      type(p, p.left.timestamp, "x".repeat(1000));
+      assert(p._index.size > 2);
+      assert.strictEqual(p.text(), "x".repeat(1000));
+    });
+
+    it("splits a node when text is inserted in the middle", () => {
+      var p = new RGA(1);
+      type(p, p.left.timestamp, "held");
+      var [, e] = timestamps(p);
+      type(p, e, "llo wor");
+      assert.strictEqual(p.text(), "hello world");
+
+      var q = new RGA(2, p.history());
+      assert.strictEqual(q.text(), "hello world");
+      assert.strictEqual(JSON.stringify(q.history()), JSON.stringify(p.history()));
+    });
+
+    it("splits a node when characters in the middle are removed", () => {
+      var p = new RGA(1);
+      type(p, p.left.timestamp, "abcde");
+      var [a, b, c, d, e] = timestamps(p);
+      p.remove(c);
+      assert.strictEqual(p.text(), "abde");
+      p.remove(b);
+      p.remove(d);
+      assert.strictEqual(p.text(), "ae");
+      assert.deepEqual(timestamps(p), [a, b, c, d, e]);
+
+      var q = new RGA(2, p.history());
+      assert.strictEqual(JSON.stringify(q.history()), JSON.stringify(p.history()));
+    });
+
+    it("orders concurrent inserts in the middle of a run like single characters", () => {
+      var p = new RGA(0);
+      var a = p.addRight(p.left.timestamp, "a");
+      var aOnly = p.history();
+      type(p, a, "bc");
+
+      // Two replicas that have only seen "a" insert after it. q's timestamp is
+      // greater than "b"'s (it typed "W" first), r's is less.
+      var q = new RGA(2, aOnly);
+      q.addRight(q.left.timestamp, "W");
+      q.addRight(a, "X");
+      var r = new RGA(1, aOnly);
+      r.addRight(a, "Z");
+
+      // Their ops land in the middle of p's run.
+      var ops = q.historySince(p.versionVector()).concat(r.historySince(p.versionVector()));
+      ops.forEach(op => p.downstream(p.downstream, op));
+      assert.strictEqual(p.text(), "WaXbcZ");
+
+      // Another replica gets the same ops in a different order, one character
+      // at a time.
+      var s = new RGA(3, aOnly);
+      ops.forEach(op => s.downstream(s.downstream, op));
+      p.historySince(s.versionVector()).forEach(op => s.downstream(s.downstream, op));
+      assert.strictEqual(s.text(), "WaXbcZ");
+    });
+  });
+
+  describe("addRun and removeRange", () => {
+    it("insert and remove many characters with one op each", () => {
+      var q = new MockEventQueue;
+      var p = new RGA(1, undefined, q);
+      var r = new RGA(2, undefined, q);
+      RGA.tie(p, r);
+      var ops = [];
+      r.on("op", (sender, op) => ops.push(op));
+
+      p.addRun(p.left.timestamp, "hello world");
+      q.drain();
+      var all = timestamps(p);
+      p.removeRange(all[4], all[9]);
+      q.drain();
+      assert.deepEqual(ops.map(op => op.type), ["addRun", "removeRange"]);
+      assert.strictEqual(r.text(), "helld");
+      assert.strictEqual(JSON.stringify(r.history()), JSON.stringify(p.history()));
+    });
+
+    it("converge with concurrent edits inside the range", () => {
+      var p = new RGA(1);
+      p.addRun(p.left.timestamp, "abcdef");
+      var q = new RGA(2, p.history());
+      var [, b, c, d, e] = timestamps(p);
+
+      q.addRun(c, "XY");
+      q.remove(d);
+      p.removeRange(b, e);
+      assert.strictEqual(p.text(), "af");
+      assert.strictEqual(q.text(), "abcXYef");
+
+      q.historySince(p.versionVector()).forEach(op => p.downstream(p.downstream, op));
+      p.historySince(q.versionVector()).forEach(op => q.downstream(q.downstream, op));
+      assert.strictEqual(p.text(), "aXYf");
+      assert.strictEqual(q.text(), "aXYf");
+      assert.strictEqual(JSON.stringify(p.history()), JSON.stringify(q.history()));
+    });
+
+    it("have the same effect as the single-character ops they stand for", () => {
+      var p = new RGA(1);
+      p.addRun(p.left.timestamp, "one two three");
+      var all = timestamps(p);
+      p.addRun(all[3], "and ");
+      p.removeRange(all[4], all[7]);
+
+      var q = new RGA(2);
+      RGA.toCharOps(p.history()).forEach(op => q.downstream(q.downstream, op));
+      assert.strictEqual(q.text(), p.text());
+      assert.strictEqual(p.text(), "one and three");
+    });
+
+    it("cope with ops that refer to the middle of a collected run", () => {
+      var p = new RGA(1);
+      var last = p.addRun(p.left.timestamp, "abcdef");
+      var q = new RGA(2, p.history());
+      var [, , c, d] = timestamps(p);
+      p.removeRange(c, d);
+      var removal = p.historySince(q.versionVector());
+
+      // Before it sees the removal, q inserts after "c" and removes the rest.
+      q.addRun(c, "XY");
+      q.removeRange(d, last);
+      removal.forEach(op => q.downstream(q.downstream, op));
+
+      // p collects the removed characters before q's ops arrive.
+      p.collectGarbage(p.versionVector());
+      assert.strictEqual(p.text(), "abef");
+      q.historySince(p.versionVector()).forEach(op => p.downstream(p.downstream, op));
+      assert.strictEqual(p.text(), "abXY");
+      assert.strictEqual(q.text(), "abXY");
+    });
+  });
+
+  describe("unremove", () => {
+    it("brings back removed characters, and the latest op wins", () => {
+      var p = new RGA(1);
+      p.addRun(p.left.timestamp, "abc");
+      var q = new RGA(2, p.history());
+      var [a, b, c] = timestamps(p);
+      p.removeRange(a, c);
+      var removal = p.historySince(q.versionVector());
+
+      // p changes its mind. Meanwhile, q removes "b".
+      p.downstream(p.downstream, {type: "unremove", ranges: [[a, 3]], rt: p._timestamp()});
+      assert.strictEqual(p.text(), "abc");
+      q.remove(b);
+      var late = q.historySince(p.versionVector());
+      assert.deepEqual(late.map(op => op.type), ["remove"]);
+      removal.forEach(op => q.downstream(q.downstream, op));
+
+      // q's removal came before p's unremove, so it loses.
+      p.historySince(q.versionVector()).forEach(op => q.downstream(q.downstream, op));
+      q.historySince(p.versionVector()).forEach(op => p.downstream(p.downstream, op));
+      assert.strictEqual(p.text(), "abc");
+      assert.strictEqual(q.text(), "abc");
+
+      // A replica built from the history gets the same answer, even when
+      // q's removal shows up late.
+      var r = new RGA(3, p.history());
+      assert.deepEqual(p.history().map(op => op.type), ["addRun", "unremove"]);
+      late.forEach(op => r.downstream(r.downstream, op));
+      assert.strictEqual(r.text(), "abc");
+
+      var encoded = RGA.encodeOps(p.history());
+      assert.deepEqual(encoded.ops[1][0], "U");
+      assert.strictEqual(new RGA(4, RGA.decodeOps(encoded)).text(), "abc");
+    });
+  });
+
+  describe("causal delivery", () => {
+    // Some edits, and the ops they produced, in order.
+    function edits() {
+      var q = new MockEventQueue;
+      var p = new RGA(1, undefined, q);
+      var ops = [];
+      p.on("op", (sender, op) => ops.push(op));
+      var a = p.addRight(p.left.timestamp, "a");
+      var b = p.addRight(a, "b");
+      var d = p.addRun(b, "cd");
+      p.remove(b);
+      p.removeRange(d - (1 << 16), d);
+      p.addRight(a, "e");
+      q.drain();
+      return {p: p, ops: ops};
+    }
+
+    it("holds ops until the characters they refer to arrive", () => {
+      var {p, ops} = edits();
+      var q = new MockEventQueue;
+      var r = new RGA(2, undefined, q);
+      ops.slice().reverse().forEach(op => r.downstream(r.downstream, op));
+      assert.strictEqual(r.pendingCount(), 5);
+      assert.strictEqual(r.text(), "a");
+      q.drain();
+      assert.strictEqual(r.pendingCount(), 0);
+      assert.strictEqual(r.text(), p.text());
+      assert.deepEqual(r.versionVector(), p.versionVector());
+    });
+
+    it("converges whatever order ops arrive in", () => {
+      var {p, ops} = edits();
+      function permutations(a) {
+        if (a.length <= 1)
+          return [a];
+        var result = [];
+        a.forEach((x, i) => {
+          var rest = a.slice(0, i).concat(a.slice(i + 1));
+          permutations(rest).forEach(perm => result.push([x].concat(perm)));
+        });
+        return result;
+      }
+      permutations(ops.slice(0, 5)).forEach(order => {
+        var q = new MockEventQueue;
+        var r = new RGA(2, undefined, q);
+        order.concat([ops[5]]).forEach(op => r.downstream(r.downstream, op));
+        q.drain();
+        assert.strictEqual(r.text(), p.text());
+        assert.strictEqual(JSON.stringify(r.history()), JSON.stringify(p.history()));
+      });
+    });
+
+    it("gives up on ops whose characters never arrive", done => {
+      var {ops} = edits();
+      var r = new RGA(2, undefined, new MockEventQueue);
+      r.pendingTimeout = 5;
+      r.on("error", error => {
+        assert(/gave up on 2 op\(s\)/.test(error.message));
+        assert.deepEqual(error.missing, [ops[0].t, ops[1].t]);
+        assert.strictEqual(error.ops.length, 2);
+        assert.strictEqual(r.pendingCount(), 0);
+        done();
+      });
+      r.downstream(r.downstream, ops[1]);
+      r.downstream(r.downstream, ops[3]);
+      assert.strictEqual(r.pendingCount(), 2);
+    });
+  });
+
+  describe("duplicate delivery", () => {
+    it("drops ops it has already applied without passing them on", () => {
+      var q = new MockEventQueue;
+      var p = new RGA(1, undefined, q);
+      var ops = [];
+      p.on("op", (sender, op) => ops.push(op));
+      var a = p.addRun(p.left.timestamp, "abc");
+      p.remove(a);
+      p.removeRange(a - 2 * (1 << 16), a - (1 << 16));
+      q.drain();
+      p.downstream(p.downstream, {type: "unremove", ranges: [[a - 2 * (1 << 16), 3]], rt: p._timestamp()});
+      q.drain();
+
+      var r = new RGA(2, undefined, q);
+      var forwarded = [];
+      r.on("op", (sender, op) => forwarded.push(op));
+      ops.forEach(op => {
+        r.downstream(r.downstream, op);
+        r.downstream(r.downstream, op);
+      });
+      ops.forEach(op => r.downstream(r.downstream, op));
+      q.drain();
+      assert.strictEqual(r.text(), "abc");
+      assert.strictEqual(forwarded.length, ops.length);
+      assert.deepEqual(r.versionVector(), p.versionVector());
+    });
+
+    it("still applies late removals that change something", () => {
+      var p = new RGA(1);
+      var b = p.addRun(p.left.timestamp, "ab");
+      var q = new RGA(2, p.history());
+      p.remove(b);
+      var removal = p.historySince(q.versionVector())[0];
+      q.removeRange(b - (1 << 16), b);
+      // q's removal of "b" is later than p's, so p's changes nothing at q.
+      assert.strictEqual(q._skipIfApplied(removal), true);
+      // But at p, q's removal still has to replace p's.
+      var later = q.historySince(p.versionVector());
+      assert.strictEqual(p._skipIfApplied(later[later.length - 1]), false);
+    });
+  });
+
+  describe("position tree", () => {
+    // Check every position in the text against a simple linear scan.
+    function checkPositions(p) {
+      var text = p.text();
+      assert.strictEqual(p._tree.root.totalLength, text.length);
+      var row = 0, column = 0;
+      for (var i = 0; i <= text.length; i++) {
+        assert.deepEqual(p._tree.rowColumn(i), {row: row, column: column});
+        if (i === text.length)
+          break;
+        var where = p._tree.locate(i);
+        assert.strictEqual(where.node.chr[where.offset], text[i]);
+        assert.strictEqual(p._tree.offsetOf(where.node) + where.offset, i);
+        if (text[i] === "\n") {
+          row++;
+          column = 0;
+        } else {
+          column++;
+        }
+      }
+      assert.strictEqual(p._tree.locate(text.length), undefined);
+    }
+
+    it("keeps track of positions through random edits", () => {
+      function rand(n) {
+        return Math.floor(n * Math.random());
+      }
+
+      var p = new RGA(1);
+      var all = [p.left.timestamp];
+      for (var i = 0; i < 300; i++) {
+        var live = all.filter(t => t === p.left.timestamp || p._lookup(t));
+        if (live.length > 1 && rand(3) === 0) {
+          p.remove(live[1 + rand(live.length - 1)]);
+        } else {
+          var t = live[rand(live.length)];
+          for (var j = rand(5); j >= 0; j--) {
+            t = p.addRight(t, "ab\nc"[rand(4)]);
+            all.push(t);
+          }
+        }
+        if (i % 50 === 0)
+          p.collectGarbage(p.versionVector());
+        checkPositions(p);
+      }
+    });
+  });
+
+  describe("wire format", () => {
+    it("encodes typed text as a single run", () => {
+      var p = new RGA(1);
+      type(p, p.left.timestamp, "hello world");
+      var encoded = RGA.encodeOps(p.history());
+      assert.deepEqual(encoded, {v: RGA.WIRE_FORMAT, ops: [["a", -1, 1, "hello world"]]});
+      assert.deepEqual(RGA.decodeOps(encoded), p.history());
+    });
+
+    it("encodes removals as runs", () => {
+      var p = new RGA(1);
+      type(p, p.left.timestamp, "abcdef");
+      var [, b, c, d] = timestamps(p);
+      [b, c, d].forEach(t => p.remove(t));
+      var history = p.history();
+      var encoded = RGA.encodeOps(history);
+      assert.deepEqual(encoded.ops.map(run => run[0]), ["a", "r"]);
+      var copy = new RGA(2, RGA.decodeOps(encoded));
+      assert.strictEqual(copy.text(), "aef");
+      assert.strictEqual(JSON.stringify(copy.history()), JSON.stringify(history));
+
+      // A removeRange op is encoded as is.
+      p.removeRange(b, timestamps(p)[5]);
+      var op = p.history().pop();
+      assert.deepEqual(RGA.encodeOps([op]).ops, [["R", op.rt, op.ranges]]);
+      assert.deepEqual(RGA.decodeOps(RGA.encodeOps([op])), [op]);
+
+      // So is a remove op on its own.
+      var remove = {type: "remove", t: b, rt: 7 * 65536 + 1};
+      assert.deepEqual(RGA.encodeOps([remove]).ops, [["r", b, remove.rt, 1]]);
+    });
+
+    it("round-trips random histories", () => {
+      function rand(n) {
+        return Math.floor(n * Math.random());
+      }
+
+      var queue = new MockEventQueue();
+      var p = new RGA(1, undefined, queue), q = new RGA(2, undefined, queue);
+      RGA.tie(p, q);
+      for (var i = 0; i < 200; i++) {
+        var r = rand(2) ? p : q;
+        var live = timestamps(r).filter(t => r._lookup(t));
+        if (live.length > 0 && rand(3) === 0)
+          r.remove(live[rand(live.length)]);
+        else
+          type(r, rand(4) === 0 || live.length === 0 ? r.left.timestamp : live[rand(live.length)], "xyz");
+        if (rand(5) === 0)
+          queue.drain();
+      }
+      queue.drain();
+      var copy = new RGA(3, RGA.decodeOps(JSON.parse(JSON.stringify(RGA.encodeOps(p.history())))));
+      assert.strictEqual(copy.text(), p.text());
+      assert.strictEqual(JSON.stringify(copy.history()), JSON.stringify(p.history()));
+    });
+
+    it("keeps runs of removals short", () => {
+      var p = new RGA(1);
+      var t = p.addRun(p.left.timestamp, "x".repeat(600));
+      var removals = [];
+      for (var i = 0; i < 600; i++)
+        removals.push({type: "remove", t: 65536 + 1 + i * 65536, rt: t + 65536 * (i + 1)});
+      assert.deepEqual(RGA.encodeOps(removals).ops.map(run => run[3]), [256, 256, 88]);
+    });
+
+    it("passes plain arrays of ops through and rejects unknown versions", () => {
+      var ops = [{type: "addRight", prev: -1, t: 1, chr: "x"}];
+      assert.strictEqual(RGA.decodeOps(ops), ops);
+      assert.throws(() => RGA.decodeOps({v: 99, ops: []}), /unsupported format 99/);
+    });
+  });
+
+  describe("garbage collection", () => {
+    it("computes the stable version vector", () => {
+      assert.deepEqual(RGA.stableVector([]), {});
+      assert.deepEqual(RGA.stableVector([{1: 65537, 2: 2}, {1: 1, 3: 3}]), {1: 1});
+    });
+
+    it("collects removed characters everyone has seen", () => {
+      var p = new RGA(1);
+      type(p, p.left.timestamp, "abcde");
+      var [, b, , d] = timestamps(p);
+      p.remove(b);
+      p.remove(d);
+      assert.strictEqual(p.collectGarbage(p.versionVector()), 2);
+      assert.strictEqual(p.text(), "ace");
+      assert.strictEqual(p._index.has(b), false);
+      assert.strictEqual(p._index.has(d), false);
+      assert.deepEqual(p.history().map(op => op.chr), ["a", "c", "e"]);
+
+      var q = new RGA(2, p.history());
+      assert.strictEqual(q.text(), "ace");
+    });
+
+    it("doesn't collect characters whose removal isn't stable", () => {
+      var p = new RGA(1);
+      type(p, p.left.timestamp, "abc");
+      var stable = p.versionVector();
+      p.remove(timestamps(p)[1]);
+      assert.strictEqual(p.collectGarbage(stable), 0);
+      assert.strictEqual(p.collectGarbage({}), 0);
+      assert.strictEqual(p.history().length, 4);
+    });
+
+    it("leaves a removed character in front of a character that isn't stable", () => {
+      var p = new RGA(1);
+      type(p, p.left.timestamp, "abc");
+      var [a, b] = timestamps(p);
+
+      // Another replica inserts "X" after "b".
+      var q = new RGA(2, p.history());
+      q.addRight(b, "X");
+      q.historySince(p.versionVector()).forEach(op => p.downstream(p.downstream, op));
+      assert.strictEqual(p.text(), "abXc");
+
+      // Everyone has seen "a" and "b" removed, but not everyone has seen "X".
+      p.remove(a);
+      p.remove(b);
+      var stable = {1: p.versionVector()[1]};
+      assert.strictEqual(p.collectGarbage(stable), 1);
+      assert.strictEqual(p._index.has(a), false);
+      assert.strictEqual(p._index.has(b), true);
+      assert.strictEqual(p.left.next.timestamp, b);
+      assert.strictEqual(p.text(), "Xc");
+
+      // Once "X" is stable too, "b" can go.
+      assert.strictEqual(p.collectGarbage(p.versionVector()), 1);
+      assert.strictEqual(p.text(), "Xc");
+      assert.strictEqual(p.history().length, 2);
+    });
+
+    it("copes with ops that refer to collected characters", () => {
+      var queue = new MockEventQueue();
+      var p = new RGA(1, undefined, queue);
+      var a = p.addRight(p.left.timestamp, "a");
+      var b = p.addRight(a, "b");
+      var q = new RGA(2, p.history(), queue);
+      var r = new RGA(3, p.history(), queue);
+      RGA.tie(p, r);
+
+      // q, not tied to p, inserts a character after "b" and removes "b".
+      var c = q.addRight(b, "c");
+      q.remove(b);
+
+      // Meanwhile, p removes "b" and collects it.
+      p.remove(b);
+      queue.drain();
+      p.collectGarbage(p.versionVector());
+      assert.strictEqual(p._index.has(b), false);
+
+      // q's ops reach p. p can still apply them, and r gets ops it can apply.
+      q.historySince(p.versionVector()).forEach(op => p.downstream(p.downstream, op));
+      queue.drain();
+      assert.strictEqual(p.text(), "ac");
+      assert.strictEqual(r.text(), "ac");
+
+      // Inserting after "c" still works.
+      p.addRight(c, "d");
+      queue.drain();
+      assert.strictEqual(r.text(), "acd");
+    });
+  });
+
   function copyWithSockets(main, id, queue) {
     var copy = new RGA(id, main.history(), queue);
     var pair = socketpair();
@@ -185,6 +739,350 @@ describe("RGA", () => {
     assert(replicas.every(r => r.text() === "ZA"));
   });
 
+  describe("marks", () => {
+    it("formats runs of text", () => {
+      var p = new RGA(1);
+      p.addRun(p.left.timestamp, "one two three");
+      var t = timestamps(p);
+      p.format(t[4], t[6], "bold", true);
+      p.format(t[0], t[6], "link", "https://example.com/");
+      assert.deepEqual(p.formattedRuns(), [
+        {text: "one ", marks: {link: "https://example.com/"}},
+        {text: "two", marks: {bold: true, link: "https://example.com/"}},
+        {text: " three", marks: {}}
+      ]);
+
+      // Taking a mark off part of the text splits the run.
+      p.format(t[5], t[5], "bold", null);
+      assert.deepEqual(p.formattedRuns().map(run => run.text), ["one ", "t", "w", "o", " three"]);
+      assert.deepEqual(p.formattedRuns()[2].marks, {link: "https://example.com/"});
+
+      assert.throws(() => p.format(t[0], t[1], "blink", true), /unknown mark/);
+      assert.throws(() => p.format(t[1], t[0], "bold", true), /comes before/);
+    });
+
+    it("takes in text typed at the end of bold text, but not links", () => {
+      var p = new RGA(1);
+      p.addRun(p.left.timestamp, "ab cd");
+      var [a, b, , c, d] = timestamps(p);
+      p.format(a, b, "bold", true);
+      p.format(c, d, "link", "x");
+      p.addRight(b, "!");
+      p.addRight(d, "?");
+      p.addRight(p.left.timestamp, "<");
+      assert.deepEqual(p.formattedRuns(), [
+        {text: "<", marks: {}},
+        {text: "ab!", marks: {bold: true}},
+        {text: " ", marks: {}},
+        {text: "cd", marks: {link: "x"}},
+        {text: "?", marks: {}}
+      ]);
+
+      // Italic text at the very end of the document keeps growing.
+      var question = timestamps(p).pop();
+      p.format(question, question, "italic", true);
+      p.addRight(question, ".");
+      assert.deepEqual(p.formattedRuns().slice(-1), [{text: "?.", marks: {italic: true}}]);
+    });
+
+    it("merges concurrent overlapping formats the same way everywhere", () => {
+      var queue = new MockEventQueue();
+      var p = new RGA(1, undefined, queue);
+      p.addRun(p.left.timestamp, "abcd");
+      var q = new RGA(2, p.history(), queue);
+      var r = new RGA(3, p.history(), queue);
+      var [a, b, c, d] = timestamps(p);
+
+      // p bolds "abc" while q unbolds "bcd" and makes it italic.
+      RGA.tie(p, q);
+      RGA.tie(q, r);
+      p.format(a, c, "bold", true);
+      q.format(b, d, "bold", null);
+      q.format(b, d, "italic", true);
+      queue.drain();
+
+      // q's ops have the later timestamps, so q wins where they overlap.
+      var expected = [
+        {text: "a", marks: {bold: true}},
+        {text: "bcd", marks: {italic: true}}
+      ];
+      assert.deepEqual(p.formattedRuns(), expected);
+      assert.deepEqual(q.formattedRuns(), expected);
+      assert.deepEqual(r.formattedRuns(), expected);
+
+      // The marks apply to text inserted between the characters later.
+      p.addRight(a, "1");
+      p.addRight(c, "2");
+      queue.drain();
+      assert.deepEqual(r.formattedRuns(), [
+        {text: "a1", marks: {bold: true}},
+        {text: "bc2d", marks: {italic: true}}
+      ]);
+    });
+
+    it("replicates marks through the history and the wire format", () => {
+      var p = new RGA(1);
+      p.addRun(p.left.timestamp, "abc");
+      var [a, , c] = timestamps(p);
+      var q = new RGA(2, p.history());
+      var vector = q.versionVector();
+      p.format(a, c, "highlight", true);
+      assert.deepEqual(p.historySince(vector).map(op => op.type), ["mark"]);
+      assert.deepEqual(p.historySince(p.versionVector()), []);
+
+      var encoded = RGA.encodeOps(p.history());
+      assert.deepEqual(encoded.ops[1][0], "m");
+      var r = new RGA(3, RGA.decodeOps(JSON.parse(JSON.stringify(encoded))));
+      assert.deepEqual(r.formattedRuns(), p.formattedRuns());
+
+      // Peers that only understand one character at a time don't get marks.
+      assert.deepEqual(RGA.toCharOps(p.history()).map(op => op.type), ["addRight", "addRight", "addRight"]);
+
+      // A mark that arrives before its characters waits for them.
+      var queue = new MockEventQueue();
+      var s = new RGA(4, undefined, queue);
+      var history = p.history();
+      s.downstream(s.downstream, history[1]);
+      assert.deepEqual(s.formattedRuns(), []);
+      s.downstream(s.downstream, history[0]);
+      queue.drain();
+      assert.deepEqual(s.formattedRuns(), [{text: "abc", marks: {highlight: true}}]);
+    });
+
+    it("keeps marks anchored to garbage-collected characters", () => {
+      var p = new RGA(1);
+      p.addRun(p.left.timestamp, "abcdef");
+      var [a, b, c, d, e, f] = timestamps(p);
+      p.format(b, c, "bold", true);    // ends just before "d"
+      p.format(d, e, "link", "x");     // starts just before "d", ends just after "e"
+      p.removeRange(c, e);
+      var q = new RGA(2, p.history());
+      assert.strictEqual(p.collectGarbage(p.versionVector()), 3);
+      assert.strictEqual(p._index.has(d), false);
+
+      // Text typed where "cde" was, and after "b", is bold but not a link.
+      [p, q].forEach(rga => {
+        rga.addRight(a, "1");
+        rga.addRight(b, "2");
+      });
+      var expected = [
+        {text: "a1", marks: {}},
+        {text: "b2", marks: {bold: true}},
+        {text: "f", marks: {}}
+      ];
+      assert.deepEqual(q.formattedRuns(), expected);
+      assert.deepEqual(p.formattedRuns(), expected);
+      assert.deepEqual(new RGA(3, p.history()).formattedRuns(), expected);
+
+      // Marks that ran to the end of the document still do.
+      p.format(f, f, "italic", true);
+      p.remove(f);
+      p.collectGarbage(p.versionVector());
+      p.addRight(b, "3");
+      assert.deepEqual(p.formattedRuns().slice(-1), [{text: "b32", marks: {bold: true}}]);
+      assert.strictEqual(p._resolveAnchor([f, "after"]), null);
+    });
+  });
+
+  describe("editing by offset", () => {
+    it("works like editing a string", () => {
+      var queue = new MockEventQueue();
+      var p = new RGA(0, undefined, queue);
+      var q = new RGA(1, undefined, queue);
+      RGA.tie(p, q);
+      assert.strictEqual(p.insertAt(0, ""), undefined);
+      var t = p.insertAt(0, "world");
+      p.insertAt(0, "hello ");
+      p.insertAt(11, "!");
+      assert.strictEqual(p.text(), "hello world!");
+      assert.strictEqual(p.length(), 12);
+      assert.strictEqual(p.charAt(4), "o");
+      assert.strictEqual(p.charAt(12), "");
+      assert.strictEqual(p.charAt(-1), "");
+
+      assert.strictEqual(p.timestampAt(10), t);
+      assert.strictEqual(p.timestampAt(12), undefined);
+      assert.strictEqual(p.offsetOf(t), 10);
+      assert.strictEqual(p.offsetOf(p.timestampAt(3)), 3);
+
+      p.deleteRange(2, 7);
+      assert.strictEqual(p.text(), "held!");
+      assert.strictEqual(p.offsetOf(t), 3);
+      p.deleteRange(3, 1);
+      assert.strictEqual(p.offsetOf(t), -1);
+      assert.strictEqual(p.offsetOf(p.left.timestamp), -1);
+      assert.strictEqual(p.offsetOf(12345), -1);
+      p.deleteRange(0, 0);
+      queue.drain();
+      assert.strictEqual(q.text(), "hel!");
+
+      assert.throws(() => p.insertAt(5, "x"), /outside the text/);
+      assert.throws(() => p.insertAt(0, 5), /expected a string/);
+      assert.throws(() => p.deleteRange(2, 3), /outside the text/);
+      assert.throws(() => p.deleteRange(-1, 1), /outside the text/);
+      queue.drain();
+      assert.strictEqual(q.text(), "hel!");
+    });
+
+    it("applies Quill-style deltas", () => {
+      var queue = new MockEventQueue();
+      var p = new RGA(0, undefined, queue);
+      var q = new RGA(1, undefined, queue);
+      RGA.tie(p, q);
+      p.applyDelta({ops: [{insert: "one two three"}]});
+      p.applyDelta({ops: [{retain: 4}, {delete: 3}, {insert: "2"}, {retain: 1}, {insert: "3 "}]});
+      queue.drain();
+      assert.strictEqual(p.text(), "one 2 3 three");
+      assert.strictEqual(q.text(), "one 2 3 three");
+
+      [
+        undefined,
+        {ops: "abc"},
+        {ops: [{insert: 3}]},
+        {ops: [{retain: -1}]},
+        {ops: [{retain: 1.5}]},
+        {ops: [{retain: 13}, {delete: 1}]},
+        {ops: [{insert: "a", attributes: {bold: true}}]},
+        {ops: [{}]}
+      ].forEach(delta => {
+        assert.throws(() => p.applyDelta(delta), Error, JSON.stringify(delta));
+      });
+      assert.strictEqual(p.text(), "one 2 3 three");
+
+      // Deltas from RGA.diff fit.
+      p.applyDelta(RGA.diff(p.text(), "three 2 one"));
+      queue.drain();
+      assert.strictEqual(q.text(), "three 2 one");
+    });
+  });
+
+  describe("change events", () => {
+    // Apply change events to a string, the way a view of the text would.
+    function follow(rga) {
+      var view = {text: rga.text(), changes: []};
+      rga.on("change", change => {
+        view.changes.push(change);
+        var end = change.offset + (change.delete || 0);
+        view.text = view.text.slice(0, change.offset) + (change.insert || "") + view.text.slice(end);
+      });
+      return view;
+    }
+
+    it("say where the text changed, and who changed it", () => {
+      var queue = new MockEventQueue();
+      var p = new RGA(1, undefined, queue);
+      var q = new RGA(2, undefined, queue);
+      RGA.tie(p, q);
+      var pv = follow(p), qv = follow(q);
+
+      var t = p.insertAt(0, "hello");
+      queue.drain();
+      assert.deepEqual(pv.changes, [{offset: 0, insert: "hello", local: true, author: 1}]);
+      assert.deepEqual(qv.changes, [{offset: 0, insert: "hello", local: false, author: 1}]);
+
+      q.deleteRange(1, 3);
+      q.insertAt(1, "ELL");
+      p.format(t, t, "bold", true);
+      queue.drain();
+      assert.deepEqual(pv.changes.slice(1), [
+        {offset: 1, delete: 3, local: false, author: 2},
+        {offset: 1, insert: "ELL", local: false, author: 2}
+      ]);
+      assert.strictEqual(pv.text, "hELLo");
+      assert.strictEqual(qv.text, "hELLo");
+    });
+
+    it("cover each stretch of text an op changes", () => {
+      var queue = new MockEventQueue();
+      var p = new RGA(1, undefined, queue);
+      p.insertAt(0, "abcdef");
+      var q = new RGA(2, p.history(), queue);
+      RGA.tie(p, q);
+
+      // While q inserts in the middle, p removes the whole thing.
+      q.insertAt(3, "XY");
+      p.deleteRange(0, 6);
+      var pv = follow(p), qv = follow(q);
+      queue.drain();
+      assert.strictEqual(p.text(), "XY");
+      assert.deepEqual(qv.changes.map(c => [c.offset, c.delete]), [[0, 3], [2, 3]]);
+      assert.deepEqual(pv.changes.map(c => [c.offset, c.insert]), [[0, "XY"]]);
+      assert.strictEqual(qv.text, "XY");
+
+      // Removing text that's already gone changes nothing.
+      var x = p.timestampAt(0);
+      p.remove(x);
+      q.remove(x);
+      queue.drain();
+      assert.strictEqual(p.text(), "Y");
+      assert.deepEqual(pv.changes.slice(1).map(c => c.local), [true]);
+      assert.deepEqual(qv.changes.slice(2).map(c => c.local), [true]);
+    });
+
+    it("report text that comes back", () => {
+      var queue = new MockEventQueue();
+      var p = new RGA(1, undefined, queue);
+      var t = p.insertAt(0, "abc");
+      p.deleteRange(0, 3);
+      var view = follow(p);
+      p.downstream(p.downstream, {type: "unremove", ranges: [[t - 2 * 65536, 3]], rt: p._timestamp()});
+      queue.drain();
+      assert.deepEqual(view.changes, [{offset: 0, insert: "abc", local: true, author: 1}]);
+      assert.strictEqual(view.text, "abc");
+    });
+  });
+
+  describe("anchors", () => {
+    it("stay put when text is edited in front of them", () => {
+      var p = new RGA(1);
+      p.insertAt(0, "one\ntwo\nthree\n");
+      var left = p.anchorAt(4);
+      var right = p.anchorAt(4, "right");
+      var end = p.anchorAt(14, "right");
+      assert.deepEqual(end, {t: null, gravity: "right"});
+
+      p.insertAt(0, "zero\n");
+      assert.strictEqual(p.resolveAnchor(left), 9);
+      assert.strictEqual(p.resolveAnchor(right), 9);
+      assert.deepEqual(p.anchorRowColumn(right), {row: 2, column: 0});
+
+      // Gravity decides which side of the anchor text inserted there goes.
+      p.insertAt(9, "1.5\n");
+      assert.strictEqual(p.resolveAnchor(left), 9);
+      assert.strictEqual(p.resolveAnchor(right), 13);
+      p.insertAt(p.length(), "four\n");
+      assert.strictEqual(p.resolveAnchor(end), p.length());
+
+      assert.throws(() => p.anchorAt(p.length() + 1), /outside the text/);
+      assert.throws(() => p.anchorAt(0, "up"), /gravity/);
+      assert.throws(() => p.resolveAnchor({t: "x", gravity: "left"}), /not an anchor/);
+    });
+
+    it("fall back to the nearest surviving characters", () => {
+      var p = new RGA(1);
+      p.insertAt(0, "abcdef");
+      var anchors = [p.anchorAt(3), p.anchorAt(3, "right"), p.anchorAt(0), p.anchorAt(6)];
+      p.deleteRange(1, 4);  // "af"
+      assert.deepEqual(anchors.map(a => p.resolveAnchor(a)), [1, 1, 0, 2]);
+
+      // Anchors saved as JSON work in other replicas.
+      var json = JSON.parse(JSON.stringify(anchors));
+      var q = new RGA(2, p.history());
+      assert.deepEqual(json.map(a => q.resolveAnchor(a)), [1, 1, 0, 2]);
+
+      // Even once the removed characters are collected. But a replica that
+      // joins after that never hears of them.
+      p.collectGarbage(p.versionVector());
+      assert.deepEqual(anchors.map(a => p.resolveAnchor(a)), [1, 1, 0, 2]);
+      var r = new RGA(3, p.history());
+      assert.deepEqual(json.map(a => r.resolveAnchor(a)), [undefined, undefined, 0, 2]);
+
+      p.deleteRange(0, 2);
+      assert.deepEqual(anchors.map(a => p.resolveAnchor(a)), [0, 0, 0, 0]);
+      assert.strictEqual(new RGA(4).resolveAnchor(anchors[0]), undefined);
+    });
+  });
+
   describe("tieToSocket", () => {
     it("works with socketpair", () => {
       var queue = new MockEventQueue();
@@ -207,6 +1105,30 @@ describe("RGA", () => {
       assert.strictEqual(q.text(), "Q");
     });
 
+    it("sends ops in batches in the compact wire format", () => {
+      var queue = new MockEventQueue();
+      var pair = socketpair();
+      var a = pair[0], b = pair[1];
+      var p = new RGA(0, undefined, queue);
+      var q = new RGA(1, undefined, queue);
+      RGA.tieToSocket(p, a, RGA.WIRE_FORMAT);
+      RGA.tieToSocket(q, b);
+
+      type(p, p.left.timestamp, "hello");
+      queue.drain();
+      assert.strictEqual(a.buffer.length, 1);
+      a.deliver("downstream", {v: RGA.WIRE_FORMAT, ops: [["a", -1, 0, "hello"]]});
+      queue.drain();
+      assert.strictEqual(q.text(), "hello");
+
+      // q sends plain ops, and p understands them.
+      q.addRight(q.left.timestamp, ">");
+      queue.drain();
+      b.deliver("downstream", {type: "addRight", chr: ">"});
+      queue.drain();
+      assert.strictEqual(p.text(), ">hello");
+    });
+
     it("cleans up after itself when a socket disconnects", () => {
       var pair = socketpair(), a = pair[0], b = pair[1];
       var p = new RGA(0), q = new RGA(1);
@@ -0,0 +1,42 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+
+"use strict";
+
+var AccessTokens = require("../lib/access.js").AccessTokens;
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+describe("AccessTokens", () => {
+  it("tells edit tokens from view tokens", () => {
+    var access = new AccessTokens(undefined);
+    assert.strictEqual(access.created, true);
+    assert(/^[0-9a-f]{32}$/.test(access.tokens.edit));
+    assert.strictEqual(access.roleOf(access.tokens.edit), "edit");
+    assert.strictEqual(access.roleOf(access.tokens.view), "view");
+    assert.strictEqual(access.link("notes", "view"), "/d/notes?token=" + access.tokens.view);
+  });
+
+  it("doesn't accept anything else", () => {
+    var access = new AccessTokens(undefined);
+    [undefined, null, "", 0, {}, [access.tokens.edit], access.tokens.edit.slice(1),
+     access.tokens.edit.toUpperCase(), new AccessTokens(undefined).tokens.edit].forEach(token => {
+      assert.strictEqual(access.roleOf(token), undefined, JSON.stringify(token));
+    });
+  });
+
+  it("saves the tokens and loads them again", () => {
+    var filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-")), "access.json");
+    var access = new AccessTokens(filename);
+    var again = new AccessTokens(filename);
+    assert.strictEqual(again.created, false);
+    assert.deepEqual(again.tokens, access.tokens);
+
+    // Deleting the file makes new tokens, and the old ones stop working.
+    fs.unlinkSync(filename);
+    var fresh = new AccessTokens(filename);
+    assert.strictEqual(fresh.created, true);
+    assert.strictEqual(fresh.roleOf(access.tokens.edit), undefined);
+  });
+});
@@ -0,0 +1,315 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+
+"use strict";
+
+var RGA = require("../lib/rga.js");
+var DocumentSet = require("../lib/documents.js").DocumentSet;
+var testsupport = require("../lib/testsupport.js");
+var MockSocket = testsupport.MockSocket;
+var MockEventQueue = testsupport.MockEventQueue;
+var assert = require("assert");
+
+class MockTextarea {
+  constructor() {
+    this.value = "";
+    this.selectionStart = 0;
+    this.selectionEnd = 0;
+    this.selectionDirection = "none";
+    this._listeners = new Map;
+  }
+
+  addEventListener(type, f) {
+    if (!this._listeners.has(type))
+      this._listeners.set(type, []);
+    this._listeners.get(type).push(f);
+  }
+
+  removeEventListener(type, f) {
+    let listeners = this._listeners.get(type) || [];
+    let i = listeners.indexOf(f);
+    if (i !== -1)
+      listeners.splice(i, 1);
+  }
+
+  dispatchEvent(type, event) {
+    for (let f of (this._listeners.get(type) || []).slice())
+      f(event || {});
+  }
+
+  setSelectionRange(start, end, direction) {
+    this.selectionStart = start;
+    this.selectionEnd = end;
+    this.selectionDirection = direction || "none";
+  }
+
+  focus() {}
+
+  // Act like the user typing `str` over the selection.
+  type(str) {
+    let v = this.value;
+    this.value = v.slice(0, this.selectionStart) + str + v.slice(this.selectionEnd);
+    this.selectionStart = this.selectionEnd = this.selectionStart + str.length;
+    this.dispatchEvent("input");
+  }
+
+  pressKey(key, modifiers) {
+    let event = Object.assign({key: key, defaultPrevented: false}, modifiers);
+    event.preventDefault = () => { event.defaultPrevented = true; };
+    this.dispatchEvent("keydown", event);
+    return event;
+  }
+}
+
+// Just enough of CodeMirror 5. Positions are {line, ch}.
+class MockCodeMirror {
+  constructor() {
+    this._text = "";
+    this._anchor = 0;
+    this._head = 0;
+    this._handlers = {change: [], cursorActivity: []};
+    this._keyMaps = [];
+    this.marks = [];
+  }
+
+  getValue() { return this._text; }
+
+  setValue(str) {
+    this.replaceRange(str, {line: 0, ch: 0}, this.posFromIndex(this._text.length));
+  }
+
+  posFromIndex(index) {
+    let before = this._text.slice(0, index).split("\n");
+    return {line: before.length - 1, ch: before[before.length - 1].length};
+  }
+
+  indexFromPos(pos) {
+    let lines = this._text.split("\n");
+    let index = 0;
+    for (let i = 0; i < pos.line; i++)
+      index += lines[i].length + 1;
+    return index + pos.ch;
+  }
+
+  replaceRange(str, from, to) {
+    let start = this.indexFromPos(from);
+    let end = to === undefined ? start : this.indexFromPos(to);
+    let removed = this._text.slice(start, end);
+    this._text = this._text.slice(0, start) + str + this._text.slice(end);
+    let move = pos => pos <= start ? pos : Math.max(start, pos - removed.length) + str.length;
+    this._anchor = move(this._anchor);
+    this._head = move(this._head);
+    let change = {from: from, to: to || from, text: str.split("\n"), removed: removed.split("\n")};
+    for (let f of this._handlers.change.slice())
+      f(this, change);
+  }
+
+  getCursor(which) {
+    return this.posFromIndex(which === "anchor" ? this._anchor : this._head);
+  }
+
+  setSelection(anchor, head) {
+    this._anchor = this.indexFromPos(anchor);
+    this._head = this.indexFromPos(head || anchor);
+    for (let f of this._handlers.cursorActivity)
+      f(this);
+  }
+
+  on(event, f) { this._handlers[event].push(f); }
+
+  off(event, f) {
+    let i = this._handlers[event].indexOf(f);
+    if (i !== -1)
+      this._handlers[event].splice(i, 1);
+  }
+
+  _mark(mark) {
+    mark.clear = () => { this.marks.splice(this.marks.indexOf(mark), 1); };
+    this.marks.push(mark);
+    return mark;
+  }
+
+  markText(from, to, options) {
+    return this._mark({from: this.indexFromPos(from), to: this.indexFromPos(to), options: options});
+  }
+
+  setBookmark(pos, options) {
+    return this._mark({at: this.indexFromPos(pos), options: options});
+  }
+
+  getWrapperElement() {
+    return {ownerDocument: {createElement: () => ({style: {}})}};
+  }
+
+  addKeyMap(keyMap) { this._keyMaps.push(keyMap); }
+
+  pressKey(name) {
+    for (let keyMap of this._keyMaps) {
+      if (name in keyMap)
+        return keyMap[name](this);
+    }
+  }
+
+  focus() {}
+}
+
+describe("RGA.TextareaAdapter", () => {
+  function pair() {
+    let q = new MockEventQueue;
+    let textarea = new MockTextarea;
+    let x = new RGA.EditorRGA(1, new RGA.TextareaAdapter(textarea), undefined, q);
+    let y = new RGA(2, undefined, q);
+    RGA.tie(x, y);
+    return {q: q, textarea: textarea, x: x, y: y};
+  }
+
+  it("propagates edits both ways, keeping the selection in place", () => {
+    let {q, textarea, y} = pair();
+    textarea.type("hello");
+    q.drain();
+    assert.strictEqual(y.text(), "hello");
+
+    textarea.setSelectionRange(1, 4);
+    y.addRun(y.left.timestamp, ">> ");
+    q.drain();
+    assert.strictEqual(textarea.value, ">> hello");
+    assert.strictEqual(textarea.selectionStart, 4);
+    assert.strictEqual(textarea.selectionEnd, 7);
+
+    y.removeRange(y.history()[0].t, y.history()[1].t);  // ">> h"
+    q.drain();
+    assert.strictEqual(textarea.value, "ello");
+    assert.strictEqual(textarea.selectionStart, 0);
+    assert.strictEqual(textarea.selectionEnd, 3);
+
+    textarea.type("!");
+    q.drain();
+    assert.strictEqual(y.text(), "!o");
+  });
+
+  it("reports backward selections and binds the undo keys", () => {
+    let {q, textarea, x, y} = pair();
+    textarea.type("abc");
+    q.drain();
+    textarea.setSelectionRange(1, 3, "backward");
+    let presence = x.getPresence();
+    assert.strictEqual(x._offsetAfter(presence.anchor), 3);
+    assert.strictEqual(x._offsetAfter(presence.head), 1);
+
+    assert.strictEqual(textarea.pressKey("z", {ctrlKey: true}).defaultPrevented, true);
+    q.drain();
+    assert.strictEqual(textarea.value, "");
+    assert.strictEqual(y.text(), "");
+    textarea.pressKey("Z", {metaKey: true, shiftKey: true});
+    q.drain();
+    assert.strictEqual(y.text(), "abc");
+    assert.strictEqual(textarea.pressKey("z").defaultPrevented, false);
+  });
+
+  it("can be made read-only", () => {
+    let {q, textarea, x, y} = pair();
+    textarea.type("abc");
+    x.setReadOnly(true);
+    q.drain();
+    assert.strictEqual(textarea.readOnly, true);
+    assert.strictEqual(y.text(), "abc");
+
+    textarea.type("d");
+    textarea.pressKey("z", {ctrlKey: true});
+    q.drain();
+    assert.strictEqual(textarea.value, "abc");
+    assert.strictEqual(y.text(), "abc");
+
+    x.setReadOnly(false);
+    assert.strictEqual(textarea.readOnly, false);
+    textarea.type("d");
+    q.drain();
+    assert.strictEqual(y.text(), "abcd");
+  });
+
+  it("works with RGA.EditorRGA.setup", () => {
+    let q = new MockEventQueue;
+    let documents = new DocumentSet({queue: q});
+    let textareas = [new MockTextarea, new MockTextarea];
+    textareas.forEach(textarea => {
+      let pipe = MockSocket.pair(q);
+      documents.accept(pipe[0]);
+      let token = documents.get("doc").access.tokens.edit;
+      RGA.EditorRGA.setup(new RGA.TextareaAdapter(textarea), pipe[1], q, {doc: "doc", token: token});
+      pipe[0].emit("connect");
+      q.drain();
+    });
+    textareas[0].type("hi");
+    q.drain();
+    assert.strictEqual(textareas[1].value, "hi");
+  });
+});
+
+describe("RGA.CodeMirrorAdapter", () => {
+  function pair() {
+    let q = new MockEventQueue;
+    let cm = new MockCodeMirror;
+    let x = new RGA.EditorRGA(1, new RGA.CodeMirrorAdapter(cm), undefined, q);
+    let y = new RGA(2, undefined, q);
+    RGA.tie(x, y);
+    return {q: q, cm: cm, x: x, y: y};
+  }
+
+  it("turns change events into ops without reading the whole text", () => {
+    let {q, cm, y} = pair();
+    let ops = [];
+    y.on("op", (sender, op) => ops.push(op));
+    let getValue = cm.getValue;
+    let reads = 0;
+    cm.getValue = function () { reads++; return getValue.call(this); };
+
+    cm.replaceRange("one\nthree", {line: 0, ch: 0});
+    cm.replaceRange("\ntwo", {line: 0, ch: 3});
+    cm.replaceRange("", {line: 0, ch: 1}, {line: 1, ch: 1});
+    q.drain();
+    assert.strictEqual(reads, 0);
+    assert.strictEqual(y.text(), "owo\nthree");
+    assert.deepEqual(ops.map(op => op.type), ["addRun", "addRun", "removeRange"]);
+  });
+
+  it("applies remote edits and draws other users' carets", () => {
+    let {q, cm, x, y} = pair();
+    let last = y.addRun(y.left.timestamp, "hello\nworld");
+    q.drain();
+    assert.strictEqual(cm.getValue(), "hello\nworld");
+
+    let e = y.history()[0].t + 1 * (1 << 16);
+    x.setRemotePresence({id: 2, name: "Y", anchor: e, head: last});
+    assert.strictEqual(cm.marks.length, 2);
+    let [selection, caret] = cm.marks;
+    assert.deepEqual([selection.from, selection.to], [2, 11]);
+    assert.strictEqual(caret.at, 11);
+    assert.strictEqual(caret.options.widget.title, "Y");
+
+    // Moving the cursor replaces the marks.
+    x.setRemotePresence({id: 2, anchor: last, head: last});
+    assert.strictEqual(cm.marks.length, 1);
+
+    y.removeRange(y.history()[0].t, e);
+    q.drain();
+    assert.strictEqual(cm.getValue(), "llo\nworld");
+    x.removeRemotePresence(2);
+    assert.strictEqual(cm.marks.length, 0);
+  });
+
+  it("reports the selection and binds the undo keys", () => {
+    let {q, cm, x, y} = pair();
+    cm.replaceRange("ab\ncd", {line: 0, ch: 0});
+    cm.setSelection({line: 1, ch: 1}, {line: 0, ch: 0});
+    let presence = x.getPresence();
+    assert.strictEqual(presence.head, x.left.timestamp);
+    assert.strictEqual(x._offsetAfter(presence.anchor), 4);
+
+    cm.pressKey("Ctrl-Z");
+    q.drain();
+    assert.strictEqual(cm.getValue(), "");
+    cm.pressKey("Ctrl-Y");
+    q.drain();
+    assert.strictEqual(cm.getValue(), "ab\ncd");
+    assert.strictEqual(y.text(), "ab\ncd");
+  });
+});
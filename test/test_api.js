@@ -0,0 +1,83 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+
+"use strict";
+
+var RGA = require("../lib/rga.js");
+var api = require("../lib/api.js");
+var DocumentSet = require("../lib/documents.js").DocumentSet;
+var testsupport = require("../lib/testsupport.js");
+var MockSocket = testsupport.MockSocket;
+var MockEventQueue = testsupport.MockEventQueue;
+var assert = require("assert");
+
+describe("DocumentAPI", () => {
+  function setup() {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var tokens = documents.get("doc").access.tokens;
+    return {q: q, documents: documents, api: new api.DocumentAPI(documents), edit: tokens.edit, view: tokens.view};
+  }
+
+  it("applies patches and tells connected editors", () => {
+    var x = setup();
+
+    // An editor is connected.
+    var pipe = MockSocket.pair(x.q);
+    x.documents.accept(pipe[0]);
+    var client;
+    pipe[1].on("welcome", event => {
+      client = new RGA(event.id, RGA.decodeOps(event.history), x.q);
+      RGA.tieToSocket(client, pipe[1], event.format);
+    });
+    pipe[1].emit("hello", {doc: "doc", token: x.edit, formats: [RGA.WIRE_FORMAT]});
+    x.q.drain();
+
+    var result = x.api.applyDelta("doc", x.edit, {ops: [{insert: "hello world"}]});
+    assert.deepEqual(result, {status: 200, body: {text: "hello world", version: 1}});
+    result = x.api.applyDelta("doc", x.edit, {ops: [{retain: 6}, {delete: 5}, {insert: "there"}], version: 1});
+    assert.deepEqual(result.body, {text: "hello there", version: 3});
+    x.q.drain();
+    assert.strictEqual(client.text(), "hello there");
+
+    assert.deepEqual(x.api.text("doc", x.view), {status: 200, body: {text: "hello there", version: 3}});
+    assert.deepEqual(x.api.version("doc", x.view, "1").body, {version: 1, text: "hello world"});
+    assert.strictEqual(x.api.version("doc", x.view, "4").status, 404);
+    var history = x.api.history("doc", x.view).body;
+    assert.strictEqual(history.latest, 3);
+    assert.deepEqual(history.versions.map(v => v.author), [0]);
+  });
+
+  it("refuses patches made against an old version", () => {
+    var x = setup();
+    x.api.applyDelta("doc", x.edit, {ops: [{insert: "abc"}]});
+    var result = x.api.applyDelta("doc", x.edit, {ops: [{delete: 1}], version: 0});
+    assert.strictEqual(result.status, 409);
+    assert.strictEqual(result.body.version, 1);
+    assert.strictEqual(x.documents.get("doc").doc.text(), "abc");
+  });
+
+  it("checks tokens and patches", () => {
+    var x = setup();
+    assert.strictEqual(x.api.text("doc", "wrong").status, 404);
+    assert.strictEqual(x.api.text("nope", x.edit).status, 404);
+    assert.strictEqual(x.api.applyDelta("doc", x.view, {ops: [{insert: "x"}]}).status, 403);
+
+    [
+      undefined,
+      "abc",
+      {ops: "abc"},
+      {ops: [{insert: 3}]},
+      {ops: [{retain: -1}]},
+      {ops: [{retain: 1.5}]},
+      {ops: [{retain: 1}]},
+      {ops: [{delete: 1}]},
+      {ops: [{insert: "a", attributes: {bold: true}}]},
+      {ops: [{}]}
+    ].forEach(body => {
+      var result = x.api.applyDelta("doc", x.edit, body);
+      assert.strictEqual(result.status, 400, JSON.stringify(body));
+      assert.strictEqual(typeof result.body.error, "string");
+    });
+    assert.strictEqual(x.documents.get("doc").doc.text(), "");
+  });
+});
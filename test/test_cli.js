@@ -0,0 +1,139 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+
+"use strict";
+
+var cli = require("../lib/cli.js");
+var DocumentSet = require("../lib/documents.js").DocumentSet;
+var testsupport = require("../lib/testsupport.js");
+var MockSocket = testsupport.MockSocket;
+var MockEventQueue = testsupport.MockEventQueue;
+var assert = require("assert");
+
+describe("command-line client", () => {
+  // Join the document "doc" as the command-line client would. Returns the
+  // session.
+  function join(documents, q, role) {
+    var pipe = MockSocket.pair(q);
+    documents.accept(pipe[0]);
+    var link = {doc: "doc", token: documents.get("doc").access.tokens[role || "edit"]};
+    var result;
+    cli.join(pipe[1], link, undefined, q, (err, session) => {
+      assert.ifError(err);
+      result = session;
+    });
+    q.drain();
+    return result;
+  }
+
+  it("understands links", () => {
+    assert.deepEqual(cli.parseLink("http://localhost:3001/d/notes?token=abc"),
+                     {server: "http://localhost:3001", doc: "notes", token: "abc"});
+    ["http://localhost:3001/d/notes", "/d/notes?token=abc", "http://localhost:3001/?token=abc"]
+      .forEach(link => assert.throws(() => cli.parseLink(link), /not a link/));
+    ["..%2F..%2Fetc%2Fpasswd", "a%20b", "%E0%A4%A"]
+      .forEach(doc => assert.throws(() => cli.parseLink("http://localhost:3001/d/" + doc + "?token=abc"),
+                                    /not a valid document name/));
+  });
+
+  it("runs the editor without a shell", () => {
+    assert.deepEqual(cli.editorCommand({}, "/tmp/x/notes.txt"), ["vi", ["/tmp/x/notes.txt"]]);
+    assert.deepEqual(cli.editorCommand({EDITOR: "nano", VISUAL: " code  --wait "}, "/tmp/x/a b.txt"),
+                     ["code", ["--wait", "/tmp/x/a b.txt"]]);
+    assert.deepEqual(cli.editorCommand({EDITOR: "vim"}, "/tmp/$(touch pwned).txt"),
+                     ["vim", ["/tmp/$(touch pwned).txt"]]);
+  });
+
+  it("applies a file's contents as a diff", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var other = join(documents, q);
+    other.rga.addRun(other.rga.left.timestamp, "one two three");
+    q.drain();
+
+    var session = join(documents, q);
+    var sent = [];
+    var emit = session.socket.emit;
+    session.socket.emit = function (type) {
+      sent.push(type);
+      return emit.apply(this, arguments);
+    };
+    cli.apply(session, "one 2 three\n");
+
+    // sync() asks the server a question after sending the change. When the
+    // answer comes back, the server has the change.
+    var synced;
+    cli.sync(session, () => { synced = documents.get("doc").doc.text(); });
+    q.drain();
+    assert.strictEqual(synced, "one 2 three\n");
+    assert.deepEqual(sent, ["downstream", "versions"]);
+    assert.strictEqual(other.rga.text(), "one 2 three\n");
+
+    // Viewers can't.
+    assert.throws(() => cli.apply(join(documents, q, "view"), "x"), /only allows viewing/);
+  });
+
+  it("merges edits made in an editor with changes made meanwhile", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var other = join(documents, q);
+    var t = other.rga.addRun(other.rga.left.timestamp, "alpha\nbeta\n");
+    q.drain();
+
+    var session = join(documents, q);
+    var edit = cli.startEdit(session);
+    assert.strictEqual(edit.text, "alpha\nbeta\n");
+
+    // While the user is in the editor, someone else adds a line at the end.
+    other.rga.addRun(t, "gamma\n");
+    q.drain();
+
+    edit.finish("ALPHA\nbeta\n");
+    q.drain();
+    assert.strictEqual(documents.get("doc").doc.text(), "ALPHA\nbeta\ngamma\n");
+    assert.strictEqual(other.rga.text(), "ALPHA\nbeta\ngamma\n");
+  });
+
+  it("prints changes as they happen", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var other = join(documents, q);
+    var t = other.rga.addRun(other.rga.left.timestamp, "hello");
+    q.drain();
+
+    var output = "";
+    cli.tail(join(documents, q, "view"), {write: s => { output += s; }});
+    other.rga.addRun(t, " world");
+    q.drain();
+    other.rga.removeRange(t - 4 * 65536, t - 4 * 65536);
+    q.drain();
+    assert.strictEqual(output, 'hello\n@5 +" world"\n@0 -1\n');
+  });
+
+  it("acks what it has seen, so the server can collect garbage", done => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var server = documents.get("doc").doc;
+    var ackInterval = cli.ackInterval;
+    cli.ackInterval = 1;
+    var other = join(documents, q);
+    var session = join(documents, q, "view");
+    cli.ackInterval = ackInterval;
+    var t = other.rga.addRun(other.rga.left.timestamp, "hello");
+    q.drain();
+    other.rga.remove(t);
+    q.drain();
+
+    setTimeout(() => {
+      q.drain();
+      assert(server._collected.size > 0);
+      assert.strictEqual(session.rga._index.has(t), false);
+      assert.strictEqual(session.rga.text(), "hell");
+      [other, session].forEach(s => {
+        s.socket.emit("disconnect");
+        s.socket.peer.emit("disconnect");  // stops the acks
+      });
+      q.drain();
+      done();
+    }, 20);
+  });
+});
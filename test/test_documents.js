@@ -0,0 +1,659 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+
+"use strict";
+
+var RGA = require("../lib/rga.js");
+var documentsModule = require("../lib/documents.js");
+var DocumentSet = documentsModule.DocumentSet;
+var testsupport = require("../lib/testsupport.js");
+var MockSocket = testsupport.MockSocket;
+var MockEventQueue = testsupport.MockEventQueue;
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+describe("DocumentSet", () => {
+  // Connect a new client to the named document. Returns an object whose
+  // `.rga` property is filled in when the server says "welcome". Unless
+  // `token` is given, the client uses the document's edit token.
+  function connect(documents, name, queue, clientKey, formats, token) {
+    if (token === undefined && documentsModule.isValidName(name))
+      token = documents.get(name).access.tokens.edit;
+    var pipe = MockSocket.pair(queue);
+    documents.accept(pipe[0]);
+    var client = {socket: pipe[1], server: pipe[0], rga: undefined, refused: undefined, welcome: undefined};
+    pipe[1].on("welcome", event => {
+      client.welcome = event;
+      client.rga = new RGA(event.id, RGA.decodeOps(event.history), queue);
+      RGA.tieToSocket(client.rga, pipe[1], event.format);
+    });
+    pipe[1].on("refused", event => { client.refused = event.reason; });
+    pipe[1].on("stable", event => { client.rga.collectGarbage(event.vector); });
+    pipe[1].emit("hello", {doc: name, token: token, client: clientKey, formats: formats});
+    queue.drain();
+    return client;
+  }
+
+  function disconnect(client, queue) {
+    client.server.emit("disconnect");
+    client.socket.emit("disconnect");
+    queue.drain();
+  }
+
+  it("keeps documents separate", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var a1 = connect(documents, "a", q);
+    var a2 = connect(documents, "a", q);
+    var b1 = connect(documents, "b", q);
+
+    a1.rga.addRight(a1.rga.left.timestamp, "A");
+    b1.rga.addRight(b1.rga.left.timestamp, "B");
+    q.drain();
+    assert.strictEqual(a2.rga.text(), "A");
+    assert.strictEqual(b1.rga.text(), "B");
+    assert.strictEqual(documents.get("a").doc.text(), "A");
+    assert.strictEqual(documents.get("b").doc.text(), "B");
+  });
+
+  it("gives each document its own user ids", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    assert.strictEqual(connect(documents, "a", q).rga.id, 1);
+    assert.strictEqual(connect(documents, "a", q).rga.id, 2);
+    assert.strictEqual(connect(documents, "b", q).rga.id, 1);
+    assert.strictEqual(documents.get("a").sockets.length, 2);
+  });
+
+  it("gives a returning client its old id", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var a = connect(documents, "doc", q, "client-a");
+    var b = connect(documents, "doc", q, "client-b");
+    assert.strictEqual(a.rga.id, 1);
+    assert.strictEqual(b.rga.id, 2);
+
+    // While a is still connected, another socket with the same key gets a
+    // different id.
+    assert.strictEqual(connect(documents, "doc", q, "client-a").rga.id, 3);
+
+    disconnect(a, q);
+    assert.strictEqual(connect(documents, "doc", q, "client-a").rga.id, 1);
+  });
+
+  it("speaks the compact wire format to clients that understand it", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var old = connect(documents, "doc", q);
+    old.rga.addRight(old.rga.left.timestamp, "x");
+    q.drain();
+
+    var c = connect(documents, "doc", q, undefined, [RGA.WIRE_FORMAT, 99]);
+    assert.strictEqual(c.welcome.format, RGA.WIRE_FORMAT);
+    assert.strictEqual(c.welcome.history.v, RGA.WIRE_FORMAT);
+    assert.strictEqual(old.welcome.format, undefined);
+    assert(Array.isArray(old.welcome.history));
+
+    // Ops still flow between old and new clients.
+    c.rga.addRight(c.rga.left.timestamp, "y");
+    old.rga.addRight(old.rga.left.timestamp, "z");
+    q.drain();
+    assert.strictEqual(c.rga.text(), old.rga.text());
+    assert.strictEqual(c.rga.text().length, 3);
+  });
+
+  it("relays presence to the other clients in the same document", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var a = connect(documents, "doc", q);
+    var b = connect(documents, "doc", q);
+    var other = connect(documents, "other", q);
+    var seen = {a: [], b: [], other: [], c: []};
+    a.socket.on("presence", p => seen.a.push(p));
+    b.socket.on("presence", p => seen.b.push(p));
+    other.socket.on("presence", p => seen.other.push(p));
+
+    a.socket.emit("presence", {name: "A", anchor: -1, head: -1});
+    a.socket.emit("presence", {anchor: "nowhere", head: -1});  // ignored
+    q.drain();
+    assert.deepEqual(seen.b, [{id: a.rga.id, name: "A", anchor: -1, head: -1}]);
+    assert.deepEqual(seen.a, []);
+    assert.deepEqual(seen.other, []);
+
+    // Latecomers find out where everyone is.
+    var pipe = MockSocket.pair(q);
+    documents.accept(pipe[0]);
+    pipe[1].on("presence", p => seen.c.push(p));
+    pipe[1].emit("hello", {doc: "doc", token: documents.get("doc").access.tokens.edit});
+    q.drain();
+    assert.deepEqual(seen.c, seen.b);
+
+    disconnect(a, q);
+    assert.deepEqual(seen.b[1], {id: a.rga.id, gone: true});
+    assert.deepEqual(seen.c[1], {id: a.rga.id, gone: true});
+  });
+
+  it("refuses connections when it runs out of replica ids", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    documents.get("doc").replicaIds.reserveThrough(RGA.MAX_REPLICA_ID - 1);
+    assert.strictEqual(connect(documents, "doc", q).rga.id, RGA.MAX_REPLICA_ID);
+    var c = connect(documents, "doc", q);
+    assert.strictEqual(c.rga, undefined);
+    assert(/run out of replica ids/.test(c.refused));
+  });
+
+  it("collects garbage once every connected replica has seen a removal", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var a = connect(documents, "doc", q);
+    var b = connect(documents, "doc", q);
+    var x = a.rga.addRight(a.rga.left.timestamp, "x");
+    a.rga.addRight(x, "y");
+    q.drain();
+    a.rga.remove(x);
+    q.drain();
+    var server = documents.get("doc").doc;
+    assert.strictEqual(server.history().length, 3);
+
+    function ack(client) {
+      client.socket.emit("ack", {vector: client.rga.versionVector()});
+      q.drain();
+    }
+
+    ack(a);
+    assert.strictEqual(server.history().length, 3);  // b hasn't acked yet
+    ack(b);
+    assert.strictEqual(server.history().length, 1);
+    assert.strictEqual(a.rga.history().length, 1);
+    assert.strictEqual(b.rga.history().length, 1);
+    assert.strictEqual(b.rga.text(), "y");
+  });
+
+  // Connect a client that was connected before, keeping its RGA, the way
+  // RGA.EditorRGA.setup does: catch up with the server, then send it what it
+  // hasn't seen. (Unless the server says to start over.)
+  function reconnect(documents, client, queue, clientKey) {
+    var pipe = MockSocket.pair(queue);
+    documents.accept(pipe[0]);
+    client.socket = pipe[1];
+    client.server = pipe[0];
+    pipe[1].on("welcome", event => {
+      client.welcome = event;
+      if (event.reset) {
+        client.rga = new RGA(event.id, RGA.decodeOps(event.history), queue);
+        RGA.tieToSocket(client.rga, pipe[1], event.format);
+        return;
+      }
+      RGA.decodeOps(event.history).forEach(op => client.rga.downstream(undefined, op));
+      var missing = client.rga.historySince(event.vector);
+      RGA.tieToSocket(client.rga, pipe[1], event.format);
+      pipe[1].emit("downstream", RGA.encodeOps(missing));
+    });
+    pipe[1].on("stable", event => { client.rga.collectGarbage(event.vector); });
+    pipe[1].emit("hello", {
+      doc: "doc",
+      token: documents.get("doc").access.tokens.edit,
+      client: clientKey,
+      vector: client.rga.versionVector(),
+      formats: [RGA.WIRE_FORMAT]
+    });
+    queue.drain();
+  }
+
+  it("waits for disconnected replicas to collect garbage", () => {
+    var STEP = RGA.MAX_REPLICA_ID + 1;
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var server = documents.get("doc").doc;
+    var a = connect(documents, "doc", q, "a", [RGA.WIRE_FORMAT]);
+    var b = connect(documents, "doc", q, "b", [RGA.WIRE_FORMAT]);
+    var c = a.rga.addRun(a.rga.left.timestamp, "abc");
+    q.drain();
+    b.socket.emit("ack", {vector: b.rga.versionVector()});
+    disconnect(b, q);
+
+    // While b is away, it types after the "b", and a types after the "a" and
+    // removes the "b". b's edit has the later timestamp. Everyone who's
+    // connected has seen everything.
+    var z = b.rga.addRun(c, "zzzzzzzzzz");
+    b.rga.addRight(c - STEP, "X");
+    a.rga.addRight(c - 2 * STEP, "Y");
+    a.rga.remove(c - STEP);
+    q.drain();
+    a.socket.emit("ack", {vector: a.rga.versionVector()});
+    q.drain();
+    assert.strictEqual(server.text(), "aYc");
+    assert.strictEqual(server._collected.size, 0);  // b hasn't seen the removal
+
+    // So when b comes back, everything lands in the same place everywhere.
+    reconnect(documents, b, q, "b");
+    assert.strictEqual(server.text(), "aYXczzzzzzzzzz");
+    assert.strictEqual(b.rga.text(), server.text());
+    assert.strictEqual(a.rga.text(), server.text());
+
+    // Once b has seen the removal, the "b" can go.
+    b.socket.emit("ack", {vector: b.rga.versionVector()});
+    a.socket.emit("ack", {vector: a.rga.versionVector()});
+    q.drain();
+    assert(server._collected.size > 0);
+    assert.strictEqual(b.rga._index.has(c - STEP), false);
+    assert.strictEqual(server.text(), "aYXczzzzzzzzzz");
+    b.rga.addRight(z, "!");
+    q.drain();
+    assert.strictEqual(a.rga.text(), "aYXczzzzzzzzzz!");
+  });
+
+  it("stops waiting for replicas that never come back", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q, replicaTimeout: 1000});
+    var server = documents.get("doc").doc;
+    var clock = 1000;
+    documents.get("doc").replicaIds.now = () => clock;
+    var a = connect(documents, "doc", q, "a", [RGA.WIRE_FORMAT]);
+    var b = connect(documents, "doc", q, "b", [RGA.WIRE_FORMAT]);
+    var t = a.rga.addRun(a.rga.left.timestamp, "abc");
+    q.drain();
+    b.socket.emit("ack", {vector: b.rga.versionVector()});
+    disconnect(b, q);
+
+    a.rga.remove(t);
+    q.drain();
+    a.socket.emit("ack", {vector: a.rga.versionVector()});
+    q.drain();
+    assert.strictEqual(server._collected.size, 0);
+
+    // Once b has been gone long enough, a and the server go on without it.
+    clock += 1000;
+    a.socket.emit("ack", {vector: a.rga.versionVector()});
+    q.drain();
+    assert(server._collected.size > 0);
+    assert.strictEqual(a.rga._index.has(t), false);
+
+    // If b comes back after all, it has to start over.
+    b.rga.addRight(t, "!");
+    reconnect(documents, b, q, "b");
+    assert.strictEqual(b.welcome.reset, true);
+    assert.strictEqual(b.rga.text(), "ab");
+    b.rga.addRight(t - 65536, "?");
+    q.drain();
+    assert.strictEqual(server.text(), "ab?");
+    assert.strictEqual(a.rga.text(), "ab?");
+    assert.deepEqual(documents.get("doc").replicaIds.expiredIds(), []);
+  });
+
+  it("remembers what offline replicas have seen across restarts", () => {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-"));
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({dataDir: dir, queue: q});
+    var a = connect(documents, "doc", q, "a");
+    var b = connect(documents, "doc", q, "b");
+    var x = a.rga.addRight(a.rga.left.timestamp, "x");
+    q.drain();
+    disconnect(b, q);
+    a.rga.remove(x);
+    q.drain();
+    disconnect(a, q);
+    documents.close();
+
+    documents = new DocumentSet({dataDir: dir, queue: q});
+    a = connect(documents, "doc", q, "a");
+    a.socket.emit("ack", {vector: a.rga.versionVector()});
+    q.drain();
+    assert.strictEqual(documents.get("doc").doc.history().length, 2);
+    documents.close();
+  });
+
+  it("ignores malformed acks", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var a = connect(documents, "doc", q);
+    var acked = documents.get("doc").replicaIds.acks[a.rga.id];
+    [undefined, [1], {x: 1}, {1: "2"}, {1: 2}, {1: 65537.5}].forEach(vector => {
+      a.socket.emit("ack", {vector: vector});
+    });
+    q.drain();
+    assert.deepEqual(documents.get("doc").replicaIds.acks[a.rga.id], acked);
+  });
+
+  it("refuses invalid document names", () => {
+    var q = new MockEventQueue;
+    var documents = new DocumentSet({queue: q});
+    var c = connect(documents, "../etc", q);
+    assert.strictEqual(c.rga, undefined);
+    assert.strictEqual(c.refused, "invalid document name");
+    assert.throws(() => documents.get(""), /invalid document name/);
+  });
+
+  describe("access tokens", () => {
+    it("refuses clients that don't have the right token", () => {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({queue: q});
+      var tokens = documents.get("doc").access.tokens;
+      assert.notStrictEqual(tokens.edit, tokens.view);
+
+      [null, "", "nope", 17, tokens.edit + "0"].forEach(token => {
+        var c = connect(documents, "doc", q, undefined, undefined, token);
+        assert.strictEqual(c.rga, undefined);
+        assert.strictEqual(c.refused, "no such document, or the link is wrong");
+      });
+
+      // Saying hello doesn't create documents.
+      var c = connect(documents, "elsewhere", q, undefined, undefined, tokens.edit);
+      assert.strictEqual(c.refused, "no such document, or the link is wrong");
+      assert.strictEqual(documents.exists("elsewhere"), false);
+      assert.strictEqual(documents.roleOf("doc", tokens.view), "view");
+      assert.strictEqual(documents.roleOf("elsewhere", tokens.view), undefined);
+    });
+
+    it("lets viewers watch, but not edit", () => {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({queue: q});
+      var access = documents.get("doc").access;
+      var editor = connect(documents, "doc", q);
+      editor.rga.addRun(editor.rga.left.timestamp, "hello");
+      q.drain();
+
+      var viewer = connect(documents, "doc", q, undefined, [RGA.WIRE_FORMAT], access.tokens.view);
+      assert.strictEqual(viewer.welcome.role, "view");
+      assert.strictEqual(viewer.welcome.links, undefined);
+      assert.strictEqual(viewer.rga.text(), "hello");
+      assert.strictEqual(editor.welcome.role, "edit");
+      assert.deepEqual(editor.welcome.links, {
+        edit: "/d/doc?token=" + access.tokens.edit,
+        view: "/d/doc?token=" + access.tokens.view
+      });
+
+      // Viewers see edits as they happen.
+      editor.rga.addRight(editor.rga.left.timestamp, ">");
+      q.drain();
+      assert.strictEqual(viewer.rga.text(), ">hello");
+
+      // But they can't make any.
+      viewer.rga.addRight(viewer.rga.left.timestamp, "!");
+      q.drain();
+      assert(/may only view/.test(viewer.refused));
+      assert.strictEqual(documents.get("doc").doc.text(), ">hello");
+      assert.strictEqual(editor.rga.text(), ">hello");
+    });
+  });
+
+  describe("checks the ops clients send", () => {
+    var STEP = RGA.MAX_REPLICA_ID + 1;
+
+    // Connect a client and have it send `msg`. Return the client and the
+    // server's replica.
+    function send(msg, clientKey) {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({queue: q});
+      var c = connect(documents, "doc", q, clientKey, [RGA.WIRE_FORMAT]);
+      c.socket.emit("downstream", msg);
+      q.drain();
+      return {q: q, documents: documents, client: c, server: documents.get("doc").doc};
+    }
+
+    it("refuses malformed ops", () => {
+      var t = STEP + 1;  // the first timestamp replica 1 would use
+      [
+        "hello",
+        {type: "insert", prev: -1, t: t, chr: "x"},
+        {type: "addRight", prev: -1, t: t, chr: "xyz"},
+        {type: "addRight", prev: -1, t: t, chr: 7},
+        {type: "addRight", prev: -1, t: "1", chr: "x"},
+        {type: "addRight", prev: 0.5, t: t, chr: "x"},
+        {type: "addRun", prev: -1, t: t, str: ""},
+        {type: "removeRange", ranges: [[t, 0]], rt: t},
+        {type: "removeRange", ranges: "everything", rt: t},
+        {type: "unremove", ranges: [[t, 1]]},
+        {type: "mark", t: t, name: "blink", value: true, start: [1, "before"], end: null},
+        {type: "mark", t: t, name: "bold", value: {}, start: [1, "before"], end: null},
+        {type: "mark", t: t, name: "link", value: "x".repeat(5000), start: [1, "before"], end: null},
+        {type: "mark", t: t, name: "bold", value: true, start: [1, "inside"], end: null},
+        {type: "mark", t: t, name: "bold", value: true, start: [1, "before"]},
+        {v: RGA.WIRE_FORMAT, ops: [["?"]]},
+        {v: 99, ops: []}
+      ].forEach(msg => {
+        var x = send(msg);
+        assert(/invalid op from replica 1/.test(x.client.refused), JSON.stringify(msg));
+        assert.strictEqual(x.server.history().length, 0);
+      });
+    });
+
+    it("refuses ops that refer to characters the server doesn't have", () => {
+      var t = STEP + 1;
+      var unknown = 50 * STEP + 2;
+      [
+        {type: "addRight", prev: unknown, t: t, chr: "x"},
+        {type: "remove", t: unknown, rt: t},
+        {type: "removeRange", ranges: [[unknown, 3]], rt: t},
+        {type: "mark", t: t, name: "bold", value: true, start: [unknown, "before"], end: null},
+        {v: RGA.WIRE_FORMAT, ops: [["a", -1, t, "ab"], ["R", t + 5 * STEP, [[t, 3]]]]}
+      ].forEach(msg => {
+        var x = send(msg);
+        assert(/which the server doesn't have/.test(x.client.refused), JSON.stringify(msg));
+        assert.strictEqual(x.server.history().length, 0);
+        assert.strictEqual(x.server._pending.length, 0);
+      });
+
+      // Characters added in the same message count, wherever they are in it.
+      var x = send({v: RGA.WIRE_FORMAT,
+                    ops: [["R", t + 5 * STEP, [[t, 2]]], ["a", -1, t, "ab"], ["a", t + STEP, t + 2 * STEP, "c"]]});
+      assert.strictEqual(x.client.refused, undefined);
+      assert.strictEqual(x.server.text(), "c");
+      assert.strictEqual(x.server._pending.length, 0);
+    });
+
+    it("refuses ops stamped with another client's replica id", () => {
+      var x = send({type: "addRight", prev: -1, t: STEP + 2, chr: "x"});
+      assert(/replica id 2, which belongs to another client/.test(x.client.refused));
+
+      // Once refused, nothing else the client sends gets through, even if
+      // it's valid.
+      x.client.rga.addRight(x.client.rga.left.timestamp, "y");
+      x.q.drain();
+      assert.strictEqual(x.server.text(), "");
+    });
+
+    it("refuses ops that are older than ones already seen", () => {
+      var x = send({type: "addRight", prev: -1, t: 5 * STEP + 1, chr: "b"});
+      assert.strictEqual(x.client.refused, undefined);
+      x.client.socket.emit("downstream", {type: "addRight", prev: -1, t: 4 * STEP + 1, chr: "a"});
+      x.q.drain();
+      assert(/not newer than 1:5/.test(x.client.refused));
+      assert.strictEqual(x.server.text(), "b");
+
+      // Within a single message, order doesn't matter.
+      x = send(RGA.encodeOps([
+        {type: "addRight", prev: -1, t: 5 * STEP + 1, chr: "b"},
+        {type: "addRight", prev: -1, t: 4 * STEP + 1, chr: "a"},
+        {type: "remove", t: 5 * STEP + 1, rt: 6 * STEP + 1}
+      ]));
+      assert.strictEqual(x.client.refused, undefined);
+      assert.strictEqual(x.server.text(), "a");
+    });
+
+    it("refuses messages that stand for too many ops", () => {
+      var t = STEP + 1;
+      var x = send({v: RGA.WIRE_FORMAT, ops: [["r", t, 2 * t, 1000000]]});
+      assert(/bad length for a run of removals/.test(x.client.refused));
+      assert.strictEqual(x.server._pending.length, 0);
+
+      var runs = [];
+      for (var i = 0; i < RGA.MAX_OPS_PER_MESSAGE / 100 + 1; i++)
+        runs.push(["r", t, 2 * t, 100]);
+      x = send({v: RGA.WIRE_FORMAT, ops: runs});
+      assert(/too many ops in one message/.test(x.client.refused));
+      assert.strictEqual(x.server._pending.length, 0);
+    });
+
+    it("lets valid clients keep editing", () => {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({queue: q});
+      var a = connect(documents, "doc", q, undefined, [RGA.WIRE_FORMAT]);
+      var b = connect(documents, "doc", q);  // one plain op per message
+      var x = a.rga.addRun(a.rga.left.timestamp, "hello");
+      var y = b.rga.addRight(b.rga.left.timestamp, ">");
+      q.drain();
+      a.rga.removeRange(x - 3 * STEP, x);  // "ello"
+      b.rga.remove(y);
+      a.rga.format(x - 4 * STEP, x - 4 * STEP, "bold", true);
+      q.drain();
+      var server = documents.get("doc").doc;
+      assert.strictEqual(server.text(), "h");
+      assert.strictEqual(a.rga.text(), "h");
+      assert.strictEqual(b.rga.text(), "h");
+      assert.deepEqual(server.formattedRuns(), [{text: "h", marks: {bold: true}}]);
+      assert.strictEqual(a.refused, undefined);
+      assert.strictEqual(b.refused, undefined);
+    });
+
+    it("accepts edits a client made under an id it had before", () => {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({queue: q});
+      var first = connect(documents, "doc", q, "k");
+      var second = connect(documents, "doc", q, "k");  // a duplicated tab
+      assert.strictEqual(second.rga.id, 2);
+      disconnect(first, q);
+
+      second.socket.emit("downstream", {type: "addRight", prev: -1, t: STEP + 1, chr: "x"});
+      q.drain();
+      assert.strictEqual(second.refused, undefined);
+      assert.strictEqual(documents.get("doc").doc.text(), "x");
+
+      var stranger = connect(documents, "doc", q, "someone-else");
+      stranger.socket.emit("downstream", {type: "addRight", prev: -1, t: 2 * STEP + 1, chr: "y"});
+      q.drain();
+      assert(/belongs to another client/.test(stranger.refused));
+    });
+  });
+
+  describe("version history", () => {
+    // Send a request and return the reply, which has the same type.
+    function ask(client, q, type, msg) {
+      var reply;
+      client.socket.on(type, event => { reply = event; });
+      client.socket.emit(type, msg);
+      q.drain();
+      return reply;
+    }
+
+    it("lets anyone step through past versions", () => {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({queue: q});
+      var a = connect(documents, "doc", q, undefined, [RGA.WIRE_FORMAT]);
+      var t = a.rga.addRun(a.rga.left.timestamp, "draft");
+      q.drain();
+      a.rga.removeRange(t, t);
+      a.rga.addRun(t - (RGA.MAX_REPLICA_ID + 1), "ts");
+      q.drain();
+
+      var viewer = connect(documents, "doc", q, undefined, undefined, documents.get("doc").access.tokens.view);
+      var reply = ask(viewer, q, "versions");
+      assert.strictEqual(reply.latest, 3);
+      assert.deepEqual(reply.versions.map(v => [v.version, v.author]), [[3, 1]]);
+
+      reply = ask(viewer, q, "version", {version: 3});
+      assert.strictEqual(reply.text, "drafts");
+      assert.deepEqual(reply.changes, [{text: "drafts", status: "added"}]);
+      reply = ask(viewer, q, "version", {version: 3, since: 1});
+      assert.deepEqual(reply.changes, [
+        {text: "draf", status: "same"},
+        {text: "ts", status: "added"},
+        {text: "t", status: "removed"}
+      ]);
+      assert.strictEqual(ask(viewer, q, "version", {version: 4}).error, "no such version");
+
+      // Only editors may name versions.
+      assert(/only view/.test(ask(viewer, q, "checkpoint", {name: "first draft"}).error));
+      assert.deepEqual(ask(a, q, "checkpoint", {name: "first draft"}).version, 3);
+      assert.strictEqual(ask(viewer, q, "versions").versions[0].name, "first draft");
+    });
+  });
+
+  describe("with a data directory", () => {
+    var dataDir;
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-"));
+    });
+
+    it("unloads idle documents", done => {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({dataDir: dataDir, queue: q, idleTimeout: 5});
+      var c = connect(documents, "doc", q);
+      c.rga.addRight(c.rga.left.timestamp, "x");
+      q.drain();
+      disconnect(c, q);
+      assert.strictEqual(documents.isLoaded("doc"), true);
+
+      setTimeout(() => {
+        assert.strictEqual(documents.isLoaded("doc"), false);
+
+        // Loading it again brings back the text, and doesn't reuse user ids.
+        var c2 = connect(documents, "doc", q);
+        assert.strictEqual(c2.rga.text(), "x");
+        assert.strictEqual(c2.rga.id, 2);
+        documents.close();
+        done();
+      }, 30);
+    });
+
+    it("remembers replica ids across restarts", () => {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({dataDir: dataDir, queue: q});
+      assert.strictEqual(connect(documents, "doc", q, "a").rga.id, 1);
+      assert.strictEqual(connect(documents, "doc", q, "b").rga.id, 2);
+      documents.close();
+
+      var documents2 = new DocumentSet({dataDir: dataDir, queue: q});
+      assert.strictEqual(connect(documents2, "doc", q, "c").rga.id, 3);
+      assert.strictEqual(connect(documents2, "doc", q, "a").rga.id, 1);
+      documents2.close();
+    });
+
+    it("keeps access tokens across restarts", () => {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({dataDir: dataDir, queue: q});
+      var tokens = documents.get("doc").access.tokens;
+      documents.close();
+
+      var documents2 = new DocumentSet({dataDir: dataDir, queue: q});
+      assert.strictEqual(documents2.exists("doc"), true);
+      assert.strictEqual(documents2.isLoaded("doc"), false);
+      assert.strictEqual(documents2.roleOf("doc", tokens.edit), "edit");
+      assert.strictEqual(connect(documents2, "doc", q, undefined, undefined, tokens.view).welcome.role, "view");
+      documents2.close();
+    });
+
+    it("doesn't reuse ids found in documents saved without a registry", done => {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({dataDir: dataDir, queue: q, idleTimeout: 5});
+      var c = connect(documents, "doc", q);
+      c.rga.addRight(c.rga.left.timestamp, "x");
+      q.drain();
+      disconnect(c, q);
+
+      setTimeout(() => {
+        fs.unlinkSync(path.join(dataDir, "doc", "replicas.json"));
+        var c2 = connect(documents, "doc", q);
+        assert.strictEqual(c2.rga.id, 2);
+        documents.close();
+        done();
+      }, 30);
+    });
+
+    it("doesn't unload documents that are in use", done => {
+      var q = new MockEventQueue;
+      var documents = new DocumentSet({dataDir: dataDir, queue: q, idleTimeout: 5});
+      var c1 = connect(documents, "doc", q);
+      connect(documents, "doc", q);
+      disconnect(c1, q);
+
+      setTimeout(() => {
+        assert.strictEqual(documents.isLoaded("doc"), true);
+        documents.close();
+        done();
+      }, 30);
+    });
+  });
+});
@@ -3,20 +3,60 @@
 "use strict";
 
 var RGA = require("../lib/rga.js");
+var DocumentSet = require("../lib/documents.js").DocumentSet;
 var testsupport = require("../lib/testsupport.js");
 var MockSocket = testsupport.MockSocket;
 var MockEventQueue = testsupport.MockEventQueue;
 var assert = require("assert");
 
+var TIMESTAMP_STEP = 1 << 16;  // difference between consecutive timestamps
+
+class MockSelection {
+  constructor() {
+    this.anchor = {row: 0, column: 0};
+    this.lead = {row: 0, column: 0};
+    this._subscribers = [];
+  }
+
+  getSelectionAnchor() { return this.anchor; }
+  getSelectionLead() { return this.lead; }
+
+  on(event, callback) {
+    if (event === "changeCursor")
+      this._subscribers.push(callback);
+  }
+
+  select(anchor, lead) {
+    this.anchor = anchor;
+    this.lead = lead || anchor;
+    this._subscribers.forEach(cb => cb());
+  }
+}
+
 class MockAceEditor {
   constructor(queue) {
     this._lines = [""]
     this._subscribers = [];
     this._queue = queue || new MockEventQueue;
+    this._selection = new MockSelection;
+    this._markers = new Map;
+    this._nextMarkerId = 1;
+    this.readOnly = false;
   }
 
   getSession() { return this; }
   getDocument() { return this; }
+  getSelection() { return this._selection; }
+
+  addDynamicMarker(marker) {
+    marker.id = this._nextMarkerId++;
+    this._markers.set(marker.id, marker);
+    return marker;
+  }
+
+  removeMarker(id) {
+    this._markers.delete(id);
+  }
 
   getValue() {
     return this._lines.join("\n");
@@ -56,22 +96,37 @@ class MockAceEditor {
     this._queue.drain();
   }
   
+  // Change events carry a delta, like Ace's.
   insert(loc, s) {
     let row = loc.row, column = loc.column;
     let line = this._lines[row] || "";
     let edited = line.slice(0, column) + s + line.slice(column);
     let args = [row, 1].concat(edited.split(/\n/g));
     this._lines.splice.apply(this._lines, args);
-    this._enqueueChangeEvent();
+    let lines = s.split(/\n/g);
+    let end = {
+      row: row + lines.length - 1,
+      column: (lines.length === 1 ? column : 0) + lines[lines.length - 1].length
+    };
+    this._enqueueChangeEvent({action: "insert", start: loc, end: end, lines: lines});
   }
 
   remove(span) {
     let start = span.start, end = span.end;
+    let removed = this._lines.slice(start.row, end.row + 1);
+    removed[removed.length - 1] = removed[removed.length - 1].slice(0, end.column);
+    removed[0] = removed[0].slice(start.column);
     let preStart = this._lines[start.row].slice(0, start.column);
     let endLine = this._lines[end.row] || "";
     let postEnd = endLine.slice(end.column, endLine.length);
     this._lines.splice(start.row, end.row - start.row + 1, preStart + postEnd);
-    this._enqueueChangeEvent();
+    this._enqueueChangeEvent({action: "remove", start: start, end: end, lines: removed});
+  }
+
+  // Only remembers the setting. Edits still work, like a user who finds a
+  // way around it.
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
   }
 
   focus() {}
@@ -88,6 +143,24 @@ describe("RGA.AceEditorRGA", () => {
     assert.strictEqual(e.editor.getValue(), "hi");
   });
 
+  it("finds the row and column of a character", () => {
+    let q = new MockEventQueue;
+    let x = new RGA.AceEditorRGA(0, new MockAceEditor(q), undefined, q);
+    let d = x.addRun(x.left.timestamp, "ab\ncd");
+    let a = d - 4 * TIMESTAMP_STEP, c = d - TIMESTAMP_STEP;
+    assert.deepEqual(x.getRowColumnBefore(a), {row: 0, column: 0});
+    assert.deepEqual(x.getRowColumnBefore(c), {row: 1, column: 0});
+    assert.deepEqual(x.getRowColumnAfter(c, c + 10 * TIMESTAMP_STEP), {row: 1, column: 1});
+    assert.deepEqual(x.getRowColumnAfter(x.left.timestamp, a + 10 * TIMESTAMP_STEP), {row: 0, column: 0});
+
+    // A character that's been removed is found where it used to be.
+    x.remove(c);
+    assert.deepEqual(x.getRowColumnBefore(c), {row: 1, column: 0});
+    assert.deepEqual(x.getRowColumnAfter(c, c + 10 * TIMESTAMP_STEP), {row: 1, column: 0});
+    assert.throws(() => x.getRowColumnBefore(x.left.timestamp), /left edge/);
+    assert.throws(() => x.getRowColumnBefore(12345 * TIMESTAMP_STEP), /not present/);
+  });
+
   it("clobbers the previous editor state", () => {
     let q = new MockEventQueue;
     let editor = new MockAceEditor(q);
@@ -176,6 +249,99 @@ describe("RGA.AceEditorRGA", () => {
     assert.strictEqual(y.text(), "");
   });
 
+  it("sends a paste or a deleted selection as a single op", () => {
+    let q = new MockEventQueue;
+    let editor = new MockAceEditor(q);
+    let x = new RGA.AceEditorRGA(1, editor, undefined, q);
+    let y = new RGA(0, undefined, q);
+    RGA.tie(x, y);
+    let ops = [];
+    y.on("op", (sender, op) => ops.push(op));
+
+    editor.insert({row: 0, column: 0}, "one\ntwo\nthree");
+    q.drain();
+    assert.deepEqual(ops.map(op => op.type), ["addRun"]);
+    assert.strictEqual(y.text(), "one\ntwo\nthree");
+
+    editor.remove({start: {row: 0, column: 2}, end: {row: 2, column: 1}});
+    q.drain();
+    assert.deepEqual(ops.map(op => op.type), ["addRun", "removeRange"]);
+    assert.strictEqual(y.text(), "onhree");
+  });
+
+  it("applies remote runs to the editor in one edit", () => {
+    let q = new MockEventQueue;
+    let editor = new MockAceEditor(q);
+    let x = new RGA.AceEditorRGA(1, editor, undefined, q);
+    let y = new RGA(0, undefined, q);
+    RGA.tie(x, y);
+    let edits = 0;
+    editor.on("change", () => edits++);
+
+    let a = y.addRun(y.left.timestamp, "abc\ndef");
+    q.drain();
+    assert.strictEqual(editor.getValue(), "abc\ndef");
+    assert.strictEqual(edits, 1);
+
+    // Someone else inserts into the middle of the range being removed. The
+    // removal leaves their text alone, so it takes one edit on each side.
+    let b = y.history()[0].t + TIMESTAMP_STEP;
+    x.addRun(b + TIMESTAMP_STEP, "XY");
+    y.removeRange(b, a - TIMESTAMP_STEP);
+    q.drain();
+    assert.strictEqual(edits, 4);
+    assert.strictEqual(y.text(), "aXYf");
+    assert.strictEqual(editor.getValue(), "aXYf");
+  });
+
+  it("ignores ops delivered more than once", () => {
+    let q = new MockEventQueue;
+    let editor = new MockAceEditor(q);
+    let x = new RGA.AceEditorRGA(1, editor, undefined, q);
+    let y = new RGA(2, undefined, q);
+    let b = y.addRun(y.left.timestamp, "ab");
+    y.remove(b);
+    y.history().concat(y.history()).forEach(op => x.downstream(y.downstream, op));
+    q.drain();
+    assert.strictEqual(editor.getValue(), "a");
+    assert.strictEqual(x.text(), "a");
+  });
+
+  it("applies the editor's change deltas without reading the whole text", () => {
+    let q = new MockEventQueue;
+    let editor = new MockAceEditor(q);
+    let x = new RGA.AceEditorRGA(1, editor, undefined, q);
+    let y = new RGA(0, undefined, q);
+    RGA.tie(x, y);
+    let getValue = editor.getValue;
+    let reads = 0;
+    editor.getValue = function () { reads++; return getValue.call(this); };
+
+    editor.insert({row: 0, column: 0}, "one\nthree");
+    q.drain();
+    editor.insert({row: 0, column: 3}, "\ntwo");
+    q.drain();
+    editor.insert({row: 2, column: 5}, "!");
+    q.drain();
+    editor.remove({start: {row: 0, column: 1}, end: {row: 1, column: 1}});
+    q.drain();
+    assert.strictEqual(reads, 0);
+    assert.strictEqual(y.text(), "owo\nthree!");
+    assert.strictEqual(x.text(), getValue.call(editor));
+  });
+
+  it("falls back on comparing text when change events pile up", () => {
+    let q = new MockEventQueue;
+    let editor = new MockAceEditor(q);
+    let x = new RGA.AceEditorRGA(1, editor, undefined, q);
+    editor.insert({row: 0, column: 0}, "ac");
+    editor.insert({row: 0, column: 1}, "b");
+    editor.remove({start: {row: 0, column: 0}, end: {row: 0, column: 1}});
+    q.drain();
+    assert.strictEqual(x.text(), "bc");
+    assert.strictEqual(editor.getValue(), "bc");
+  });
+
   it("can cope with editor updates being received slowly", () => {
     let q = new MockEventQueue;
     let x = new RGA(0, undefined, q);
@@ -349,17 +515,218 @@ describe("RGA.AceEditorRGA", () => {
     }
   });
 
+  describe("presence", () => {
+    it("reports the local selection as timestamps", () => {
+      let q = new MockEventQueue;
+      let editor = new MockAceEditor(q);
+      let x = new RGA.AceEditorRGA(1, editor, undefined, q);
+      editor.insert({row: 0, column: 0}, "ab\ncd");
+      editor.getSelection().select({row: 1, column: 1}, {row: 0, column: 0});
+      let presence = x.getPresence();  // picks up the insert, too
+      assert.strictEqual(x.text(), "ab\ncd");
+      assert.strictEqual(presence.head, x.left.timestamp);
+      assert.strictEqual(x._offsetAfter(presence.anchor), 4);
+    });
+
+    it("keeps other users' carets in place as the text changes", () => {
+      let q = new MockEventQueue;
+      let editor = new MockAceEditor(q);
+      let x = new RGA.AceEditorRGA(1, editor, undefined, q);
+      let y = new RGA(2, undefined, q);
+      RGA.tie(x, y);
+      let last = y.addRun(y.left.timestamp, "hello\nworld");
+      q.drain();
+      let [, , , , o] = RGA.toCharOps(y.history()).map(op => op.t);
+
+      x.setRemotePresence({id: 2, name: "Y", anchor: last, head: o});
+      let cursor = x._remoteCursors.get(2);
+      let marker = x.adapter._markers.get(cursor);
+      assert.strictEqual(editor._markers.get(marker.id), marker);
+      assert.strictEqual(cursor.name, "Y");
+      assert.deepEqual(marker.range(), {
+        start: {row: 0, column: 5},
+        end: {row: 1, column: 5},
+        cursor: {row: 0, column: 5}
+      });
+
+      // Text typed in front of the caret pushes it along.
+      editor.insert({row: 0, column: 0}, "oh, ");
+      q.drain();
+      assert.deepEqual(marker.range().cursor, {row: 0, column: 9});
+
+      // If the character before the caret is removed, the caret stays where
+      // it was.
+      y.removeRange(o - 4 * TIMESTAMP_STEP, o);
+      q.drain();
+      assert.strictEqual(editor.getValue(), "oh, \nworld");
+      assert.deepEqual(marker.range().cursor, {row: 0, column: 4});
+
+      x.removeRemotePresence(2);
+      assert.strictEqual(editor._markers.size, 0);
+    });
+
+    it("doesn't draw carets next to characters it hasn't received yet", () => {
+      let q = new MockEventQueue;
+      let x = new RGA.AceEditorRGA(1, new MockAceEditor(q), undefined, q);
+      x.setRemotePresence({id: 2, anchor: 5 << 16 | 2, head: 5 << 16 | 2});
+      assert.strictEqual(x._remoteCursors.get(2).offsets(), undefined);
+      assert.strictEqual([...x.editor._markers.values()][0].range(), undefined);
+    });
+  });
+
+  describe("undo", () => {
+    // An editor tied to a plain RGA standing in for another user.
+    function pair() {
+      let q = new MockEventQueue;
+      let editor = new MockAceEditor(q);
+      let x = new RGA.AceEditorRGA(1, editor, undefined, q);
+      let y = new RGA(2, undefined, q);
+      RGA.tie(x, y);
+      return {q: q, editor: editor, x: x, y: y};
+    }
+
+    it("undoes and redoes typing without touching other users' text", () => {
+      let {q, editor, x, y} = pair();
+      editor.insert({row: 0, column: 0}, "h");
+      q.drain();
+      editor.insert({row: 0, column: 1}, "i");
+      q.drain();
+      y.addRun(y.left.timestamp, ">> ");
+      q.drain();
+      assert.strictEqual(editor.getValue(), ">> hi");
+
+      x.undo();
+      q.drain();
+      assert.strictEqual(editor.getValue(), ">> ");
+      assert.strictEqual(y.text(), ">> ");
+      assert.strictEqual(x.undoManager.canUndo(), false);
+
+      x.redo();
+      q.drain();
+      assert.strictEqual(editor.getValue(), ">> hi");
+      assert.strictEqual(y.text(), ">> hi");
+    });
+
+    it("brings back deleted text, around other users' inserts", () => {
+      let {q, editor, x, y} = pair();
+      y.addRun(y.left.timestamp, "one\ntwo\nthree");
+      q.drain();
+      editor.remove({start: {row: 0, column: 1}, end: {row: 2, column: 2}});
+      q.drain();
+      assert.strictEqual(y.text(), "oree");
+
+      // Another user types in the middle of what was deleted.
+      y.addRight(y.history()[0].t, "!");
+      q.drain();
+      assert.strictEqual(editor.getValue(), "o!ree");
+
+      x.undo();
+      q.drain();
+      assert.strictEqual(editor.getValue(), "o!ne\ntwo\nthree");
+      assert.strictEqual(y.text(), "o!ne\ntwo\nthree");
+
+      x.redo();
+      q.drain();
+      assert.strictEqual(editor.getValue(), "o!ree");
+      assert.strictEqual(y.text(), "o!ree");
+      assert.strictEqual(JSON.stringify(x.history()), JSON.stringify(y.history()));
+    });
+
+    it("skips edits that other users have already reverted", () => {
+      let {q, editor, x, y} = pair();
+      editor.insert({row: 0, column: 0}, "a");
+      q.drain();
+      editor.remove({start: {row: 0, column: 0}, end: {row: 0, column: 1}});
+      q.drain();
+      editor.insert({row: 0, column: 0}, "bc");
+      q.drain();
+
+      // Someone else deletes the "bc" we just typed.
+      let [b, c] = RGA.toCharOps(y.history()).filter(op => op.type === "addRight").map(op => op.t);
+      y.removeRange(b, c);
+      q.drain();
+
+      // So the first undo skips that edit and brings back the "a".
+      assert.strictEqual(x.undoManager.undo(), true);
+      q.drain();
+      assert.strictEqual(editor.getValue(), "a");
+      assert.strictEqual(x.undoManager.undo(), true);
+      assert.strictEqual(x.undoManager.undo(), false);
+      q.drain();
+      assert.strictEqual(editor.getValue(), "");
+      assert.strictEqual(y.text(), "");
+    });
+
+    it("doesn't remove text from the editor that a later unremove kept", () => {
+      let q = new MockEventQueue;
+      let editor = new MockAceEditor(q);
+      let x = new RGA.AceEditorRGA(1, editor, undefined, q);
+      let p = TIMESTAMP_STEP + 3, r = 2 * TIMESTAMP_STEP + 3, s = 3 * TIMESTAMP_STEP + 3;
+      x.downstream(undefined, {type: "addRun", prev: -1, t: p, str: "prs"});
+
+      // Replica 3 removes "r" and "s" and brings them back...
+      x.downstream(undefined, {type: "remove", t: r, rt: 4 * TIMESTAMP_STEP + 3});
+      x.downstream(undefined, {type: "remove", t: s, rt: 5 * TIMESTAMP_STEP + 3});
+      x.downstream(undefined, {type: "unremove", ranges: [[r, 2]], rt: 7 * TIMESTAMP_STEP + 3});
+
+      // ...while replica 2 removes them too, earlier. The unremove wins.
+      x.downstream(undefined, {type: "removeRange", ranges: [[p, 2]], rt: 6 * TIMESTAMP_STEP + 2});
+      x.downstream(undefined, {type: "remove", t: s, rt: 6 * TIMESTAMP_STEP + 4});
+      assert.strictEqual(x.text(), "rs");
+      assert.strictEqual(editor.getValue(), "rs");
+    });
+
+    it("keeps undoable removals out of the acked version vector", () => {
+      let {q, editor, x} = pair();
+      editor.insert({row: 0, column: 0}, "abc");
+      q.drain();
+      editor.remove({start: {row: 0, column: 1}, end: {row: 0, column: 2}});
+      q.drain();
+      let vector = x.versionVector();
+      let pinned = x.undoManager.pin(vector);
+      assert(pinned[1] < vector[1]);
+      assert.strictEqual(x.collectGarbage(pinned), 0);
+
+      x.undo();
+      q.drain();
+      assert.strictEqual(editor.getValue(), "abc");
+      x.undoManager.clear();
+      assert.deepEqual(x.undoManager.pin(x.versionVector()), x.versionVector());
+    });
+  });
+
+  // Act like the server in index.js: answer each "hello" on `socket` with a
+  // "welcome", then tie `origin` to the socket. If `format` is given, use
+  // that wire format.
+  function serve(origin, socket, nextId, format) {
+    socket.on("hello", msg => {
+      let history = origin.historySince(msg.vector);
+      socket.emit("welcome", {
+        id: nextId(),
+        vector: origin.versionVector(),
+        history: format === undefined ? history : RGA.encodeOps(history),
+        format: format
+      });
+      RGA.tieToSocket(origin, socket, format);
+    });
+  }
+
   function client(origin, id, editor, queue) {
     let pipe = MockSocket.pair(queue);
-    RGA.tieToSocket(origin, pipe[0]);
+    serve(origin, pipe[0], () => id);
     RGA.AceEditorRGA.setup(editor, pipe[1], queue);
-    pipe[0].emit("welcome", {id: id, history: origin.history()});
+    pipe[0].emit("connect");
     return {
       editor: editor,
       pipe: pipe
     };
   }
 
+  function disconnect(c) {
+    c.pipe[0].emit("disconnect");
+    c.pipe[1].emit("disconnect");
+  }
+
   describe(".setup", () => {
     it("connects editors via sockets", () => {
       let q = new MockEventQueue;
@@ -399,5 +766,295 @@ describe("RGA.AceEditorRGA", () => {
       assert.strictEqual(c.editor.getValue(), "DC");
       assert.strictEqual(d.editor.getValue(), "DC");
     });
+
+    it("keeps edits made while disconnected", () => {
+      let q = new MockEventQueue;
+      let origin = new RGA(0, undefined, q);
+
+      let a = client(origin, 1, new MockAceEditor(q), q);
+      let b = client(origin, 2, new MockAceEditor(q), q);
+      q.drain();
+      a.editor.setValue("hello");
+      q.drain();
+      assert.strictEqual(b.editor.getValue(), "hello");
+
+      disconnect(a);
+      q.drain();
+      a.editor.setValue("hello world");
+      b.editor.setValue("oh, hello");
+      q.drain();
+      assert.strictEqual(origin.text(), "oh, hello");
+
+      // Reconnect over the same socket.
+      a.pipe[0].emit("connect");
+      q.drain();
+      assert.strictEqual(origin.text(), "oh, hello world");
+      assert.strictEqual(a.editor.getValue(), "oh, hello world");
+      assert.strictEqual(b.editor.getValue(), "oh, hello world");
+    });
+
+    it("says ops caught up on after a reconnect aren't local", () => {
+      let q = new MockEventQueue;
+      let origin = new RGA(0, undefined, q);
+      let pipe = MockSocket.pair(q);
+      serve(origin, pipe[0], () => 1);
+      let editor = new MockAceEditor(q);
+      let adapter = new RGA.AceAdapter(editor);
+      RGA.EditorRGA.setup(adapter, pipe[1], q);
+      pipe[0].emit("connect");
+      q.drain();
+      let changes = [];
+      adapter.rga.on("change", change => changes.push(change));
+      editor.setValue("hi");
+      q.drain();
+
+      pipe[0].emit("disconnect");
+      pipe[1].emit("disconnect");
+      q.drain();
+      origin.addRight(origin.left.timestamp, "X");
+      pipe[0].emit("connect");
+      q.drain();
+      assert.strictEqual(editor.getValue(), "Xhi");
+      assert.deepEqual(changes, [
+        {offset: 0, insert: "hi", local: true, author: 1},
+        {offset: 0, insert: "X", local: false, author: 0}
+      ]);
+    });
+
+    it("sends only missing ops when reconnecting", () => {
+      let q = new MockEventQueue;
+      let origin = new RGA(0, undefined, q);
+      let pipe = MockSocket.pair(q);
+      let ids = 1;
+      serve(origin, pipe[0], () => ids++);
+      let welcomes = [];
+      pipe[1].on("welcome", event => welcomes.push(event));
+      let editor = new MockAceEditor(q);
+      RGA.AceEditorRGA.setup(editor, pipe[1], q);
+      pipe[0].emit("connect");
+      q.drain();
+      editor.setValue("abc");
+      q.drain();
+
+      pipe[0].emit("disconnect");
+      pipe[1].emit("disconnect");
+      q.drain();
+      origin.addRight(origin.left.timestamp, "X");
+      editor.setValue("abcd");
+      q.drain();
+
+      pipe[0].emit("connect");
+      q.drain();
+      assert.strictEqual(welcomes.length, 2);
+      assert.strictEqual(welcomes[1].id, 2);
+      assert.strictEqual(welcomes[1].history.length, 1);
+      assert.strictEqual(welcomes[1].history[0].chr, "X");
+      assert.strictEqual(origin.text(), "Xabcd");
+      assert.strictEqual(editor.getValue(), "Xabcd");
+
+      // New edits use the new replica id.
+      editor.setValue("Xabcde");
+      q.drain();
+      assert.strictEqual(origin.text(), "Xabcde");
+      assert.strictEqual(origin.versionVector()[2] & 0xffff, 2);
+    });
+
+    it("uses the compact wire format if the server does", () => {
+      let q = new MockEventQueue;
+      let origin = new RGA(0, undefined, q);
+      origin.addRight(origin.addRight(origin.left.timestamp, "h"), "i");
+      let pipe = MockSocket.pair(q);
+      let hellos = [];
+      pipe[0].on("hello", msg => hellos.push(msg));
+      serve(origin, pipe[0], () => 1, RGA.WIRE_FORMAT);
+      let editor = new MockAceEditor(q);
+      RGA.AceEditorRGA.setup(editor, pipe[1], q);
+      pipe[0].emit("connect");
+      q.drain();
+      assert.deepEqual(hellos[0].formats, [RGA.WIRE_FORMAT]);
+      assert.strictEqual(editor.getValue(), "hi");
+
+      // Edits made while disconnected are uploaded in a single message.
+      let received = [];
+      pipe[0].on("downstream", msg => received.push(msg));
+      pipe[0].emit("disconnect");
+      pipe[1].emit("disconnect");
+      q.drain();
+      editor.setValue("hi there");
+      q.drain();
+      pipe[0].emit("connect");
+      q.drain();
+      assert.strictEqual(origin.text(), "hi there");
+      assert.strictEqual(received.length, 1);
+      assert.strictEqual(received[0].v, RGA.WIRE_FORMAT);
+
+      editor.setValue("hi there!!");
+      q.drain();
+      assert.strictEqual(origin.text(), "hi there!!");
+    });
+
+    it("shares carets through the server", () => {
+      let q = new MockEventQueue;
+      let documents = new DocumentSet({queue: q});
+      let token = documents.get("doc").access.tokens.edit;
+      function join(name) {
+        let editor = new MockAceEditor(q);
+        let pipe = MockSocket.pair(q);
+        documents.accept(pipe[0]);
+        RGA.AceEditorRGA.setup(editor, pipe[1], q, {doc: "doc", token: token, name: name});
+        pipe[0].emit("connect");
+        q.drain();
+        return {editor: editor, pipe: pipe};
+      }
+      let a = join("Alice");
+      let b = join("Bob");
+      a.editor.insert({row: 0, column: 0}, "hi");
+      a.editor.getSelection().select({row: 0, column: 2});
+      q.drain();
+
+      let cursors = b.editor._markers;
+      let [marker] = cursors.values();
+      assert.strictEqual(cursors.size, 1);
+      assert.strictEqual(marker.cursor.name, "Alice");
+      assert.deepEqual(marker.range().cursor, {row: 0, column: 2});
+      assert.strictEqual([...a.editor._markers.values()][0].cursor.name, "Bob");
+
+      a.pipe[0].emit("disconnect");
+      a.pipe[1].emit("disconnect");
+      q.drain();
+      assert.strictEqual(cursors.size, 0);
+      assert.strictEqual(a.editor._markers.size, 0);
+    });
+
+    it("makes the editor read-only for viewers", () => {
+      let q = new MockEventQueue;
+      let documents = new DocumentSet({queue: q});
+      let tokens = documents.get("doc").access.tokens;
+      function join(token) {
+        let editor = new MockAceEditor(q);
+        let pipe = MockSocket.pair(q);
+        let refused = [];
+        pipe[1].on("refused", event => refused.push(event.reason));
+        documents.accept(pipe[0]);
+        RGA.AceEditorRGA.setup(editor, pipe[1], q, {doc: "doc", token: token});
+        pipe[0].emit("connect");
+        q.drain();
+        return {editor: editor, refused: refused};
+      }
+      let writer = join(tokens.edit);
+      let reader = join(tokens.view);
+      assert.strictEqual(writer.editor.readOnly, false);
+      assert.strictEqual(reader.editor.readOnly, true);
+
+      writer.editor.insert({row: 0, column: 0}, "news");
+      q.drain();
+      assert.strictEqual(reader.editor.getValue(), "news");
+
+      // If a viewer edits the text anyway, the edit is thrown away rather
+      // than sent to the server.
+      reader.editor.insert({row: 0, column: 4}, "!");
+      q.drain();
+      assert.strictEqual(reader.editor.getValue(), "news");
+      writer.editor.insert({row: 0, column: 0}, "good ");
+      q.drain();
+      assert.strictEqual(reader.editor.getValue(), "good news");
+      assert.strictEqual(documents.get("doc").doc.text(), "good news");
+      assert.deepEqual(reader.refused, []);
+    });
+
+    it("starts over if the server has lost edits", () => {
+      let q = new MockEventQueue;
+      let documents = new DocumentSet({queue: q});
+      let token = documents.get("doc").access.tokens.edit;
+      function join(name) {
+        let editor = new MockAceEditor(q);
+        let pipe = MockSocket.pair(q);
+        let refused = [];
+        pipe[1].on("refused", event => refused.push(event.reason));
+        documents.accept(pipe[0]);
+        RGA.AceEditorRGA.setup(editor, pipe[1], q, {doc: "doc", token: token, client: name});
+        pipe[0].emit("connect");
+        q.drain();
+        return {editor: editor, pipe: pipe, refused: refused};
+      }
+      // Hook the client end of `c.pipe` up to a new server end.
+      function reconnect(c) {
+        let server = new MockSocket(q);
+        server.peer = c.pipe[1];
+        c.pipe[1].peer = server;
+        c.pipe[0] = server;
+        documents.accept(server);
+        server.emit("connect");
+        q.drain();
+      }
+      let a = join("alice");
+      let b = join("bob");
+      a.editor.setValue("hello");
+      q.drain();
+      b.editor.insert({row: 0, column: 5}, "!");
+      q.drain();
+      assert.strictEqual(a.editor.getValue(), "hello!");
+      disconnect(a);
+      disconnect(b);
+      q.drain();
+
+      // The server restarts, having lost the document, though not the links
+      // to it. Each client has edits from the other, which the server won't
+      // take from it, so both start over.
+      documents = new DocumentSet({queue: q});
+      documents.get("doc").access.tokens.edit = token;
+      reconnect(a);
+      reconnect(b);
+      assert.strictEqual(a.editor.getValue(), "");
+      assert.strictEqual(b.editor.getValue(), "");
+
+      a.editor.setValue("again");
+      q.drain();
+      assert.strictEqual(b.editor.getValue(), "again");
+      assert.strictEqual(documents.get("doc").doc.text(), "again");
+      assert.deepEqual(a.refused, []);
+      assert.deepEqual(b.refused, []);
+    });
+
+    it("stops acking when the server refuses it", done => {
+      let q = new MockEventQueue;
+      let origin = new RGA(0, undefined, q);
+      let editor = new MockAceEditor(q);
+      let pipe = MockSocket.pair(q);
+      serve(origin, pipe[0], () => 1);
+      RGA.AceEditorRGA.setup(editor, pipe[1], q, {ackInterval: 1});
+      pipe[0].emit("connect");
+      q.drain();
+
+      let acks = 0;
+      pipe[0].on("ack", () => acks++);
+      pipe[0].emit("refused", {reason: "go away"});
+      editor.insert({row: 0, column: 0}, "x");
+      q.drain();
+      setTimeout(() => {
+        q.drain();
+        assert.strictEqual(acks, 0);
+        done();
+      }, 20);
+    });
+
+    it("starts over if the server doesn't send a version vector", () => {
+      let q = new MockEventQueue;
+      let pipe = MockSocket.pair(q);
+      let editor = new MockAceEditor(q);
+      RGA.AceEditorRGA.setup(editor, pipe[1], q);
+
+      let p = new RGA(0);
+      p.addRight(p.left.timestamp, "A");
+      pipe[0].emit("welcome", {id: 1, history: p.history()});
+      q.drain();
+      assert.strictEqual(editor.getValue(), "A");
+
+      let p2 = new RGA(0);
+      p2.addRight(p2.left.timestamp, "B");
+      pipe[0].emit("welcome", {id: 1, history: p2.history()});
+      q.drain();
+      assert.strictEqual(editor.getValue(), "B");
+    });
   });
 });
@@ -0,0 +1,120 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+
+"use strict";
+
+var RGA = require("../lib/rga.js");
+var ReplicaIdRegistry = require("../lib/replicaids.js").ReplicaIdRegistry;
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+describe("ReplicaIdRegistry", () => {
+  function notInUse() { return false; }
+
+  it("hands out ids starting at 1", () => {
+    var r = new ReplicaIdRegistry(undefined);
+    assert.strictEqual(r.allocate(undefined, notInUse), 1);
+    assert.strictEqual(r.allocate(undefined, notInUse), 2);
+    assert.strictEqual(r.allocate("x", notInUse), 3);
+  });
+
+  it("gives a returning client its old id", () => {
+    var r = new ReplicaIdRegistry(undefined);
+    var a = r.allocate("a", notInUse);
+    var b = r.allocate("b", notInUse);
+    assert.notStrictEqual(a, b);
+    assert.strictEqual(r.allocate("a", notInUse), a);
+    assert.strictEqual(r.allocate("b", notInUse), b);
+  });
+
+  it("doesn't give out an id that is in use", () => {
+    var r = new ReplicaIdRegistry(undefined);
+    var a = r.allocate("a", notInUse);
+    var a2 = r.allocate("a", id => id === a);
+    assert.notStrictEqual(a2, a);
+
+    // The key is still bound to the original id.
+    assert.strictEqual(r.allocate("a", notInUse), a);
+  });
+
+  it("remembers which client each id went to", () => {
+    var filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-")), "replicas.json");
+    var r = new ReplicaIdRegistry(filename);
+    var a = r.allocate("a", notInUse);
+    var a2 = r.allocate("a", id => id === a);
+    var anon = r.allocate(undefined, notInUse);
+    assert.strictEqual(r.ownerOf(a), "a");
+    assert.strictEqual(r.ownerOf(a2), "a");
+    assert.strictEqual(r.ownerOf(anon), undefined);
+
+    var r2 = new ReplicaIdRegistry(filename);
+    assert.strictEqual(r2.ownerOf(a2), "a");
+
+    // Older files don't list owners.
+    fs.writeFileSync(filename, JSON.stringify({next: 3, clients: {b: 2}}));
+    assert.strictEqual(new ReplicaIdRegistry(filename).ownerOf(2), "b");
+  });
+
+  it("never reuses ids, even after a restart", () => {
+    var filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-")), "replicas.json");
+    var r = new ReplicaIdRegistry(filename);
+    var a = r.allocate("a", notInUse);
+    r.allocate(undefined, notInUse);
+
+    var r2 = new ReplicaIdRegistry(filename);
+    assert.strictEqual(r2.allocate("a", notInUse), a);
+    assert.strictEqual(r2.allocate("new", notInUse), 3);
+  });
+
+  it("can skip ids that were used before it existed", () => {
+    var r = new ReplicaIdRegistry(undefined);
+    r.reserveThrough(7);
+    assert.strictEqual(r.allocate(undefined, notInUse), 8);
+    r.reserveThrough(3);
+    assert.strictEqual(r.allocate(undefined, notInUse), 9);
+  });
+
+  it("returns undefined when it runs out of ids", () => {
+    var r = new ReplicaIdRegistry(undefined);
+    r.reserveThrough(RGA.MAX_REPLICA_ID - 1);
+    assert.strictEqual(r.allocate("a", notInUse), RGA.MAX_REPLICA_ID);
+    assert.strictEqual(r.allocate("b", notInUse), undefined);
+    assert.strictEqual(r.allocate("a", notInUse), RGA.MAX_REPLICA_ID);
+  });
+
+  it("remembers what each replica has acked, even ids that never did", () => {
+    var filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-")), "replicas.json");
+    var r = new ReplicaIdRegistry(filename);
+    r.reserveThrough(1);
+    var a = r.allocate("a", notInUse);
+    r.ack(a, {0: 65536, 2: 65538});
+    assert.deepEqual(r.ackedVectors(notInUse, Infinity), [{}, {0: 65536, 2: 65538}]);
+    assert.deepEqual(new ReplicaIdRegistry(filename).ackedVectors(notInUse, Infinity),
+                     r.ackedVectors(notInUse, Infinity));
+  });
+
+  it("stops waiting for replicas that have been gone too long", () => {
+    var filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-")), "replicas.json");
+    var r = new ReplicaIdRegistry(filename);
+    var clock = 1000;
+    r.now = () => clock;
+    var a = r.allocate("a", notInUse), b = r.allocate("b", notInUse);
+    r.ack(a, {1: 65537});
+    clock += 500;
+    r.ack(b, {2: 65538});
+    clock += 600;
+    assert.deepEqual(r.ackedVectors(notInUse, 1000), [{2: 65538}]);
+    assert.deepEqual(r.expiredIds(), [a]);
+
+    // Replicas that are connected never expire.
+    clock += 1000;
+    assert.deepEqual(r.ackedVectors(id => id === b, 1000), [{2: 65538}]);
+    assert.deepEqual(new ReplicaIdRegistry(filename).expiredIds(), [a]);
+
+    // An expired replica that acks again is waited for again.
+    r.ack(a, {1: 65537});
+    assert.deepEqual(r.ackedVectors(id => id === b, 1000), [{1: 65537}, {2: 65538}]);
+    assert.deepEqual(r.expiredIds(), []);
+  });
+});
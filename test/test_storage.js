@@ -0,0 +1,199 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+
+"use strict";
+
+var RGA = require("../lib/rga.js");
+var DocumentStore = require("../lib/storage.js").DocumentStore;
+var MockEventQueue = require("../lib/testsupport.js").MockEventQueue;
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+describe("DocumentStore", () => {
+  var dir;
+  beforeEach(() => {
+    dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-")), "doc");
+  });
+
+  function type(rga, cursor, text) {
+    for (var ch of text)
+      cursor = rga.addRight(cursor, ch);
+    return cursor;
+  }
+
+  it("starts out empty", () => {
+    var store = new DocumentStore(dir);
+    var doc = store.open(0);
+    assert.strictEqual(doc.text(), "");
+    assert.strictEqual(store.seq, 0);
+    store.close();
+  });
+
+  it("saves ops and loads them again", () => {
+    var q = new MockEventQueue;
+    var store = new DocumentStore(dir);
+    var doc = store.open(0, q);
+    var c = type(doc, doc.left.timestamp, "hello world");
+    doc.remove(c);
+    q.drain();
+    assert.strictEqual(store.seq, 12);
+    // Simulate a crash: don't close the store.
+
+    var store2 = new DocumentStore(dir);
+    var doc2 = store2.open(0, q);
+    assert.strictEqual(doc2.text(), "hello worl");
+    assert.strictEqual(JSON.stringify(doc2.history()), JSON.stringify(doc.history()));
+    assert.strictEqual(store2.seq, 12);
+  });
+
+  it("saves ops that arrive from other replicas", () => {
+    var q = new MockEventQueue;
+    var store = new DocumentStore(dir);
+    var doc = store.open(0, q);
+    var other = new RGA(1, undefined, q);
+    RGA.tie(doc, other);
+    type(other, other.left.timestamp, "hi");
+    q.drain();
+
+    var doc2 = new DocumentStore(dir).open(0, q);
+    assert.strictEqual(doc2.text(), "hi");
+  });
+
+  it("writes snapshots and truncates the log", () => {
+    var q = new MockEventQueue;
+    var store = new DocumentStore(dir, {snapshotInterval: 4});
+    var doc = store.open(0, q);
+    type(doc, doc.left.timestamp, "abcdef");
+    q.drain();
+
+    var snapshot = JSON.parse(fs.readFileSync(path.join(dir, "snapshot.json"), "utf8"));
+    assert.strictEqual(snapshot.seq, 4);
+    assert.strictEqual(new RGA(1, snapshot.history).text(), "abcd");
+    var log = fs.readFileSync(path.join(dir, "log.jsonl"), "utf8");
+    assert.strictEqual(log.split("\n").length, 3);  // two records, then ""
+
+    var doc2 = new DocumentStore(dir).open(0, q);
+    assert.strictEqual(doc2.text(), "abcdef");
+  });
+
+  it("skips log records already covered by the snapshot", () => {
+    var q = new MockEventQueue;
+    var store = new DocumentStore(dir, {snapshotInterval: 1000});
+    var doc = store.open(0, q);
+    type(doc, doc.left.timestamp, "abc");
+    q.drain();
+    var log = fs.readFileSync(path.join(dir, "log.jsonl"), "utf8");
+    store.snapshot();
+
+    // Simulate a crash between writing the snapshot and truncating the log.
+    fs.writeFileSync(path.join(dir, "log.jsonl"), log);
+    var store2 = new DocumentStore(dir);
+    var doc2 = store2.open(0, q);
+    assert.strictEqual(doc2.text(), "abc");
+    assert.strictEqual(store2.seq, 3);
+  });
+
+  it("recovers from a torn final record", () => {
+    var q = new MockEventQueue;
+    var store = new DocumentStore(dir);
+    var doc = store.open(0, q);
+    type(doc, doc.left.timestamp, "xyz");
+    q.drain();
+
+    var logPath = path.join(dir, "log.jsonl");
+    var intact = fs.readFileSync(logPath, "utf8");
+    fs.appendFileSync(logPath, '{"seq":4,"op":{"type":"addRi');
+
+    var store2 = new DocumentStore(dir);
+    var doc2 = store2.open(0, q);
+    assert.strictEqual(doc2.text(), "xyz");
+    assert.strictEqual(fs.readFileSync(logPath, "utf8"), intact);
+
+    // New ops are appended after the intact records.
+    type(doc2, doc2.left.timestamp, "!");
+    q.drain();
+    var doc3 = new DocumentStore(dir).open(0, q);
+    assert.strictEqual(doc3.text(), "!xyz");
+  });
+
+  it("refuses to load a log that is corrupt in the middle", () => {
+    var q = new MockEventQueue;
+    var store = new DocumentStore(dir);
+    var doc = store.open(0, q);
+    type(doc, doc.left.timestamp, "xyz");
+    q.drain();
+
+    var logPath = path.join(dir, "log.jsonl");
+    var lines = fs.readFileSync(logPath, "utf8").split("\n");
+    lines[1] = "garbage";
+    fs.writeFileSync(logPath, lines.join("\n"));
+    assert.throws(() => new DocumentStore(dir).open(0, q), /corrupt record at line 2/);
+  });
+
+  it("remembers garbage collection", () => {
+    var q = new MockEventQueue;
+    var store = new DocumentStore(dir, {snapshotInterval: 1000});
+    var doc = store.open(0, q);
+    var b = type(doc, doc.left.timestamp, "ab");
+    var bHistory = doc.history();
+    doc.remove(b);
+    doc.collectGarbage(doc.versionVector());
+
+    // Another replica that still has "b" inserts after it.
+    var other = new RGA(1, bHistory, q);
+    var op = {type: "addRight", prev: b, t: other.addRight(b, "c"), chr: "c"};
+    doc.downstream(doc.downstream, op);
+    assert.strictEqual(doc.text(), "ac");
+
+    // The log replays the collection before the insert.
+    var doc2 = new DocumentStore(dir).open(0, q);
+    assert.strictEqual(JSON.stringify(doc2.history()), JSON.stringify(doc.history()));
+
+    // Snapshots remember collected nodes, so late ops still work.
+    store.snapshot();
+    var doc3 = new DocumentStore(dir).open(0, q);
+    assert.strictEqual(doc3._index.has(b), false);
+    var op2 = {type: "addRight", prev: b, t: other.addRight(b, "d"), chr: "d"};
+    doc3.downstream(doc3.downstream, op2);
+    doc.downstream(doc.downstream, op2);
+    assert.strictEqual(doc3.text(), doc.text());
+  });
+
+  it("remembers where collected characters were, for marks", () => {
+    var q = new MockEventQueue;
+    var store = new DocumentStore(dir, {snapshotInterval: 1000});
+    var doc = store.open(0, q);
+    var b = type(doc, doc.left.timestamp, "ab");
+    var c = doc.addRight(b, "c");
+    var d = doc.addRight(c, "d");
+    var other = new RGA(1, doc.history(), q);
+    doc.remove(c);
+    doc.collectGarbage(doc.versionVector());
+    store.snapshot();
+
+    // Another replica that still has "c" formats "cd". Text typed where "c"
+    // was comes before it, so it isn't included.
+    var doc2 = new DocumentStore(dir).open(0, q);
+    doc2.addRight(b, "X");
+    other.format(c, d, "italic", true);
+    other.historySince(doc2.versionVector()).forEach(op => doc2.downstream(doc2.downstream, op));
+    assert.deepEqual(doc2.formattedRuns(), [
+      {text: "abX", marks: {}},
+      {text: "d", marks: {italic: true}}
+    ]);
+  });
+
+  it("writes a final snapshot on close", () => {
+    var q = new MockEventQueue;
+    var store = new DocumentStore(dir);
+    var doc = store.open(0, q);
+    type(doc, doc.left.timestamp, "bye");
+    q.drain();
+    store.close();
+    assert.strictEqual(fs.readFileSync(path.join(dir, "log.jsonl"), "utf8"), "");
+
+    var doc2 = new DocumentStore(dir).open(0, q);
+    assert.strictEqual(doc2.text(), "bye");
+  });
+});
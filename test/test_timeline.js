@@ -0,0 +1,178 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+
+"use strict";
+
+var RGA = require("../lib/rga.js");
+var timelineModule = require("../lib/timeline.js");
+var Timeline = timelineModule.Timeline;
+var MockEventQueue = require("../lib/testsupport.js").MockEventQueue;
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+describe("Timeline", () => {
+  // A document with a timeline whose clock reads `clock.time`.
+  function setup(filename, options) {
+    var clock = {time: 1000};
+    var timeline = new Timeline(filename, options);
+    timeline.now = () => clock.time;
+    var queue = new MockEventQueue;
+    var doc = new RGA(0, undefined, queue);
+    timeline.attach(doc);
+    return {clock: clock, timeline: timeline, doc: doc, queue: queue};
+  }
+
+  // Have a new replica with the given id make edits, and send them to the
+  // server's replica right away.
+  function client(x, id) {
+    var rga = new RGA(id, undefined, x.queue);
+    RGA.tie(rga, x.doc);
+    return function (edit) {
+      var result = edit(rga);
+      x.queue.drain();
+      return result;
+    };
+  }
+
+  it("reconstructs the text at every version", () => {
+    var x = setup(undefined);
+    var p = client(x, 1);
+    var h = p(rga => rga.addRun(rga.left.timestamp, "hello"));
+    p(rga => rga.removeRange(h, h));
+    p(rga => rga.addRun(h - 65536, " there"));
+    assert.strictEqual(x.doc.text(), "hell there");
+
+    assert.strictEqual(x.timeline.latest(), 3);
+    assert.deepEqual([0, 1, 2, 3].map(v => x.timeline.textAt(v)),
+                     ["", "hello", "hell", "hell there"]);
+    assert.throws(() => x.timeline.textAt(4), /no such version/);
+  });
+
+  it("shows what changed between versions", () => {
+    var x = setup(undefined);
+    var a = x.doc.addRun(x.doc.left.timestamp, "abc");
+    x.doc.remove(a - 65536);
+    x.doc.addRight(a, "d");
+    var e = x.doc.addRight(a, "e");
+    x.doc.remove(e);
+    assert.deepEqual(x.timeline.diff(1, 5), [
+      {text: "a", status: "same"},
+      {text: "b", status: "removed"},
+      {text: "c", status: "same"},
+      {text: "d", status: "added"}
+    ]);
+    assert.deepEqual(x.timeline.diff(0, 1), [{text: "abc", status: "added"}]);
+    assert.throws(() => x.timeline.diff(2, 1), /backwards/);
+  });
+
+  it("lumps ops into changes, and names checkpoints", () => {
+    var x = setup(undefined);
+    var p = client(x, 1), q = client(x, 2);
+    var t = p(rga => rga.addRight(rga.left.timestamp, "a"));
+    x.clock.time += 1000;
+    t = p(rga => rga.addRight(t, "b"));
+    x.clock.time += timelineModule.CHANGE_GAP;
+    t = p(rga => rga.addRight(t, "c"));
+    x.clock.time += 1000;
+    q(rga => rga.addRight(t, "d"));
+    assert.deepEqual(x.timeline.checkpoint(" draft "), {version: 4, time: x.clock.time, name: "draft"});
+    assert.throws(() => x.timeline.checkpoint(""), /checkpoint names/);
+
+    assert.deepEqual(x.timeline.versions(), [
+      {version: 2, time: 2000, author: 1},
+      {version: 3, time: 2000 + timelineModule.CHANGE_GAP, author: 1},
+      {version: 4, time: 3000 + timelineModule.CHANGE_GAP, author: 2, name: "draft"}
+    ]);
+
+    // A checkpoint ends a change, even if the same author keeps typing.
+    x.clock.time += 1000;
+    q(rga => rga.addRight(t, "e"));
+    x.timeline.checkpoint("second");
+    q(rga => rga.addRight(t, "f"));
+    assert.deepEqual(x.timeline.versions().slice(3).map(v => [v.version, v.name]),
+                     [[5, "second"], [6, undefined]]);
+  });
+
+  it("saves everything and loads it again", () => {
+    var filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-")), "timeline.jsonl");
+    var x = setup(filename);
+    x.timeline.checkpoint("empty");
+    var t = x.doc.addRun(x.doc.left.timestamp, "one");
+    x.doc.remove(t);
+    x.timeline.checkpoint("on");
+    x.doc.destroy();
+
+    var again = new Timeline(filename);
+    assert.strictEqual(again.latest(), 2);
+    assert.strictEqual(again.textAt(2), "on");
+    assert.deepEqual(again.versions(), x.timeline.versions());
+    assert.strictEqual(again.versions()[0].name, "empty");
+
+    // A document that had text before it had a timeline starts with that.
+    fs.unlinkSync(filename);
+    var y = setup(filename);
+    var doc = new RGA(0, again.replay(2).history());
+    y.timeline.attach(doc);
+    assert.strictEqual(y.timeline.textAt(y.timeline.latest()), "on");
+    assert.deepEqual(y.timeline.versions().map(v => v.author), [null]);
+  });
+
+  it("reads old ops back from the file as it needs them", () => {
+    var filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-")), "timeline.jsonl");
+    var x = setup(filename, {segmentLength: 3, fsync: false});
+    var texts = [""];
+    var added = [x.doc.left.timestamp];
+    for (var i = 0; i < 40; i++) {
+      if (i % 4 === 3)
+        x.doc.remove(added[added.length - 2]);
+      else
+        added.push(x.doc.addRight(added[added.length - 1], String.fromCharCode(97 + i % 26)));
+      if (i === 20)
+        x.timeline.checkpoint("halfway");
+      texts.push(x.doc.text());
+    }
+
+    // Only the last few ops are in memory.
+    var segments = x.timeline._segments;
+    assert.strictEqual(segments.length, 14);
+    assert(segments.slice(0, -1).every(segment => segment.ops === undefined));
+    assert.deepEqual(segments[13].ops.length, 1);
+
+    // Stepping back through the versions starts from keyframes.
+    for (var v = 40; v >= 0; v--)
+      assert.strictEqual(x.timeline.textAt(v), texts[v]);
+    assert(x.timeline._keyframes.size > 0 && x.timeline._keyframes.size <= 8);
+    [[12, 13], [0, 40], [5, 33]].forEach(([from, to]) => {
+      var runs = x.timeline.diff(from, to);
+      var text = status => runs.filter(run => run.status !== status).map(run => run.text).join("");
+      assert.strictEqual(text("added"), texts[from]);
+      assert.strictEqual(text("removed"), texts[to]);
+    });
+
+    var again = new Timeline(filename, {segmentLength: 3, fsync: false});
+    assert.deepEqual(again.versions(), x.timeline.versions());
+    assert.deepEqual([0, 7, 21, 40].map(v => again.textAt(v)), [0, 7, 21, 40].map(v => texts[v]));
+    assert.deepEqual(again.diff(3, 40), x.timeline.diff(3, 40));
+    x.doc.destroy();
+  });
+
+  it("flushes each record to disk unless told not to", () => {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "peeredit-"));
+    var fsync = fs.fsyncSync, count = 0;
+    fs.fsyncSync = function () { count++; return fsync.apply(this, arguments); };
+    try {
+      var x = setup(path.join(dir, "a.jsonl"));
+      x.doc.addRun(x.doc.left.timestamp, "one");
+      x.timeline.checkpoint("one");
+      assert.strictEqual(count, 2);
+      var y = setup(path.join(dir, "b.jsonl"), {fsync: false});
+      y.doc.addRun(y.doc.left.timestamp, "two");
+      assert.strictEqual(count, 2);
+    } finally {
+      fs.fsyncSync = fsync;
+    }
+    x.doc.destroy();
+    y.doc.destroy();
+  });
+});
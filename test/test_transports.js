@@ -0,0 +1,273 @@
+// -*- mode: javascript; js-indent-level: 2 -*-
+
+"use strict";
+
+var RGA = require("../lib/rga.js");
+var DocumentSet = require("../lib/documents.js").DocumentSet;
+var MockEventQueue = require("../lib/testsupport.js").MockEventQueue;
+var assert = require("assert");
+var stream = require("stream");
+var http = require("http");
+var WebSocket = require("ws");
+
+// Just enough of EventTarget.
+class MockEventTarget {
+  constructor() {
+    this._listeners = new Map;
+  }
+
+  addEventListener(type, f) {
+    if (!this._listeners.has(type))
+      this._listeners.set(type, []);
+    this._listeners.get(type).push(f);
+  }
+
+  _dispatch(type, event) {
+    for (let f of this._listeners.get(type) || [])
+      f(event || {});
+  }
+}
+
+// One end of a WebSocket connection. Messages are delivered by the queue.
+class MockWebSocket extends MockEventTarget {
+  constructor(queue) {
+    super();
+    this.queue = queue;
+    this.readyState = 1;
+    this.peer = undefined;
+    this.sent = [];
+  }
+
+  send(text) {
+    assert.strictEqual(typeof text, "string");
+    this.sent.push(text);
+    this.queue.defer(() => {
+      if (this.peer.readyState === 1)
+        this.peer._dispatch("message", {data: text});
+    });
+  }
+
+  close() {
+    for (let ws of [this, this.peer]) {
+      if (ws.readyState === 1) {
+        ws.readyState = 3;
+        ws._dispatch("close");
+      }
+    }
+  }
+
+  static pair(queue) {
+    let a = new MockWebSocket(queue), b = new MockWebSocket(queue);
+    a.peer = b;
+    b.peer = a;
+    return [a, b];
+  }
+}
+
+// A BroadcastChannel: each message goes to every other channel with the
+// same name.
+class MockBroadcastChannel extends MockEventTarget {
+  constructor(network, queue) {
+    super();
+    this.network = network;
+    this.queue = queue;
+    network.push(this);
+  }
+
+  postMessage(data) {
+    let copy = JSON.parse(JSON.stringify(data));
+    for (let other of this.network) {
+      if (other !== this)
+        this.queue.defer(() => other._dispatch("message", {data: copy}));
+    }
+  }
+
+  close() {
+    this.network.splice(this.network.indexOf(this), 1);
+  }
+}
+
+// A Duplex stream that reads from `readable` and writes to `writable`, like
+// `stream.Duplex.from({readable, writable})` in newer versions of Node.
+function duplex(readable, writable) {
+  let d = new stream.Duplex({
+    read() { readable.resume(); },
+    write(chunk, encoding, callback) { writable.write(chunk, encoding, callback); }
+  });
+  d.on("finish", () => writable.end());
+  readable.on("data", chunk => {
+    if (!d.push(chunk))
+      readable.pause();
+  });
+  readable.on("end", () => d.push(null));
+  return d;
+}
+
+describe("RGA.Transport", () => {
+  it("ties replicas together over a WebSocket", () => {
+    let q = new MockEventQueue;
+    let [wa, wb] = MockWebSocket.pair(q);
+    let a = new RGA(1, undefined, q), b = new RGA(2, undefined, q);
+    let ta = new RGA.WebSocketTransport(wa), tb = new RGA.WebSocketTransport(wb);
+    assert.strictEqual(ta.connected, true);
+    RGA.tieToSocket(a, ta, RGA.WIRE_FORMAT);
+    RGA.tieToSocket(b, tb, RGA.WIRE_FORMAT);
+
+    a.addRun(a.left.timestamp, "hello");
+    b.addRight(b.left.timestamp, ">");
+    q.drain();
+    assert.strictEqual(a.text(), ">hello");
+    assert.strictEqual(b.text(), ">hello");
+    assert.deepEqual(JSON.parse(wa.sent[0]).type, "downstream");
+
+    // Closing the socket unties the replicas, on both ends.
+    let disconnects = 0;
+    tb.on("disconnect", () => disconnects++);
+    wa.close();
+    assert.strictEqual(disconnects, 1);
+    assert.strictEqual(tb.connected, false);
+    assert.strictEqual(a._subscribers.length, 0);
+    assert.strictEqual(b._subscribers.length, 0);
+    a.addRight(a.left.timestamp, "!");
+    q.drain();
+    assert.strictEqual(b.text(), ">hello");
+  });
+
+  it("ignores malformed messages and envelopes that claim to disconnect", () => {
+    let q = new MockEventQueue;
+    let [wa, wb] = MockWebSocket.pair(q);
+    let t = new RGA.WebSocketTransport(wb);
+    let got = [];
+    t.on("ping", data => got.push(data));
+    t.on("disconnect", () => got.push("disconnect"));
+    wa.send("{not json");
+    wa.send(JSON.stringify({type: "disconnect"}));
+    wa.send(JSON.stringify([1, 2, 3]));
+    wa.send(JSON.stringify({type: "ping", data: 7}));
+    q.drain();
+    assert.deepEqual(got, [7]);
+    assert.strictEqual(t.connected, true);
+  });
+
+  it("lets the server accept WebSocket connections", () => {
+    let q = new MockEventQueue;
+    let documents = new DocumentSet({queue: q});
+    function join() {
+      let [client, server] = MockWebSocket.pair(q);
+      documents.accept(new RGA.WebSocketTransport(server));
+      let transport = new RGA.WebSocketTransport(client);
+      let c = {transport: transport, rga: undefined};
+      transport.on("welcome", event => {
+        c.rga = new RGA(event.id, RGA.decodeOps(event.history), q);
+        RGA.tieToSocket(c.rga, transport, event.format);
+      });
+      transport.emit("hello", {doc: "doc", token: documents.get("doc").access.tokens.edit, formats: [RGA.WIRE_FORMAT]});
+      q.drain();
+      return c;
+    }
+    let a = join(), b = join();
+    a.rga.addRun(a.rga.left.timestamp, "over the wire");
+    q.drain();
+    assert.strictEqual(b.rga.text(), "over the wire");
+    assert.strictEqual(documents.get("doc").doc.text(), "over the wire");
+
+    a.transport.disconnect();
+    q.drain();
+    assert.strictEqual(documents.get("doc").sockets.length, 1);
+  });
+
+  it("works with a real WebSocket server and client", done => {
+    let httpServer = http.createServer();
+    let wss = new WebSocket.Server({server: httpServer});
+    let documents = new DocumentSet();
+    wss.on("connection", ws => documents.accept(new RGA.WebSocketTransport(ws)));
+
+    // Unlike the mocks, a client socket starts out CONNECTING and delivers
+    // Buffers or strings depending on how it was sent.
+    function join(port, onWelcome) {
+      let transport = new RGA.WebSocketTransport(new WebSocket("ws://127.0.0.1:" + port));
+      transport.on("connect", () => {
+        transport.emit("hello", {doc: "doc", token: documents.get("doc").access.tokens.edit, formats: [RGA.WIRE_FORMAT]});
+      });
+      transport.on("welcome", event => {
+        let rga = new RGA(event.id, RGA.decodeOps(event.history));
+        RGA.tieToSocket(rga, transport, event.format);
+        onWelcome(rga, transport);
+      });
+    }
+
+    httpServer.listen(0, "127.0.0.1", () => {
+      let port = httpServer.address().port;
+      join(port, (a, ta) => {
+        a.addRun(a.left.timestamp, "over a real wire");
+        // Edits go out in a deferred batch. The server answers messages from
+        // one socket in order, so by the time this comes back it has the text.
+        a._queue.defer(() => ta.emit("versions", {}));
+        ta.on("versions", () => {
+          join(port, (b, tb) => {
+            assert.strictEqual(b.text(), "over a real wire");
+            ta.disconnect();
+            tb.disconnect();
+            // The HTTP server calls back once both connections have closed.
+            httpServer.close(() => {
+              wss.close();
+              documents.close();
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it("sends newline-delimited JSON over a stream", done => {
+    let ab = new stream.PassThrough, ba = new stream.PassThrough;
+    let ta = new RGA.StreamTransport(duplex(ba, ab));
+    let tb = new RGA.StreamTransport(duplex(ab, ba));
+    let a = new RGA(1), b = new RGA(2);
+    RGA.tieToSocket(a, ta, RGA.WIRE_FORMAT);
+    RGA.tieToSocket(b, tb, RGA.WIRE_FORMAT);
+
+    // A message can arrive in pieces, even in the middle of a character.
+    let line = Buffer.from(JSON.stringify({type: "note", data: "line\none é"}) + "\n");
+    let notes = [];
+    tb.on("note", data => notes.push(data));
+    ab.write(line.slice(0, line.length - 4));
+    ab.write(line.slice(line.length - 4));
+
+    a.addRun(a.left.timestamp, "stream\n");
+    tb.on("disconnect", () => {
+      assert.deepEqual(notes, ["line\none é"]);
+      assert.strictEqual(b.text(), "stream\n");
+      assert.strictEqual(b._subscribers.length, 0);
+      done();
+    });
+    setTimeout(() => ta.disconnect(), 20);
+  });
+
+  it("keeps tabs in sync over a BroadcastChannel", () => {
+    let q = new MockEventQueue;
+    let network = [];
+    let tabs = [1, 2, 3].map(id => {
+      let rga = new RGA(id, undefined, q);
+      let transport = new RGA.MessagePortTransport(new MockBroadcastChannel(network, q));
+      RGA.tieToSocket(rga, transport, RGA.WIRE_FORMAT);
+      return {rga: rga, transport: transport};
+    });
+
+    // Every tab hears every op, from the tab that made it and again from
+    // each tab that applied it. The copies are dropped.
+    tabs[0].rga.addRun(tabs[0].rga.left.timestamp, "one");
+    tabs[1].rga.addRun(tabs[1].rga.left.timestamp, "two");
+    q.drain();
+    let text = tabs[0].rga.text();
+    assert.strictEqual(text.length, 6);
+    tabs.forEach(tab => assert.strictEqual(tab.rga.text(), text));
+
+    // A tab that's destroyed stops listening.
+    tabs[2].rga.destroy();
+    assert.deepEqual(tabs[2].transport._handlers.downstream, []);
+    tabs[2].transport.disconnect();
+    assert.strictEqual(network.length, 2);
+  });
+});